@@ -4,6 +4,33 @@ import supabase from '../utils/supabaseClient';
 // Create context
 const TicketContext = createContext(null);
 
+// Call the tickets function as the signed-in user, so access checks, SLA clocks,
+// the timeline, notifications and automations apply to every change
+const requestTicketsApi = async (path, method = 'GET', body) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  
+  const response = await fetch(`/api/tickets/${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.access_token}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  
+  const data = await response.json();
+  
+  // 403 and 409 responses explain why the change is not allowed
+  if (!response.ok) throw new Error(data.error);
+  
+  return data;
+};
+
+// Callers pass column names (assigned_to); the API takes camelCase (assignedTo)
+const toApiFields = fields => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()), value])
+);
+
 // Provider component
 export const TicketProvider = ({ children }) => {
   const [tickets, setTickets] = useState([]);
@@ -85,23 +112,18 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
-  // Create a new ticket
+  // Create a new ticket through the API, which assigns it, starts its SLA clocks and sends the auto-reply
   const createTicket = async (ticketData) => {
     try {
       setLoading(true);
       setError(null);
       
-      const { data, error } = await supabase
-        .from('tickets')
-        .insert([ticketData])
-        .select();
-      
-      if (error) throw error;
+      const ticket = await requestTicketsApi('create', 'POST', toApiFields(ticketData));
       
       // Refresh tickets list
       fetchTickets(currentPage, pageSize, filters);
       
-      return { success: true, ticket: data[0] };
+      return { success: true, ticket };
     } catch (error) {
       console.error('Create ticket error:', error);
       setError(error.message);
@@ -111,21 +133,18 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
-  // Get a single ticket by ID
+  // Get a single ticket by ID through the API, which checks access and hides internal activity from customers
   const getTicket = async (ticketId) => {
     try {
       setLoading(true);
       setError(null);
       
-      const { data, error } = await supabase
-        .from('tickets')
-        .select('*, assigned_to:users(*), created_by:users(*), responses:ticket_responses(*)')
-        .eq('id', ticketId)
-        .single();
-      
-      if (error) throw error;
+      const data = await requestTicketsApi(ticketId);
       
-      return { success: true, ticket: data };
+      return {
+        success: true,
+        ticket: { ...data, responses: data.ticket_responses, events: data.ticket_events }
+      };
     } catch (error) {
       console.error('Get ticket error:', error);
       setError(error.message);
@@ -135,26 +154,20 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
-  // Update a ticket
+  // Update a ticket through the API; a status change (with an optional comment) follows the transition rules
   const updateTicket = async (ticketId, updateData) => {
     try {
       setLoading(true);
       setError(null);
       
-      const { data, error } = await supabase
-        .from('tickets')
-        .update(updateData)
-        .eq('id', ticketId)
-        .select();
-      
-      if (error) throw error;
+      const ticket = await requestTicketsApi(ticketId, 'PUT', toApiFields(updateData));
       
       // Update local state
-      setTickets(tickets.map(ticket => 
-        ticket.id === ticketId ? { ...ticket, ...updateData } : ticket
+      setTickets(current => current.map(item => 
+        item.id === ticketId ? { ...item, ...ticket } : item
       ));
       
-      return { success: true, ticket: data[0] };
+      return { success: true, ticket };
     } catch (error) {
       console.error('Update ticket error:', error);
       setError(error.message);
@@ -164,20 +177,17 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
-  // Add a response to a ticket
+  // Add a response to a ticket through the API; the author is the signed-in user
   const addTicketResponse = async (responseData) => {
+    const { ticket_id: ticketId, ...fields } = responseData;
+    
     try {
       setLoading(true);
       setError(null);
       
-      const { data, error } = await supabase
-        .from('ticket_responses')
-        .insert([responseData])
-        .select();
-      
-      if (error) throw error;
+      const response = await requestTicketsApi(`${ticketId}/responses`, 'POST', toApiFields(fields));
       
-      return { success: true, response: data[0] };
+      return { success: true, response };
     } catch (error) {
       console.error('Add ticket response error:', error);
       setError(error.message);
@@ -211,14 +221,14 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
-  // Change ticket status
-  const changeTicketStatus = async (ticketId, status) => {
-    return updateTicket(ticketId, { status });
+  // Change ticket status; the error explains a move the transition rules do not allow
+  const changeTicketStatus = async (ticketId, status, comment = null) => {
+    return updateTicket(ticketId, { status, comment });
   };
 
   // Assign ticket to user
   const assignTicket = async (ticketId, userId) => {
-    return updateTicket(ticketId, { assigned_to_id: userId });
+    return updateTicket(ticketId, { assigned_to: userId });
   };
 
   // Context value
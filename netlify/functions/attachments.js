@@ -0,0 +1,387 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, isOrganizationStaff, canAccessTicket } from './utils/access';
+import { getActorFields, recordTicketEvents } from './utils/ticketHistory';
+import {
+  ATTACHMENT_BUCKET,
+  DOWNLOAD_URL_TTL_SECONDS,
+  validateAttachment,
+  getAttachmentPath,
+  getStoredFile,
+  deleteAttachments
+} from './utils/attachments';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/attachments/', '');
+    const body = JSON.parse(event.body || '{}');
+    
+    // Route handling
+    switch (true) {
+      // Start an upload: returns a signed URL the file is uploaded to
+      case path === 'upload-url' && event.httpMethod === 'POST': {
+        const { ticketId, responseId, fileName, fileType, fileSize } = body;
+        
+        if (!ticketId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Ticket ID is required' })
+          };
+        }
+        
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!canAccessTicket(actor, ticket)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this ticket' })
+          };
+        }
+        
+        if (responseId) {
+          const { data: response, error: responseError } = await supabase
+            .from('ticket_responses')
+            .select('id, is_internal')
+            .eq('id', responseId)
+            .eq('ticket_id', ticketId)
+            .maybeSingle();
+          
+          if (responseError) throw responseError;
+          
+          // Customers cannot see internal notes, so they cannot attach files to them either
+          if (!response || (response.is_internal && actor.role === 'customer')) {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Response not found' })
+            };
+          }
+        }
+        
+        const { data: organization, error: organizationError } = await supabase
+          .from('organizations')
+          .select('attachment_max_size_mb, attachment_allowed_types')
+          .eq('id', ticket.organization_id)
+          .single();
+        
+        if (organizationError) throw organizationError;
+        
+        const validationError = validateAttachment({ fileName, fileType, fileSize }, organization);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const attachment = {
+          id: crypto.randomUUID(),
+          organization_id: ticket.organization_id,
+          ticket_id: ticket.id,
+          response_id: responseId || null,
+          file_name: fileName.trim(),
+          file_type: fileType,
+          file_size: fileSize,
+          status: 'pending',
+          created_by: user.id
+        };
+        attachment.storage_path = getAttachmentPath(attachment);
+        
+        const { data: upload, error: uploadError } = await supabase.storage
+          .from(ATTACHMENT_BUCKET)
+          .createSignedUploadUrl(attachment.storage_path);
+        
+        if (uploadError) throw uploadError;
+        
+        const { data, error } = await supabase
+          .from('ticket_attachments')
+          .insert([attachment])
+          .select();
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({
+            attachment: data[0],
+            uploadUrl: upload.signedUrl,
+            token: upload.token,
+            path: upload.path
+          })
+        };
+      }
+      
+      // Confirm an upload once the file is in storage
+      case /^[0-9a-fA-F-]+\/complete$/.test(path) && event.httpMethod === 'POST': {
+        const attachmentId = path.split('/')[0];
+        
+        const { data: attachment, error: fetchError } = await supabase
+          .from('ticket_attachments')
+          .select('*, organization:organization_id(attachment_max_size_mb, attachment_allowed_types)')
+          .eq('id', attachmentId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Attachment not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        if (attachment.created_by !== user.id) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only the uploader can confirm an upload' })
+          };
+        }
+        
+        if (attachment.status === 'uploaded') {
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(attachment)
+          };
+        }
+        
+        const storedFile = await getStoredFile(supabase, attachment.storage_path);
+        
+        if (!storedFile) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'The file has not been uploaded yet' })
+          };
+        }
+        
+        // Check what was actually uploaded, not what the client announced
+        const validationError = validateAttachment({
+          fileName: attachment.file_name,
+          fileType: storedFile.mimetype,
+          fileSize: storedFile.size
+        }, attachment.organization);
+        
+        if (validationError) {
+          await deleteAttachments(supabase, [attachment]);
+          
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('ticket_attachments')
+          .update({
+            status: 'uploaded',
+            file_type: storedFile.mimetype,
+            file_size: storedFile.size
+          })
+          .eq('id', attachmentId)
+          .select();
+        
+        if (error) throw error;
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        await recordTicketEvents(supabase, { id: attachment.ticket_id, organization_id: attachment.organization_id }, [{
+          event_type: 'attachment_added',
+          new_value: attachment.file_name,
+          details: { attachment_id: attachmentId, response_id: attachment.response_id, file_size: storedFile.size }
+        }], getActorFields(user.id, actor));
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Get a time-limited download link
+      case /^[0-9a-fA-F-]+\/download$/.test(path) && event.httpMethod === 'GET': {
+        const attachmentId = path.split('/')[0];
+        
+        const { data: attachment, error: fetchError } = await supabase
+          .from('ticket_attachments')
+          .select('*, ticket:ticket_id(id, organization_id, created_by), response:response_id(is_internal)')
+          .eq('id', attachmentId)
+          .eq('status', 'uploaded')
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Attachment not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!canAccessTicket(actor, attachment.ticket) ||
+          (attachment.response?.is_internal && actor.role === 'customer')) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this attachment' })
+          };
+        }
+        
+        const { data, error } = await supabase.storage
+          .from(ATTACHMENT_BUCKET)
+          .createSignedUrl(attachment.storage_path, DOWNLOAD_URL_TTL_SECONDS, { download: attachment.file_name });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            url: data.signedUrl,
+            fileName: attachment.file_name,
+            expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000)
+          })
+        };
+      }
+      
+      // Delete attachment (the uploader, or staff of the ticket's organization)
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const attachmentId = path;
+        
+        const { data: attachment, error: fetchError } = await supabase
+          .from('ticket_attachments')
+          .select('*')
+          .eq('id', attachmentId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Attachment not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (attachment.created_by !== user.id && !isOrganizationStaff(actor, attachment.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only the uploader or staff can delete attachments' })
+          };
+        }
+        
+        await deleteAttachments(supabase, [attachment]);
+        
+        if (attachment.status === 'uploaded') {
+          await recordTicketEvents(supabase, { id: attachment.ticket_id, organization_id: attachment.organization_id }, [{
+            event_type: 'attachment_removed',
+            old_value: attachment.file_name,
+            details: { attachment_id: attachmentId, response_id: attachment.response_id }
+          }], getActorFields(user.id, actor));
+        }
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Attachments function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
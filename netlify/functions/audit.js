@@ -0,0 +1,172 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole } from './utils/access';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+
+    // Only superadmins and organization admins can read the audit log
+    const actor = await getUserRole(supabase, user.id);
+    
+    if (!actor || (actor.role !== 'superadmin' && actor.role !== 'admin')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+      };
+    }
+
+    const path = event.path.replace('/.netlify/functions/audit/', '');
+    const queryParams = event.queryStringParameters || {};
+
+    // Route handling
+    switch (true) {
+      // Get audit log entries
+      case path === 'logs' && event.httpMethod === 'GET': {
+        const {
+          organizationId,
+          userId,
+          action,
+          entityType,
+          entityId,
+          from: fromDate,
+          to: toDate,
+          page = '1',
+          limit = '25',
+          sortOrder = 'desc'
+        } = queryParams;
+        
+        // Admins only ever see their own organization; without one they see nothing
+        if (actor.role === 'admin' &&
+          (!actor.profile.organization_id || (organizationId && organizationId !== actor.profile.organization_id))) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const scopedOrganizationId = actor.role === 'admin' ? actor.profile.organization_id : organizationId;
+        
+        let query = supabase
+          .from('audit_logs')
+          .select('*', { count: 'exact' });
+        
+        // Apply filters
+        if (scopedOrganizationId) {
+          query = query.eq('organization_id', scopedOrganizationId);
+        }
+        
+        if (userId) {
+          query = query.eq('user_id', userId);
+        }
+        
+        if (action) {
+          // "ticket" matches ticket.create, ticket.update, ...
+          query = action.includes('.') ? query.eq('action', action) : query.like('action', `${action}.%`);
+        }
+        
+        if (entityType) {
+          query = query.eq('entity_type', entityType);
+        }
+        
+        if (entityId) {
+          query = query.eq('entity_id', entityId);
+        }
+        
+        if (fromDate) {
+          query = query.gte('created_at', fromDate);
+        }
+        
+        if (toDate) {
+          query = query.lte('created_at', toDate);
+        }
+        
+        // Apply pagination
+        const pageNum = parseInt(page);
+        const limitNum = Math.min(parseInt(limit), 100);
+        const from = (pageNum - 1) * limitNum;
+        const to = from + limitNum - 1;
+        
+        // Apply sorting
+        query = query.order('created_at', { ascending: sortOrder === 'asc' });
+        
+        // Execute query with pagination
+        const { data, error, count } = await query.range(from, to);
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            logs: data,
+            totalCount: count,
+            page: pageNum,
+            limit: limitNum
+          })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Audit function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { recordAudit } from './utils/audit';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -63,6 +64,15 @@ exports.handler = async (event, context) => {
             
           if (adminError) throw adminError;
           
+          await recordAudit(supabase, event, {
+            user: authData.user,
+            actor: { role: 'admin', profile: { organization_id: organizationId } },
+            action: 'auth.register',
+            entityType: 'user',
+            entityId: authData.user.id,
+            details: { role: 'admin', created_by: createdBy || null }
+          });
+          
           return {
             statusCode: 200,
             headers,
@@ -91,6 +101,15 @@ exports.handler = async (event, context) => {
             
           if (userError) throw userError;
           
+          await recordAudit(supabase, event, {
+            user: authData.user,
+            actor: { role: role || 'customer', profile: { organization_id: organizationId } },
+            action: 'auth.register',
+            entityType: 'user',
+            entityId: authData.user.id,
+            details: { role: role || 'customer', created_by: createdBy || null }
+          });
+          
           return {
             statusCode: 200,
             headers,
@@ -111,7 +130,17 @@ exports.handler = async (event, context) => {
           password,
         });
         
-        if (error) throw error;
+        if (error) {
+          await recordAudit(supabase, event, {
+            email,
+            actor: null,
+            action: 'auth.login_failed',
+            entityType: 'user',
+            details: { reason: error.message }
+          });
+          
+          throw error;
+        }
         
         // Get user profile based on role
         const userId = data.user.id;
@@ -124,6 +153,14 @@ exports.handler = async (event, context) => {
           .single();
           
         if (superAdminData) {
+          await recordAudit(supabase, event, {
+            user: data.user,
+            actor: { role: 'superadmin', profile: superAdminData },
+            action: 'auth.login',
+            entityType: 'user',
+            entityId: userId
+          });
+          
           return {
             statusCode: 200,
             headers,
@@ -144,6 +181,14 @@ exports.handler = async (event, context) => {
           .single();
           
         if (adminData) {
+          await recordAudit(supabase, event, {
+            user: data.user,
+            actor: { role: 'admin', profile: adminData },
+            action: 'auth.login',
+            entityType: 'user',
+            entityId: userId
+          });
+          
           return {
             statusCode: 200,
             headers,
@@ -164,6 +209,14 @@ exports.handler = async (event, context) => {
           .single();
           
         if (userData) {
+          await recordAudit(supabase, event, {
+            user: data.user,
+            actor: { role: userData.role, profile: userData },
+            action: 'auth.login',
+            entityType: 'user',
+            entityId: userId
+          });
+          
           return {
             statusCode: 200,
             headers,
@@ -183,6 +236,21 @@ exports.handler = async (event, context) => {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
         
+        // Identify who logged out when the client sends its token
+        const accessToken = event.headers.authorization?.split(' ')[1];
+        if (accessToken) {
+          const { data: { user } } = await supabase.auth.getUser(accessToken);
+          
+          if (user) {
+            await recordAudit(supabase, event, {
+              user,
+              action: 'auth.logout',
+              entityType: 'user',
+              entityId: user.id
+            });
+          }
+        }
+        
         return {
           statusCode: 200,
           headers,
@@ -199,6 +267,13 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          email,
+          actor: null,
+          action: 'auth.password_reset_requested',
+          entityType: 'user'
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -219,6 +294,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        const { data: { user } } = await supabase.auth.getUser(token);
+        
+        await recordAudit(supabase, event, {
+          user,
+          action: 'auth.password_updated',
+          entityType: 'user',
+          entityId: user?.id
+        });
+        
         return {
           statusCode: 200,
           headers,
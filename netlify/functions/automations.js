@@ -0,0 +1,568 @@
+import { createClient } from '@supabase/supabase-js';
+import { checkOrganizationAdminAccess } from './utils/access';
+import {
+  AUTOMATION_EVENTS,
+  validateAutomationRule,
+  getAutomationContext,
+  evaluateRule
+} from './utils/automations';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/automations/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get automation rules for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('automation_rules')
+          .select('*')
+          .eq('organization_id', organizationId)
+          .order('order_index', { ascending: true })
+          .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Create automation rule
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, description, events, conditions = [], conditionMatch, actions, isActive } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateAutomationRule({ name, events, conditions, conditionMatch, actions });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        // New rules run after the existing ones
+        const { count, error: countError } = await supabase
+          .from('automation_rules')
+          .select('id', { count: 'exact', head: true })
+          .eq('organization_id', organizationId);
+        
+        if (countError) throw countError;
+        
+        const { data, error } = await supabase
+          .from('automation_rules')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            description,
+            events,
+            conditions,
+            condition_match: conditionMatch || 'all',
+            actions,
+            order_index: count,
+            is_active: isActive !== undefined ? isActive : true,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'automation_rule.create',
+          entityType: 'automation_rule',
+          entityId: data[0].id,
+          details: { name: data[0].name, events, conditions, actions }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Reorder automation rules
+      case path === 'reorder' && event.httpMethod === 'PUT': {
+        const { organizationId, ruleIds } = body;
+        
+        if (!organizationId || !Array.isArray(ruleIds)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID and rule IDs are required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { data: rules, error: fetchError } = await supabase
+          .from('automation_rules')
+          .select('id')
+          .eq('organization_id', organizationId);
+        
+        if (fetchError) throw fetchError;
+        
+        // The new order must list every rule of the organization exactly once
+        const existingIds = new Set(rules.map(rule => rule.id));
+        
+        if (ruleIds.length !== existingIds.size || new Set(ruleIds).size !== ruleIds.length ||
+          ruleIds.some(ruleId => !existingIds.has(ruleId))) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Rule IDs must list every rule of the organization once' })
+          };
+        }
+        
+        for (const [index, ruleId] of ruleIds.entries()) {
+          const { error } = await supabase
+            .from('automation_rules')
+            .update({ order_index: index, updated_at: new Date() })
+            .eq('id', ruleId);
+          
+          if (error) throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'automation_rule.reorder',
+          entityType: 'organization',
+          entityId: organizationId,
+          details: { rule_ids: ruleIds }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      // Show which rules would fire for a ticket, without changing anything
+      case path === 'dry-run' && event.httpMethod === 'POST': {
+        const { ticketId, event: eventName = 'ticket.updated', rule: draftRule, includeInactive } = body;
+        
+        if (!ticketId || !AUTOMATION_EVENTS.includes(eventName)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `A ticket ID and one of these events are required: ${AUTOMATION_EVENTS.join(', ')}` })
+          };
+        }
+        
+        const context = await getAutomationContext(supabase, ticketId);
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, context.ticket.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        let rules;
+        
+        // An unsaved rule can be tried out before it is created
+        if (draftRule) {
+          const validationError = validateAutomationRule(draftRule);
+          
+          if (validationError) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: validationError })
+            };
+          }
+          
+          rules = [{
+            id: null,
+            name: draftRule.name,
+            events: draftRule.events,
+            conditions: draftRule.conditions,
+            condition_match: draftRule.conditionMatch || 'all',
+            actions: draftRule.actions,
+            is_active: true
+          }];
+        } else {
+          let query = supabase
+            .from('automation_rules')
+            .select('*')
+            .eq('organization_id', context.ticket.organization_id);
+          
+          if (includeInactive !== true) {
+            query = query.eq('is_active', true);
+          }
+          
+          const { data, error } = await query
+            .order('order_index', { ascending: true })
+            .order('created_at', { ascending: true });
+          
+          if (error) throw error;
+          
+          rules = data;
+        }
+        
+        // Evaluated against the ticket as it is now; the effect of earlier rules is not simulated
+        const results = rules.map(rule => ({
+          ruleId: rule.id,
+          name: rule.name,
+          isActive: rule.is_active,
+          ...evaluateRule(rule, eventName, context),
+          actions: rule.actions
+        }));
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            event: eventName,
+            ticketId,
+            rules: results,
+            wouldFire: results.filter(result => result.matched && result.isActive).map(result => result.ruleId)
+          })
+        };
+      }
+      
+      // Get scheduled run history for organization
+      case path === 'runs' && event.httpMethod === 'GET': {
+        const { organizationId, page = '1', limit = '25' } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const from = (pageNum - 1) * limitNum;
+        const to = from + limitNum - 1;
+        
+        const { data, error, count } = await supabase
+          .from('automation_runs')
+          .select('*', { count: 'exact' })
+          .eq('organization_id', organizationId)
+          .order('started_at', { ascending: false })
+          .range(from, to);
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            runs: data,
+            totalCount: count,
+            page: pageNum,
+            limit: limitNum
+          })
+        };
+      }
+      
+      // Get a scheduled run with the rules it fired
+      case /^runs\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'GET': {
+        const runId = path.split('/')[1];
+        
+        const { data: run, error: runError } = await supabase
+          .from('automation_runs')
+          .select('*')
+          .eq('id', runId)
+          .single();
+        
+        if (runError) {
+          if (runError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Automation run not found' })
+            };
+          }
+          throw runError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, run.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { data: executions, error } = await supabase
+          .from('automation_executions')
+          .select('*, ticket:ticket_id(id, ticket_ref, title, status)')
+          .eq('run_id', runId)
+          .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ ...run, executions })
+        };
+      }
+      
+      // Update automation rule
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const ruleId = path;
+        const { name, description, events, conditions, conditionMatch, actions, isActive } = body;
+        
+        const { data: rule, error: fetchError } = await supabase
+          .from('automation_rules')
+          .select('*')
+          .eq('id', ruleId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Automation rule not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, rule.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateAutomationRule({
+          name: name ?? rule.name,
+          events: events ?? rule.events,
+          conditions: conditions ?? rule.conditions,
+          conditionMatch: conditionMatch ?? rule.condition_match,
+          actions: actions ?? rule.actions
+        });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('automation_rules')
+          .update({
+            name: name?.trim(),
+            description,
+            events,
+            conditions,
+            condition_match: conditionMatch,
+            actions,
+            is_active: isActive,
+            updated_at: new Date()
+          })
+          .eq('id', ruleId)
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: rule.organization_id,
+          action: 'automation_rule.update',
+          entityType: 'automation_rule',
+          entityId: ruleId,
+          details: body
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete automation rule
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const ruleId = path;
+        
+        const { data: rule, error: fetchError } = await supabase
+          .from('automation_rules')
+          .select('*')
+          .eq('id', ruleId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Automation rule not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, rule.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { error } = await supabase
+          .from('automation_rules')
+          .delete()
+          .eq('id', ruleId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: rule.organization_id,
+          action: 'automation_rule.delete',
+          entityType: 'automation_rule',
+          entityId: ruleId,
+          details: { name: rule.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Automations function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
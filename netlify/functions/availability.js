@@ -0,0 +1,399 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { recordAudit } from './utils/audit';
+import { AGENT_AVAILABILITY, validateOutOfOffice, getEffectiveAvailability } from './utils/availability';
+import { reassignOutOfOfficeTickets } from './utils/outOfOffice';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/availability/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get the availability of an organization's agents
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view availability' })
+          };
+        }
+        
+        const { data: agents, error } = await supabase
+          .from('users')
+          .select('id, first_name, last_name, email, role, availability')
+          .eq('organization_id', organizationId)
+          .neq('role', 'customer')
+          .eq('status', 'active')
+          .order('first_name', { ascending: true });
+        
+        if (error) throw error;
+        
+        const now = new Date();
+        
+        // Current and upcoming periods
+        const { data: periods, error: periodsError } = await supabase
+          .from('out_of_office')
+          .select('*')
+          .eq('organization_id', organizationId)
+          .gt('ends_at', now.toISOString())
+          .order('starts_at', { ascending: true });
+        
+        if (periodsError) throw periodsError;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(agents.map(agent => {
+            const agentPeriods = periods.filter(period => period.user_id === agent.id);
+            const { availability, outOfOffice } = getEffectiveAvailability(agent, agentPeriods, now);
+            
+            return {
+              ...agent,
+              status: agent.availability,
+              availability,
+              out_of_office: outOfOffice,
+              upcoming_out_of_office: agentPeriods.filter(period => period !== outOfOffice)
+            };
+          }))
+        };
+      }
+      
+      // Set an agent's status
+      case path === 'status' && event.httpMethod === 'PUT': {
+        const { availability, userId = user.id } = body;
+        
+        if (!AGENT_AVAILABILITY.includes(availability)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Availability must be one of: ${AGENT_AVAILABILITY.join(', ')}` })
+          };
+        }
+        
+        const agent = await getAgent(userId);
+        
+        if (!agent) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Agent not found' })
+          };
+        }
+        
+        if (!(await canManageAgent(user, agent))) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only the agent or an admin can change this status' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('users')
+          .update({ availability, updated_at: new Date() })
+          .eq('id', userId)
+          .select('id, first_name, last_name, email, role, availability');
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: agent.organization_id,
+          action: 'user.availability',
+          entityType: 'user',
+          entityId: userId,
+          details: { from: agent.availability, to: availability }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Get an agent's current and upcoming out-of-office periods
+      case path === 'out-of-office' && event.httpMethod === 'GET': {
+        const { userId = user.id } = queryParams;
+        
+        const agent = await getAgent(userId);
+        
+        if (!agent) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Agent not found' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, agent.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view out-of-office periods' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('out_of_office')
+          .select('*, reassign_user:reassign_to(id, first_name, last_name, email)')
+          .eq('user_id', userId)
+          .gt('ends_at', new Date().toISOString())
+          .order('starts_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Schedule an out-of-office period
+      case path === 'out-of-office' && event.httpMethod === 'POST': {
+        const { userId = user.id, startsAt, endsAt, message, reassignTickets = false, reassignTo = null } = body;
+        
+        const validationError = validateOutOfOffice({ startsAt, endsAt, message, reassignTickets, reassignTo });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const agent = await getAgent(userId);
+        
+        if (!agent) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Agent not found' })
+          };
+        }
+        
+        if (!(await canManageAgent(user, agent))) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only the agent or an admin can schedule time off' })
+          };
+        }
+        
+        // Tickets can only be handed to another agent of the same organization
+        if (reassignTo) {
+          const replacement = await getAgent(reassignTo);
+          
+          if (!replacement || replacement.id === userId || replacement.organization_id !== agent.organization_id) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Tickets can only be reassigned to another agent of the organization' })
+            };
+          }
+        }
+        
+        const { data, error } = await supabase
+          .from('out_of_office')
+          .insert([{
+            user_id: userId,
+            organization_id: agent.organization_id,
+            starts_at: new Date(startsAt),
+            ends_at: new Date(endsAt),
+            message: message || null,
+            reassign_tickets: reassignTickets,
+            reassign_to: reassignTo,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) throw error;
+        
+        // A period that has already started hands the tickets over now rather than on the next scheduled run
+        const now = new Date();
+        let reassignment = null;
+        
+        if (reassignTickets && new Date(startsAt) <= now) {
+          reassignment = await reassignOutOfOfficeTickets(supabase, data[0], now);
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: agent.organization_id,
+          action: 'out_of_office.create',
+          entityType: 'out_of_office',
+          entityId: data[0].id,
+          details: {
+            user_id: userId,
+            starts_at: data[0].starts_at,
+            ends_at: data[0].ends_at,
+            reassign_tickets: reassignTickets,
+            reassign_to: reassignTo,
+            reassigned: reassignment?.reassigned
+          }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ ...data[0], reassignment })
+        };
+      }
+      
+      // Cancel an out-of-office period (tickets already reassigned stay with their new agent)
+      case /^out-of-office\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const periodId = path.split('/')[1];
+        
+        const { data: period, error: fetchError } = await supabase
+          .from('out_of_office')
+          .select('*')
+          .eq('id', periodId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Out-of-office period not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const agent = await getAgent(period.user_id);
+        
+        if (!agent || !(await canManageAgent(user, agent))) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only the agent or an admin can cancel time off' })
+          };
+        }
+        
+        const { error } = await supabase
+          .from('out_of_office')
+          .delete()
+          .eq('id', periodId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: period.organization_id,
+          action: 'out_of_office.delete',
+          entityType: 'out_of_office',
+          entityId: periodId,
+          details: { user_id: period.user_id, starts_at: period.starts_at, ends_at: period.ends_at }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Availability function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Get an agent (staff user) by ID
+async function getAgent(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .neq('role', 'customer')
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  return data;
+}
+
+// Agents manage their own availability; admins manage their organization's agents
+async function canManageAgent(user, agent) {
+  return agent.id === user.id || checkOrganizationAdminAccess(supabase, user.id, agent.organization_id);
+}
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { recordAudit } from './utils/audit';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -181,6 +182,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          actor: { role: 'superadmin', profile: superAdminData },
+          action: 'branding.platform.update',
+          entityType: 'platform_branding',
+          entityId: data[0].id,
+          details: body
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -316,6 +326,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'branding.organization.update',
+          entityType: 'organization_branding',
+          entityId: data[0].id,
+          details: body
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -387,6 +406,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'branding.logo.upload',
+          entityType: 'organization_branding',
+          entityId: data[0].id,
+          details: { logo_url: logoUrl }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -0,0 +1,445 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, isOrganizationStaff } from './utils/access';
+import { canUseCannedResponse, canManageCannedResponse } from './utils/cannedResponses';
+import { renderTemplate, getTicketTemplateContext } from './utils/templates';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    // Canned responses are for staff only
+    const actor = await getUserRole(supabase, user.id);
+    
+    if (!actor || actor.role === 'customer') {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Forbidden: Staff access required' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/canned-responses/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get canned responses for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const {
+          organizationId,
+          folder,
+          search,
+          scope = 'all',
+          page = '1',
+          limit = '25',
+          sortBy = 'title',
+          sortOrder = 'asc'
+        } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        let query = supabase
+          .from('canned_responses')
+          .select('*', { count: 'exact' })
+          .eq('organization_id', organizationId);
+        
+        // Shared responses plus the caller's own personal ones
+        if (scope === 'shared') {
+          query = query.is('owner_id', null);
+        } else if (scope === 'personal') {
+          query = query.eq('owner_id', user.id);
+        } else {
+          query = query.or(`owner_id.is.null,owner_id.eq.${user.id}`);
+        }
+        
+        if (folder) {
+          query = query.eq('folder', folder);
+        }
+        
+        if (search) {
+          // Commas and parentheses would break the filter syntax
+          const term = search.replace(/[,()]/g, ' ');
+          query = query.or(`title.ilike.%${term}%,content.ilike.%${term}%`);
+        }
+        
+        // Apply pagination
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const from = (pageNum - 1) * limitNum;
+        const to = from + limitNum - 1;
+        
+        // Apply sorting
+        query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+        
+        // Execute query with pagination
+        const { data, error, count } = await query.range(from, to);
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            cannedResponses: data,
+            totalCount: count,
+            page: pageNum,
+            limit: limitNum
+          })
+        };
+      }
+      
+      // Get canned response folders for organization
+      case path === 'folders' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('canned_responses')
+          .select('folder')
+          .eq('organization_id', organizationId)
+          .or(`owner_id.is.null,owner_id.eq.${user.id}`)
+          .not('folder', 'is', null);
+        
+        if (error) throw error;
+        
+        const folders = new Map();
+        
+        for (const { folder } of data) {
+          folders.set(folder, (folders.get(folder) || 0) + 1);
+        }
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify([...folders]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => a.name.localeCompare(b.name)))
+        };
+      }
+      
+      // Create canned response
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, title, content, folder, personal } = body;
+        
+        if (!organizationId || !title?.trim() || !content?.trim()) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID, title and content are required' })
+          };
+        }
+        
+        const newResponse = {
+          organization_id: organizationId,
+          owner_id: personal ? user.id : null,
+          folder: folder?.trim() || null,
+          title: title.trim(),
+          content,
+          created_by: user.id
+        };
+        
+        // Agents can keep personal responses; shared ones are managed by admins
+        if (!canManageCannedResponse(actor, newResponse)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only admins can create shared canned responses' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('canned_responses')
+          .insert([newResponse])
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId,
+          action: 'canned_response.create',
+          entityType: 'canned_response',
+          entityId: data[0].id,
+          details: { title: data[0].title, folder: data[0].folder, personal: !!personal }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Preview a canned response filled in for a ticket
+      case /^[0-9a-fA-F-]+\/preview$/.test(path) && event.httpMethod === 'GET': {
+        const cannedResponseId = path.split('/')[0];
+        const { ticketId } = queryParams;
+        
+        const { data: cannedResponse, error: fetchError } = await supabase
+          .from('canned_responses')
+          .select('*')
+          .eq('id', cannedResponseId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Canned response not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        if (!canUseCannedResponse(actor, cannedResponse)) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Canned response not found' })
+          };
+        }
+        
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*')
+          .eq('id', ticketId)
+          .eq('organization_id', cannedResponse.organization_id)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const templateContext = await getTicketTemplateContext(supabase, ticket, actor.profile);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ content: renderTemplate(cannedResponse.content, templateContext) })
+        };
+      }
+      
+      // Update canned response
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const cannedResponseId = path;
+        const { title, content, folder } = body;
+        
+        const { data: cannedResponse, error: fetchError } = await supabase
+          .from('canned_responses')
+          .select('*')
+          .eq('id', cannedResponseId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Canned response not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        if (!canManageCannedResponse(actor, cannedResponse)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Cannot change this canned response' })
+          };
+        }
+        
+        if ((title !== undefined && !title.trim()) || (content !== undefined && !content.trim())) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Title and content cannot be empty' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('canned_responses')
+          .update({
+            title: title?.trim(),
+            content,
+            // An empty folder moves the response out of its folder
+            folder: folder === undefined ? undefined : folder?.trim() || null,
+            updated_at: new Date()
+          })
+          .eq('id', cannedResponseId)
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: cannedResponse.organization_id,
+          action: 'canned_response.update',
+          entityType: 'canned_response',
+          entityId: cannedResponseId,
+          details: { title: data[0].title, folder: data[0].folder }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete canned response
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const cannedResponseId = path;
+        
+        const { data: cannedResponse, error: fetchError } = await supabase
+          .from('canned_responses')
+          .select('*')
+          .eq('id', cannedResponseId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Canned response not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        if (!canManageCannedResponse(actor, cannedResponse)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Cannot delete this canned response' })
+          };
+        }
+        
+        const { error } = await supabase
+          .from('canned_responses')
+          .delete()
+          .eq('id', cannedResponseId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: cannedResponse.organization_id,
+          action: 'canned_response.delete',
+          entityType: 'canned_response',
+          entityId: cannedResponseId,
+          details: { title: cannedResponse.title }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Canned responses function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,334 @@
+import { createClient } from '@supabase/supabase-js';
+import { checkOrganizationAccess, checkOrganizationAdminAccess } from './utils/access';
+import { validateCustomFieldDefinition, isFieldVisible } from './utils/customFields';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/custom-fields/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get custom fields for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId, category, includeInactive } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAccess = await checkOrganizationAccess(supabase, user.id, organizationId);
+        if (!hasAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        let query = supabase
+          .from('custom_fields')
+          .select('*')
+          .eq('organization_id', organizationId);
+        
+        if (includeInactive !== 'true') {
+          query = query.eq('is_active', true);
+        }
+        
+        const { data, error } = await query.order('order_index', { ascending: true });
+        
+        if (error) throw error;
+        
+        // With a category, only the fields shown for that category
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(category ? data.filter(field => isFieldVisible(field, category)) : data)
+        };
+      }
+      
+      // Create custom field
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, key, label, fieldType, options, isRequired, categories, orderIndex, isActive } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateCustomFieldDefinition({ key, label, fieldType, options, categories });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('custom_fields')
+          .insert([{
+            organization_id: organizationId,
+            key,
+            label: label.trim(),
+            field_type: fieldType,
+            options: options || [],
+            is_required: isRequired || false,
+            categories: categories || [],
+            order_index: orderIndex || 0,
+            is_active: isActive !== undefined ? isActive : true
+          }])
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A custom field with the key "${key}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'custom_field.create',
+          entityType: 'custom_field',
+          entityId: data[0].id,
+          details: { key, label: data[0].label, field_type: fieldType }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Update custom field
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const fieldId = path;
+        const { key, label, fieldType, options, isRequired, categories, orderIndex, isActive } = body;
+        
+        const { data: field, error: fetchError } = await supabase
+          .from('custom_fields')
+          .select('*')
+          .eq('id', fieldId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Custom field not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, field.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // Stored ticket values depend on the key and type, so they cannot change
+        if ((key !== undefined && key !== field.key) || (fieldType !== undefined && fieldType !== field.field_type)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'The key and type of a custom field cannot be changed' })
+          };
+        }
+        
+        const validationError = validateCustomFieldDefinition({
+          key: field.key,
+          label: label ?? field.label,
+          fieldType: field.field_type,
+          options: options ?? field.options,
+          categories
+        });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('custom_fields')
+          .update({
+            label: label?.trim(),
+            options,
+            is_required: isRequired,
+            categories,
+            order_index: orderIndex,
+            is_active: isActive,
+            updated_at: new Date()
+          })
+          .eq('id', fieldId)
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: field.organization_id,
+          action: 'custom_field.update',
+          entityType: 'custom_field',
+          entityId: fieldId,
+          details: body
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete custom field
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const fieldId = path;
+        
+        const { data: field, error: fetchError } = await supabase
+          .from('custom_fields')
+          .select('*')
+          .eq('id', fieldId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Custom field not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, field.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // Values already stored on tickets are kept
+        const { error } = await supabase
+          .from('custom_fields')
+          .delete()
+          .eq('id', fieldId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: field.organization_id,
+          action: 'custom_field.delete',
+          entityType: 'custom_field',
+          entityId: fieldId,
+          details: { key: field.key, label: field.label }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Custom fields function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,86 @@
+import { createClient } from '@supabase/supabase-js';
+import { timingSafeEqual } from 'crypto';
+import { simpleParser } from 'mailparser';
+import { processInboundEmail } from './utils/inboundEmail';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const inboundSecret = process.env.INBOUND_EMAIL_SECRET;
+const inboundDomain = process.env.INBOUND_EMAIL_DOMAIN;
+const inboundAuthservId = process.env.INBOUND_EMAIL_AUTHSERV_ID || null;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+if (!inboundSecret || !inboundDomain) {
+  console.error('Missing inbound email environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Webhooks authenticate with the shared secret, in a header or the query string
+function hasValidSecret(event) {
+  const provided = event.headers['x-inbound-secret'] || event.queryStringParameters?.secret || '';
+
+  // timingSafeEqual needs buffers of the same byte length, which a multibyte value may not have
+  if (!inboundSecret || Buffer.byteLength(provided) !== Buffer.byteLength(inboundSecret)) {
+    return false;
+  }
+
+  return timingSafeEqual(Buffer.from(provided), Buffer.from(inboundSecret));
+}
+
+// Receives raw RFC 822 messages posted by the mail provider's inbound webhook
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method Not Allowed' })
+    };
+  }
+
+  if (!hasValidSecret(event)) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  if (!event.body) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Raw message is required' })
+    };
+  }
+
+  try {
+    const raw = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+    const message = await simpleParser(raw);
+    
+    const result = await processInboundEmail(supabase, message, inboundDomain, inboundAuthservId);
+    
+    // Ignored messages are still accepted so the provider does not retry them
+    return {
+      statusCode: result.status === 'created' ? 201 : 200,
+      headers,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('Email inbound function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
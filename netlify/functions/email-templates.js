@@ -0,0 +1,400 @@
+import { createClient } from '@supabase/supabase-js';
+import { checkOrganizationAdminAccess } from './utils/access';
+import {
+  EMAIL_EVENTS,
+  DEFAULT_EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_VARIABLES,
+  validateEmailTemplate,
+  getEmailTemplate,
+  saveEmailTemplate,
+  getEmailOrganization,
+  getSampleEmailContext,
+  renderEmailTemplate
+} from './utils/emailTemplates';
+import { formatTicketToken } from './utils/tickets';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/email-templates/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    const eventType = path.split('/')[0];
+    
+    // Route handling
+    switch (true) {
+      // Get the email types, the variables templates can use and the built-in templates
+      case path === 'variables' && event.httpMethod === 'GET': {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            events: EMAIL_EVENTS,
+            variables: EMAIL_TEMPLATE_VARIABLES,
+            defaults: DEFAULT_EMAIL_TEMPLATES
+          })
+        };
+      }
+      
+      // Get the template each email type uses for an organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const templates = await Promise.all(EMAIL_EVENTS.map(type => getEmailTemplate(supabase, organizationId, type)));
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(templates)
+        };
+      }
+      
+      // Render a template, saved or draft, with sample data and the organization's branding
+      case path === 'preview' && event.httpMethod === 'POST': {
+        const { organizationId, eventType: previewType, subject, body: templateBody } = body;
+        
+        if (!organizationId || !EMAIL_EVENTS.includes(previewType)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Organization ID and an email type (${EMAIL_EVENTS.join(', ')}) are required` })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const saved = await getEmailTemplate(supabase, organizationId, previewType);
+        const template = {
+          subject: subject !== undefined ? subject : saved.subject,
+          body: templateBody !== undefined ? templateBody : saved.body
+        };
+        const validationError = validateEmailTemplate(template);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { organization, branding } = await getEmailOrganization(supabase, organizationId);
+        const sample = getSampleEmailContext(organization, previewType);
+        const email = renderEmailTemplate(template, sample.context, organization, branding);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ ...email, subject: `${email.subject} ${formatTicketToken(sample.ticket)}` })
+        };
+      }
+      
+      // Save a new version of an email template
+      case EMAIL_EVENTS.includes(path) && event.httpMethod === 'PUT': {
+        const { organizationId, subject, body: templateBody } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateEmailTemplate({ subject, body: templateBody });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const template = await saveEmailTemplate(supabase, organizationId, eventType, { subject, body: templateBody }, user.id);
+        
+        if (!template) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'The template was changed by someone else, reload it and try again' })
+          };
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'email_template.update',
+          entityType: 'email_template',
+          entityId: template.id,
+          details: { event_type: eventType, version: template.version }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(template)
+        };
+      }
+      
+      // Go back to the built-in template (saved as a new version, so the history stays)
+      case /^[a-z_]+\/reset$/.test(path) && EMAIL_EVENTS.includes(eventType) && event.httpMethod === 'POST': {
+        const { organizationId } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const current = await getEmailTemplate(supabase, organizationId, eventType);
+        
+        if (!current.is_custom) {
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(current)
+          };
+        }
+        
+        const template = await saveEmailTemplate(supabase, organizationId, eventType, DEFAULT_EMAIL_TEMPLATES[eventType], user.id);
+        
+        if (!template) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'The template was changed by someone else, reload it and try again' })
+          };
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'email_template.reset',
+          entityType: 'email_template',
+          entityId: template.id,
+          details: { event_type: eventType, version: template.version }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(template)
+        };
+      }
+      
+      // Get an email template's saved versions, newest first
+      case /^[a-z_]+\/versions$/.test(path) && EMAIL_EVENTS.includes(eventType) && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(await getTemplateVersions(organizationId, eventType))
+        };
+      }
+      
+      // Restore an earlier version (saved as a new version)
+      case /^[a-z_]+\/versions\/\d+\/restore$/.test(path) && EMAIL_EVENTS.includes(eventType) && event.httpMethod === 'POST': {
+        const version = parseInt(path.split('/')[2], 10);
+        const { organizationId } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const previous = (await getTemplateVersions(organizationId, eventType)).find(item => item.version === version);
+        
+        if (!previous) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Template version not found' })
+          };
+        }
+        
+        const template = await saveEmailTemplate(
+          supabase,
+          organizationId,
+          eventType,
+          { subject: previous.subject, body: previous.body },
+          user.id,
+          version
+        );
+        
+        if (!template) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'The template was changed by someone else, reload it and try again' })
+          };
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'email_template.restore',
+          entityType: 'email_template',
+          entityId: template.id,
+          details: { event_type: eventType, version: template.version, restored_from: version }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(template)
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Email templates function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// An organization's saved versions of one template, newest first (none while it uses the built-in one)
+async function getTemplateVersions(organizationId, eventType) {
+  const { data, error } = await supabase
+    .from('email_template_versions')
+    .select('*, email_templates!inner(organization_id, event_type)')
+    .eq('email_templates.organization_id', organizationId)
+    .eq('email_templates.event_type', eventType)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  return data.map(({ email_templates, ...version }) => version);
+}
@@ -0,0 +1,356 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { recordAudit } from './utils/audit';
+import { validateEscalationPolicy, validateEscalationRecipients } from './utils/escalations';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/escalation-policies/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get escalation policies for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view escalation policies' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('escalation_policies')
+          .select('*')
+          .eq('organization_id', organizationId)
+          .order('name', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Escalations of a ticket
+      case /^tickets\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'GET': {
+        const ticketId = path.split('/')[1];
+        
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('id, organization_id')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view escalations' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('ticket_escalations')
+          .select('*, policy:policy_id(id, name, trigger)')
+          .eq('ticket_id', ticketId)
+          .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Create escalation policy
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, description, trigger, priorities = [], levels, isActive } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateEscalationPolicy({ name, trigger, priorities, levels }) ||
+          await validateEscalationRecipients(supabase, organizationId, levels);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('escalation_policies')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            description,
+            trigger,
+            priorities,
+            levels,
+            is_active: isActive !== undefined ? isActive : true,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'escalation_policy.create',
+          entityType: 'escalation_policy',
+          entityId: data[0].id,
+          details: { name: data[0].name, trigger, priorities, levels }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Update escalation policy
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const policyId = path;
+        const { name, description, trigger, priorities, levels, isActive } = body;
+        
+        const { data: policy, error: fetchError } = await supabase
+          .from('escalation_policies')
+          .select('*')
+          .eq('id', policyId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Escalation policy not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, policy.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateEscalationPolicy({
+          name: name ?? policy.name,
+          trigger: trigger ?? policy.trigger,
+          priorities: priorities ?? policy.priorities,
+          levels: levels ?? policy.levels
+        }) || await validateEscalationRecipients(supabase, policy.organization_id, levels ?? policy.levels);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('escalation_policies')
+          .update({
+            name: name?.trim(),
+            description,
+            trigger,
+            priorities,
+            levels,
+            is_active: isActive,
+            updated_at: new Date()
+          })
+          .eq('id', policyId)
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: policy.organization_id,
+          action: 'escalation_policy.update',
+          entityType: 'escalation_policy',
+          entityId: policyId,
+          details: body
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete escalation policy
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const policyId = path;
+        
+        const { data: policy, error: fetchError } = await supabase
+          .from('escalation_policies')
+          .select('*')
+          .eq('id', policyId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Escalation policy not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, policy.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // The policy's escalation records go with it; the ticket timelines keep theirs
+        const { error } = await supabase
+          .from('escalation_policies')
+          .delete()
+          .eq('id', policyId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: policy.organization_id,
+          action: 'escalation_policy.delete',
+          entityType: 'escalation_policy',
+          entityId: policyId,
+          details: { name: policy.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Escalation policies function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,313 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { validateTicketActions } from './utils/ticketActions';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/macros/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get macros for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId, includeInactive } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        // Macros are applied by staff only
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Staff access required' })
+          };
+        }
+        
+        let query = supabase
+          .from('macros')
+          .select('*')
+          .eq('organization_id', organizationId);
+        
+        if (includeInactive !== 'true') {
+          query = query.eq('is_active', true);
+        }
+        
+        const { data, error } = await query.order('name', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Create macro
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, description, actions, isActive } = body;
+        
+        if (!organizationId || !name?.trim()) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID and name are required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateTicketActions(actions);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('macros')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            description,
+            actions,
+            is_active: isActive !== undefined ? isActive : true,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'macro.create',
+          entityType: 'macro',
+          entityId: data[0].id,
+          details: { name: data[0].name, actions }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Update macro
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const macroId = path;
+        const { name, description, actions, isActive } = body;
+        
+        const { data: macro, error: fetchError } = await supabase
+          .from('macros')
+          .select('*')
+          .eq('id', macroId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Macro not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, macro.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        if (name !== undefined && !name.trim()) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Macro name cannot be empty' })
+          };
+        }
+        
+        const validationError = actions !== undefined ? validateTicketActions(actions) : null;
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('macros')
+          .update({
+            name: name?.trim(),
+            description,
+            actions,
+            is_active: isActive,
+            updated_at: new Date()
+          })
+          .eq('id', macroId)
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: macro.organization_id,
+          action: 'macro.update',
+          entityType: 'macro',
+          entityId: macroId,
+          details: body
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete macro
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const macroId = path;
+        
+        const { data: macro, error: fetchError } = await supabase
+          .from('macros')
+          .select('*')
+          .eq('id', macroId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Macro not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, macro.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { error } = await supabase
+          .from('macros')
+          .delete()
+          .eq('id', macroId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: macro.organization_id,
+          action: 'macro.delete',
+          entityType: 'macro',
+          entityId: macroId,
+          details: { name: macro.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Macros function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,162 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, PUT'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/notifications/', '');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get the current user's notifications
+      case path === 'mine' && event.httpMethod === 'GET': {
+        const { unread, page = '1', limit = '20' } = queryParams;
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const from = (pageNum - 1) * limitNum;
+        const to = from + limitNum - 1;
+        
+        let query = supabase
+          .from('notifications')
+          .select('*', { count: 'exact' })
+          .eq('user_id', user.id);
+        
+        if (unread === 'true') {
+          query = query.is('read_at', null);
+        }
+        
+        const { data, count, error } = await query
+          .order('created_at', { ascending: false })
+          .range(from, to);
+        
+        if (error) throw error;
+        
+        const { count: unreadCount, error: unreadError } = await supabase
+          .from('notifications')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', user.id)
+          .is('read_at', null);
+        
+        if (unreadError) throw unreadError;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            notifications: data,
+            totalCount: count,
+            unreadCount,
+            page: pageNum,
+            limit: limitNum
+          })
+        };
+      }
+      
+      // Mark all of the current user's notifications as read
+      case path === 'read-all' && event.httpMethod === 'PUT': {
+        const { error } = await supabase
+          .from('notifications')
+          .update({ read_at: new Date() })
+          .eq('user_id', user.id)
+          .is('read_at', null);
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      // Mark one notification as read
+      case /^[0-9a-fA-F-]+\/read$/.test(path) && event.httpMethod === 'PUT': {
+        const notificationId = path.split('/')[0];
+        
+        const { data, error } = await supabase
+          .from('notifications')
+          .update({ read_at: new Date() })
+          .eq('id', notificationId)
+          .eq('user_id', user.id)
+          .select();
+        
+        if (error) throw error;
+        
+        if (data.length === 0) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Notification not found' })
+          };
+        }
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Notifications function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,4 +1,12 @@
 import { createClient } from '@supabase/supabase-js';
+import { recordAudit } from './utils/audit';
+import { checkOrganizationAccess, checkOrganizationAdminAccess } from './utils/access';
+import { TICKET_PRIORITIES } from './utils/sla';
+import { validateBusinessCalendar } from './utils/businessHours';
+import { DEFAULT_STATUS_TRANSITIONS, validateStatusTransitions } from './utils/statusTransitions';
+import { validateTicketPrefix } from './utils/tickets';
+import { validateAssignmentSettings } from './utils/assignment';
+import { validateAttachmentSettings } from './utils/attachments';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -57,7 +65,17 @@ exports.handler = async (event, context) => {
     switch (true) {
       // Create organization
       case path === 'create' && event.httpMethod === 'POST': {
-        const { name, adminId, status, subdomain, customUrl, maxUsers } = body;
+        const { name, adminId, status, subdomain, customUrl, maxUsers, ticketPrefix } = body;
+        
+        const prefixError = validateTicketPrefix(ticketPrefix);
+        
+        if (prefixError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: prefixError })
+          };
+        }
         
         const { data, error } = await supabase
           .from('organizations')
@@ -68,11 +86,21 @@ exports.handler = async (event, context) => {
             subdomain,
             custom_url: customUrl,
             max_users: maxUsers || 5,
-            current_users: 1
+            current_users: 1,
+            ticket_prefix: ticketPrefix ? ticketPrefix.toUpperCase() : null
           }])
           .select();
         
-        if (error) throw error;
+        if (error) {
+          if (error.code === '23505' && error.message.includes('ticket_prefix')) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: 'Ticket prefix is already in use' })
+            };
+          }
+          throw error;
+        }
         
         // Create default branding for the organization
         await supabase
@@ -81,6 +109,15 @@ exports.handler = async (event, context) => {
             organization_id: data[0].id
           }]);
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: data[0].id,
+          action: 'organization.create',
+          entityType: 'organization',
+          entityId: data[0].id,
+          details: { name, subdomain, admin_id: adminId }
+        });
+        
         return {
           statusCode: 201,
           headers,
@@ -186,7 +223,61 @@ exports.handler = async (event, context) => {
       // Update organization
       case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
         const orgId = path;
-        const { name, status, subdomain, customUrl, maxUsers, currentUsers } = body;
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, orgId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const {
+          name,
+          status,
+          subdomain,
+          customUrl,
+          maxUsers,
+          currentUsers,
+          autoReplyEnabled,
+          autoReplyMessage,
+          ticketPrefix,
+          assignmentMode,
+          assignmentMaxOpenTickets,
+          attachmentMaxSizeMb,
+          attachmentAllowedTypes
+        } = body;
+        
+        const prefixError = validateTicketPrefix(ticketPrefix);
+        
+        if (prefixError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: prefixError })
+          };
+        }
+        
+        const assignmentError = validateAssignmentSettings({ assignmentMode, assignmentMaxOpenTickets });
+        
+        if (assignmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: assignmentError })
+          };
+        }
+        
+        const attachmentError = validateAttachmentSettings({ attachmentMaxSizeMb, attachmentAllowedTypes });
+        
+        if (attachmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: attachmentError })
+          };
+        }
         
         const { data, error } = await supabase
           .from('organizations')
@@ -197,12 +288,51 @@ exports.handler = async (event, context) => {
             custom_url: customUrl,
             max_users: maxUsers,
             current_users: currentUsers,
+            auto_reply_enabled: autoReplyEnabled,
+            auto_reply_message: autoReplyMessage,
+            // New tickets use the new prefix; existing ticket references keep theirs
+            ticket_prefix: ticketPrefix === undefined ? undefined : ticketPrefix ? ticketPrefix.toUpperCase() : null,
+            assignment_mode: assignmentMode,
+            // null removes the cap
+            assignment_max_open_tickets: assignmentMaxOpenTickets,
+            attachment_max_size_mb: attachmentMaxSizeMb,
+            attachment_allowed_types: attachmentAllowedTypes?.map(type => type.toLowerCase()),
             updated_at: new Date()
           })
           .eq('id', orgId)
           .select();
         
-        if (error) throw error;
+        if (error) {
+          if (error.code === '23505' && error.message.includes('ticket_prefix')) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: 'Ticket prefix is already in use' })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.update',
+          entityType: 'organization',
+          entityId: orgId,
+          details: {
+            name,
+            status,
+            subdomain,
+            custom_url: customUrl,
+            max_users: maxUsers,
+            auto_reply_enabled: autoReplyEnabled,
+            ticket_prefix: ticketPrefix,
+            assignment_mode: assignmentMode,
+            assignment_max_open_tickets: assignmentMaxOpenTickets,
+            attachment_max_size_mb: attachmentMaxSizeMb,
+            attachment_allowed_types: attachmentAllowedTypes
+          }
+        });
         
         return {
           statusCode: 200,
@@ -268,6 +398,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.branding.update',
+          entityType: 'organization_branding',
+          entityId: data[0].id,
+          details: body
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -275,6 +414,313 @@ exports.handler = async (event, context) => {
         };
       }
       
+      // Get organization SLA policies
+      case /^[0-9a-fA-F-]+\/sla-policies$/.test(path) && event.httpMethod === 'GET': {
+        const orgId = path.split('/')[0];
+        
+        const hasAccess = await checkOrganizationAccess(supabase, user.id, orgId);
+        if (!hasAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('sla_policies')
+          .select('*')
+          .eq('organization_id', orgId)
+          .order('priority', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Update organization SLA policies
+      case /^[0-9a-fA-F-]+\/sla-policies$/.test(path) && event.httpMethod === 'PUT': {
+        const orgId = path.split('/')[0];
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, orgId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { policies } = body;
+        
+        if (!Array.isArray(policies) || policies.length === 0) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Policies are required' })
+          };
+        }
+        
+        const invalidPolicy = policies.find(policy =>
+          !TICKET_PRIORITIES.includes(policy.priority) ||
+          !isValidSlaTarget(policy.firstResponseMinutes) ||
+          !isValidSlaTarget(policy.resolutionMinutes)
+        );
+        
+        if (invalidPolicy) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Invalid SLA policy for priority: ${invalidPolicy.priority}` })
+          };
+        }
+        
+        // One policy per priority, so upsert on the pair
+        const { data, error } = await supabase
+          .from('sla_policies')
+          .upsert(policies.map(policy => ({
+            organization_id: orgId,
+            priority: policy.priority,
+            first_response_minutes: policy.firstResponseMinutes ?? null,
+            resolution_minutes: policy.resolutionMinutes ?? null,
+            is_active: policy.isActive !== undefined ? policy.isActive : true,
+            updated_at: new Date()
+          })), { onConflict: 'organization_id,priority' })
+          .select();
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.sla_policies.update',
+          entityType: 'organization',
+          entityId: orgId,
+          details: { policies }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Get organization business hours
+      case /^[0-9a-fA-F-]+\/business-hours$/.test(path) && event.httpMethod === 'GET': {
+        const orgId = path.split('/')[0];
+        
+        const hasAccess = await checkOrganizationAccess(supabase, user.id, orgId);
+        if (!hasAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('business_calendars')
+          .select('*')
+          .eq('organization_id', orgId)
+          .order('created_at', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Replace organization business hours
+      case /^[0-9a-fA-F-]+\/business-hours$/.test(path) && event.httpMethod === 'PUT': {
+        const orgId = path.split('/')[0];
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, orgId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { calendars } = body;
+        
+        if (!Array.isArray(calendars)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Calendars are required' })
+          };
+        }
+        
+        for (const calendar of calendars) {
+          const validationError = validateBusinessCalendar(calendar);
+          
+          if (validationError) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: validationError })
+            };
+          }
+        }
+        
+        // Calendars are small, so replace the whole set
+        const { error: deleteError } = await supabase
+          .from('business_calendars')
+          .delete()
+          .eq('organization_id', orgId);
+        
+        if (deleteError) throw deleteError;
+        
+        let data = [];
+        
+        if (calendars.length > 0) {
+          const result = await supabase
+            .from('business_calendars')
+            .insert(calendars.map(calendar => ({
+              organization_id: orgId,
+              name: calendar.name,
+              timezone: calendar.timezone,
+              hours: calendar.hours || {},
+              holidays: calendar.holidays || [],
+              is_active: calendar.isActive !== undefined ? calendar.isActive : true
+            })))
+            .select();
+          
+          if (result.error) throw result.error;
+          
+          data = result.data;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.business_hours.update',
+          entityType: 'organization',
+          entityId: orgId,
+          details: { calendars: calendars.map(calendar => calendar.name) }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Get organization ticket status transitions
+      case /^[0-9a-fA-F-]+\/status-transitions$/.test(path) && event.httpMethod === 'GET': {
+        const orgId = path.split('/')[0];
+        
+        const hasAccess = await checkOrganizationAccess(supabase, user.id, orgId);
+        if (!hasAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('ticket_status_transitions')
+          .select('*')
+          .eq('organization_id', orgId);
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            transitions: data.length > 0 ? data : DEFAULT_STATUS_TRANSITIONS,
+            isDefault: data.length === 0
+          })
+        };
+      }
+      
+      // Replace organization ticket status transitions (an empty list restores the defaults)
+      case /^[0-9a-fA-F-]+\/status-transitions$/.test(path) && event.httpMethod === 'PUT': {
+        const orgId = path.split('/')[0];
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, orgId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { transitions } = body;
+        
+        if (!Array.isArray(transitions)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Transitions are required' })
+          };
+        }
+        
+        const validationError = validateStatusTransitions(transitions);
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { error: deleteError } = await supabase
+          .from('ticket_status_transitions')
+          .delete()
+          .eq('organization_id', orgId);
+        
+        if (deleteError) throw deleteError;
+        
+        let data = DEFAULT_STATUS_TRANSITIONS;
+        
+        if (transitions.length > 0) {
+          const result = await supabase
+            .from('ticket_status_transitions')
+            .insert(transitions.map(item => ({
+              organization_id: orgId,
+              from_status: item.fromStatus,
+              to_status: item.toStatus,
+              allowed_roles: item.allowedRoles,
+              requires_comment: item.requiresComment || false
+            })))
+            .select();
+          
+          if (result.error) throw result.error;
+          
+          data = result.data;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.status_transitions.update',
+          entityType: 'organization',
+          entityId: orgId,
+          details: { transitions, reset_to_default: transitions.length === 0 }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ transitions: data, isDefault: transitions.length === 0 })
+        };
+      }
+      
       // Get all organizations (for superadmin)
       case path === 'all' && event.httpMethod === 'GET': {
         const {
@@ -368,6 +814,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: orgId,
+          action: 'organization.logo.update',
+          entityType: 'organization_branding',
+          entityId: data[0]?.id,
+          details: { logo_url: logoUrl }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -395,3 +850,8 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// SLA targets are whole minutes; null leaves the target unset
+function isValidSlaTarget(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
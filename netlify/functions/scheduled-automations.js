@@ -0,0 +1,35 @@
+import { createClient } from '@supabase/supabase-js';
+import { runScheduledAutomations } from './utils/scheduledAutomations';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Scheduled functions are stopped after 30 seconds; no new rule starts after this
+const TIME_BUDGET_MS = 20 * 1000;
+
+// Runs on the schedule set in netlify.toml; scheduled functions cannot be called over HTTP
+exports.handler = async (event, context) => {
+  try {
+    const now = new Date();
+    const runs = await runScheduledAutomations(supabase, now, now.getTime() + TIME_BUDGET_MS);
+    
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ runs: runs.map(({ id, organization_id, status }) => ({ id, organization_id, status })) })
+    };
+  } catch (error) {
+    console.error('Scheduled automations function error:', error);
+    
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,42 @@
+import { createClient } from '@supabase/supabase-js';
+import { runOutOfOfficeReassignments } from './utils/outOfOffice';
+import { cleanUpPendingAttachments } from './utils/attachments';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Runs on the schedule set in netlify.toml; scheduled functions cannot be called over HTTP.
+// Each task runs even if the one before it failed.
+exports.handler = async (event, context) => {
+  const now = new Date();
+  const result = {};
+  const errors = {};
+  
+  try {
+    result.reassignedTickets = await runOutOfOfficeReassignments(supabase, now);
+  } catch (error) {
+    console.error('Out-of-office handover error:', error);
+    errors.reassignedTickets = error.message;
+  }
+  
+  try {
+    result.abandonedUploads = await cleanUpPendingAttachments(supabase, now);
+  } catch (error) {
+    console.error('Upload cleanup error:', error);
+    errors.abandonedUploads = error.message;
+  }
+  
+  const failed = Object.keys(errors).length > 0;
+  
+  return {
+    statusCode: failed ? 500 : 200,
+    body: JSON.stringify(failed ? { ...result, errors } : result)
+  };
+};
@@ -0,0 +1,574 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { recordAudit } from './utils/audit';
+import { getAssignableAgents } from './utils/assignment';
+import {
+  validateSkill,
+  validateAgentSkills,
+  validateSkillRequirements,
+  getRequiredSkills,
+  getQualifiedAgentIds
+} from './utils/skills';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/skills/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get the skill matrix for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view skills' })
+          };
+        }
+        
+        const { data: skills, error } = await supabase
+          .from('skills')
+          .select('*, skill_requirements(id, category, tag_id, min_proficiency)')
+          .eq('organization_id', organizationId)
+          .order('name', { ascending: true });
+        
+        if (error) throw error;
+        
+        const { data: agents, error: agentsError } = await supabase
+          .from('users')
+          .select('id, first_name, last_name, email, agent_skills(skill_id, proficiency)')
+          .eq('organization_id', organizationId)
+          .eq('role', 'agent')
+          .eq('status', 'active')
+          .order('first_name', { ascending: true });
+        
+        if (agentsError) throw agentsError;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ skills, agents })
+        };
+      }
+      
+      // Agents qualified for a ticket, by the skills its category and tags require
+      case path === 'qualified-agents' && event.httpMethod === 'GET': {
+        const { ticketId } = queryParams;
+        
+        if (!ticketId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Ticket ID is required' })
+          };
+        }
+        
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('id, organization_id, category, tags(id)')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view skills' })
+          };
+        }
+        
+        const agents = await getAssignableAgents(supabase, ticket.organization_id);
+        const requiredSkills = await getRequiredSkills(supabase, ticket.organization_id, {
+          category: ticket.category,
+          tagIds: ticket.tags.map(tag => tag.id)
+        });
+        const qualifiedAgentIds = await getQualifiedAgentIds(supabase, agents.map(agent => agent.id), requiredSkills);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            requiredSkills: [...requiredSkills].map(([skillId, minProficiency]) => ({ skillId, minProficiency })),
+            agents: agents
+              .filter(agent => qualifiedAgentIds.has(agent.id))
+              .map(({ id, first_name, last_name, email }) => ({ id, first_name, last_name, email }))
+          })
+        };
+      }
+      
+      // Create skill
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, description } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateSkill({ name });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('skills')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            description,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A skill named "${name.trim()}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'skill.create',
+          entityType: 'skill',
+          entityId: data[0].id,
+          details: { name: data[0].name }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Set the skills of an agent
+      case /^agents\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const agentId = path.split('/')[1];
+        const { skills } = body;
+        
+        const { data: agent, error: agentError } = await supabase
+          .from('users')
+          .select('id, organization_id, role')
+          .eq('id', agentId)
+          .single();
+        
+        if (agentError) {
+          if (agentError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Agent not found' })
+            };
+          }
+          throw agentError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, agent.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        if (agent.role === 'customer') {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Only agents can have skills' })
+          };
+        }
+        
+        const validationError = validateAgentSkills(skills);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const skillIds = skills.map(skill => skill.skillId);
+        
+        if (skillIds.length > 0) {
+          const { data: orgSkills, error: skillsError } = await supabase
+            .from('skills')
+            .select('id')
+            .eq('organization_id', agent.organization_id)
+            .in('id', skillIds);
+          
+          if (skillsError) throw skillsError;
+          
+          if (orgSkills.length !== skillIds.length) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Skills must belong to the agent\'s organization' })
+            };
+          }
+        }
+        
+        // An agent has few skills, so replace the whole set
+        const { data, error } = await supabase.rpc('replace_agent_skills', {
+          target_user_id: agentId,
+          skills: skills.map(skill => ({
+            skill_id: skill.skillId,
+            proficiency: skill.proficiency
+          }))
+        });
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: agent.organization_id,
+          action: 'skill.agent.update',
+          entityType: 'user',
+          entityId: agentId,
+          details: { skills }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Set which categories and tags need a skill
+      case /^[0-9a-fA-F-]+\/requirements$/.test(path) && event.httpMethod === 'PUT': {
+        const skillId = path.split('/')[0];
+        const { requirements } = body;
+        
+        const { data: skill, error: fetchError } = await supabase
+          .from('skills')
+          .select('*')
+          .eq('id', skillId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Skill not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, skill.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateSkillRequirements(requirements);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const tagIds = requirements.filter(requirement => requirement.tagId).map(requirement => requirement.tagId);
+        
+        if (tagIds.length > 0) {
+          const { data: tags, error: tagsError } = await supabase
+            .from('tags')
+            .select('id')
+            .eq('organization_id', skill.organization_id)
+            .in('id', tagIds);
+          
+          if (tagsError) throw tagsError;
+          
+          if (tags.length !== new Set(tagIds).size) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Tags must belong to the skill\'s organization' })
+            };
+          }
+        }
+        
+        const { data, error } = await supabase.rpc('replace_skill_requirements', {
+          target_skill_id: skillId,
+          requirements: requirements.map(requirement => ({
+            organization_id: skill.organization_id,
+            category: requirement.category?.trim() || null,
+            tag_id: requirement.tagId || null,
+            min_proficiency: requirement.minProficiency || 1
+          }))
+        });
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: skill.organization_id,
+          action: 'skill.requirements.update',
+          entityType: 'skill',
+          entityId: skillId,
+          details: { name: skill.name, requirements }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Rename skill
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const skillId = path;
+        const { name, description } = body;
+        
+        const { data: skill, error: fetchError } = await supabase
+          .from('skills')
+          .select('*')
+          .eq('id', skillId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Skill not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, skill.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateSkill({ name: name ?? skill.name });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('skills')
+          .update({
+            name: name?.trim(),
+            description,
+            updated_at: new Date()
+          })
+          .eq('id', skillId)
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A skill named "${name.trim()}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: skill.organization_id,
+          action: 'skill.update',
+          entityType: 'skill',
+          entityId: skillId,
+          details: { old_name: skill.name, name: data[0].name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete skill
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const skillId = path;
+        
+        const { data: skill, error: fetchError } = await supabase
+          .from('skills')
+          .select('*')
+          .eq('id', skillId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Skill not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, skill.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // Agent skills and requirements go with it
+        const { error } = await supabase
+          .from('skills')
+          .delete()
+          .eq('id', skillId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: skill.organization_id,
+          action: 'skill.delete',
+          entityType: 'skill',
+          entityId: skillId,
+          details: { name: skill.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Skills function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { recordAudit } from './utils/audit';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -64,6 +65,8 @@ exports.handler = async (event, context) => {
       };
     }
 
+    const actor = { role: 'superadmin', profile: superAdminData };
+    
     const path = event.path.replace('/.netlify/functions/stripe/', '');
     const body = JSON.parse(event.body || '{}');
     const queryParams = event.queryStringParameters || {};
@@ -170,6 +173,22 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        // Record which settings changed, never the keys themselves
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          action: 'stripe.config.update',
+          entityType: 'platform_stripe_config',
+          entityId: data[0].id,
+          details: {
+            test_mode: testMode,
+            enabled,
+            keys_updated: Object.entries({ testPublishableKey, testSecretKey, livePublishableKey, liveSecretKey, webhookSecret })
+              .filter(([, value]) => value !== undefined)
+              .map(([key]) => key)
+          }
+        });
+        
         // Don't return secret keys to the frontend
         const safeConfig = {
           id: data[0].id,
@@ -207,6 +226,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          action: 'stripe.plan.create',
+          entityType: 'pricing_plan',
+          entityId: data[0].id,
+          details: { name, price, billing_cycle: billingCycle, max_users: maxUsers }
+        });
+        
         return {
           statusCode: 201,
           headers,
@@ -252,6 +280,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          action: 'stripe.plan.update',
+          entityType: 'pricing_plan',
+          entityId: planId,
+          details: { name, price, billing_cycle: billingCycle, max_users: maxUsers, is_active: isActive }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -270,6 +307,14 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          action: 'stripe.plan.delete',
+          entityType: 'pricing_plan',
+          entityId: planId
+        });
+        
         return {
           statusCode: 200,
           headers,
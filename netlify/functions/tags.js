@@ -0,0 +1,423 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAccess, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { validateTag } from './utils/tags';
+import { getActorFields, recordTicketEvents } from './utils/ticketHistory';
+import { recordAudit } from './utils/audit';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/tags/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get tags for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId, search } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAccess = await checkOrganizationAccess(supabase, user.id, organizationId);
+        if (!hasAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        let query = supabase
+          .from('tags')
+          .select('*, ticket_tags(count)')
+          .eq('organization_id', organizationId);
+        
+        if (search) {
+          query = query.ilike('name', `%${search}%`);
+        }
+        
+        const { data, error } = await query.order('name', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data.map(({ ticket_tags, ...tag }) => ({
+            ...tag,
+            ticket_count: ticket_tags[0]?.count || 0
+          })))
+        };
+      }
+      
+      // Create tag
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, color } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        // Any staff member of the organization can create tags while tagging tickets
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can create tags' })
+          };
+        }
+        
+        const validationError = validateTag({ name, color });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('tags')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            color: color || null,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A tag named "${name.trim()}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId,
+          action: 'tag.create',
+          entityType: 'tag',
+          entityId: data[0].id,
+          details: { name: data[0].name, color: data[0].color }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Rename tag
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const tagId = path;
+        const { name, color } = body;
+        
+        const { data: tag, error: fetchError } = await supabase
+          .from('tags')
+          .select('*')
+          .eq('id', tagId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Tag not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, tag.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateTag({ name: name ?? tag.name, color });
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('tags')
+          .update({
+            name: name?.trim(),
+            color,
+            updated_at: new Date()
+          })
+          .eq('id', tagId)
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A tag named "${name.trim()}" already exists. Merge the tags instead` })
+            };
+          }
+          throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: tag.organization_id,
+          action: 'tag.update',
+          entityType: 'tag',
+          entityId: tagId,
+          details: { old_name: tag.name, name: data[0].name, color: data[0].color }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Merge tag into another tag
+      case /^[0-9a-fA-F-]+\/merge$/.test(path) && event.httpMethod === 'POST': {
+        const sourceTagId = path.split('/')[0];
+        const { targetTagId } = body;
+        
+        if (!targetTagId || targetTagId === sourceTagId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'A different tag to merge into is required' })
+          };
+        }
+        
+        const { data: mergeTags, error: fetchError } = await supabase
+          .from('tags')
+          .select('*')
+          .in('id', [sourceTagId, targetTagId]);
+        
+        if (fetchError) throw fetchError;
+        
+        const sourceTag = mergeTags.find(item => item.id === sourceTagId);
+        const targetTag = mergeTags.find(item => item.id === targetTagId);
+        
+        if (!sourceTag || !targetTag) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Tag not found' })
+          };
+        }
+        
+        if (sourceTag.organization_id !== targetTag.organization_id) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Tags must belong to the same organization' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, sourceTag.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        const actorFields = getActorFields(user.id, actor);
+        
+        // Retags every ticket, records the timeline events and deletes the source tag in one transaction
+        const { error: mergeError } = await supabase.rpc('merge_tags', {
+          source_tag_id: sourceTagId,
+          target_tag_id: targetTagId,
+          merged_by_id: actorFields.actor_id,
+          merged_by_name: actorFields.actor_name,
+          merged_by_role: actorFields.actor_role
+        });
+        
+        if (mergeError) throw mergeError;
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: sourceTag.organization_id,
+          action: 'tag.merge',
+          entityType: 'tag',
+          entityId: targetTagId,
+          details: { source_tag_id: sourceTagId, source_name: sourceTag.name, target_name: targetTag.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(targetTag)
+        };
+      }
+      
+      // Delete tag
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const tagId = path;
+        
+        const { data: tag, error: fetchError } = await supabase
+          .from('tags')
+          .select('*')
+          .eq('id', tagId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Tag not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, tag.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const { data: taggedTickets, error: taggedError } = await supabase
+          .from('ticket_tags')
+          .select('ticket_id')
+          .eq('tag_id', tagId);
+        
+        if (taggedError) throw taggedError;
+        
+        const { error } = await supabase
+          .from('tags')
+          .delete()
+          .eq('id', tagId);
+        
+        if (error) throw error;
+        
+        // Deleting the tag untags its tickets, so note that on each timeline
+        const actor = await getUserRole(supabase, user.id);
+        const actorFields = getActorFields(user.id, actor);
+        
+        for (const { ticket_id } of taggedTickets) {
+          await recordTicketEvents(supabase, { id: ticket_id, organization_id: tag.organization_id }, [{
+            event_type: 'tag_removed',
+            old_value: tag.name,
+            details: { tag_id: tagId, tag_deleted: true }
+          }], actorFields);
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: tag.organization_id,
+          action: 'tag.delete',
+          entityType: 'tag',
+          entityId: tagId,
+          details: { name: tag.name, ticket_count: taggedTickets.length }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Tags function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
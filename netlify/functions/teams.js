@@ -0,0 +1,420 @@
+import { createClient } from '@supabase/supabase-js';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff } from './utils/access';
+import { recordAudit } from './utils/audit';
+import { validateTeam, validateTeamMembers } from './utils/teams';
+
+// Initialize Supabase client
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing Supabase environment variables');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+exports.handler = async (event, context) => {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Get token from Authorization header
+  const token = event.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  try {
+    // Verify token and get user
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+    
+    const path = event.path.replace('/.netlify/functions/teams/', '');
+    const body = JSON.parse(event.body || '{}');
+    const queryParams = event.queryStringParameters || {};
+    
+    // Route handling
+    switch (true) {
+      // Get teams for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const { organizationId } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can view teams' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('teams')
+          .select(`
+            *,
+            lead:lead_id(id, first_name, last_name, email),
+            team_members(user:user_id(id, first_name, last_name, email))
+          `)
+          .eq('organization_id', organizationId)
+          .order('name', { ascending: true });
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data.map(({ team_members, ...team }) => ({
+            ...team,
+            members: team_members.map(member => member.user)
+          })))
+        };
+      }
+      
+      // Create team
+      case path === 'create' && event.httpMethod === 'POST': {
+        const { organizationId, name, description, leadId, memberIds = [] } = body;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, organizationId);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateTeam({ name }) ||
+          await validateTeamMembers(supabase, organizationId, leadId ? [...memberIds, leadId] : memberIds);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('teams')
+          .insert([{
+            organization_id: organizationId,
+            name: name.trim(),
+            description,
+            lead_id: leadId || null,
+            created_by: user.id
+          }])
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A team named "${name.trim()}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        // The lead is always a member
+        const members = [...new Set(leadId ? [...memberIds, leadId] : memberIds)];
+        
+        if (members.length > 0) {
+          const { error: membersError } = await supabase
+            .from('team_members')
+            .insert(members.map(userId => ({ team_id: data[0].id, user_id: userId })));
+          
+          if (membersError) throw membersError;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'team.create',
+          entityType: 'team',
+          entityId: data[0].id,
+          details: { name: data[0].name, lead_id: data[0].lead_id, member_ids: members }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ ...data[0], member_ids: members })
+        };
+      }
+      
+      // Set the members of a team
+      case /^[0-9a-fA-F-]+\/members$/.test(path) && event.httpMethod === 'PUT': {
+        const teamId = path.split('/')[0];
+        const { memberIds } = body;
+        
+        const { data: team, error: fetchError } = await supabase
+          .from('teams')
+          .select('*')
+          .eq('id', teamId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Team not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, team.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = await validateTeamMembers(supabase, team.organization_id, memberIds);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const members = [...new Set(team.lead_id ? [...memberIds, team.lead_id] : memberIds)];
+        
+        // Teams are small, so replace the whole set
+        const { error: deleteError } = await supabase
+          .from('team_members')
+          .delete()
+          .eq('team_id', teamId);
+        
+        if (deleteError) throw deleteError;
+        
+        if (members.length > 0) {
+          const { error } = await supabase
+            .from('team_members')
+            .insert(members.map(userId => ({ team_id: teamId, user_id: userId })));
+          
+          if (error) throw error;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: team.organization_id,
+          action: 'team.members.update',
+          entityType: 'team',
+          entityId: teamId,
+          details: { name: team.name, member_ids: members }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ ...team, member_ids: members })
+        };
+      }
+      
+      // Update team
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
+        const teamId = path;
+        const { name, description, leadId } = body;
+        
+        const { data: team, error: fetchError } = await supabase
+          .from('teams')
+          .select('*')
+          .eq('id', teamId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Team not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, team.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        const validationError = validateTeam({ name: name ?? team.name }) ||
+          await validateTeamMembers(supabase, team.organization_id, leadId ? [leadId] : []);
+        
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('teams')
+          .update({
+            name: name?.trim(),
+            description,
+            // null removes the lead
+            lead_id: leadId,
+            updated_at: new Date()
+          })
+          .eq('id', teamId)
+          .select();
+        
+        if (error) {
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `A team named "${name.trim()}" already exists` })
+            };
+          }
+          throw error;
+        }
+        
+        if (leadId) {
+          const { error: memberError } = await supabase
+            .from('team_members')
+            .upsert([{ team_id: teamId, user_id: leadId }], { onConflict: 'team_id,user_id', ignoreDuplicates: true });
+          
+          if (memberError) throw memberError;
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: team.organization_id,
+          action: 'team.update',
+          entityType: 'team',
+          entityId: teamId,
+          details: { old_name: team.name, name: data[0].name, lead_id: data[0].lead_id }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Delete team
+      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const teamId = path;
+        
+        const { data: team, error: fetchError } = await supabase
+          .from('teams')
+          .select('*')
+          .eq('id', teamId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Team not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, team.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // The team's tickets stay assigned to their agents but leave the team queue
+        const { error } = await supabase
+          .from('teams')
+          .delete()
+          .eq('id', teamId);
+        
+        if (error) throw error;
+        
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: team.organization_id,
+          action: 'team.delete',
+          entityType: 'team',
+          entityId: teamId,
+          details: { name: team.name }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      
+      default:
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not Found' })
+        };
+    }
+  } catch (error) {
+    console.error('Teams function error:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -1,4 +1,47 @@
 import { createClient } from '@supabase/supabase-js';
+import {
+  getSlaPolicy,
+  computeSlaTargets,
+  getStatusSlaUpdates,
+  getFirstResponseSlaUpdates,
+  getSlaState,
+  getBreachedFilter
+} from './utils/sla';
+import { getBusinessClock } from './utils/businessHours';
+import { getStatusTransitions, checkStatusTransition, validateStatusChange } from './utils/statusTransitions';
+import { getUserRole, checkOrganizationAdminAccess, isOrganizationStaff, canAccessTicket } from './utils/access';
+import { deleteAttachments, getInlineImageUrls } from './utils/attachments';
+import { renderMarkdown, getInlineImageIds, resolveInlineImages } from './utils/markdown';
+import { diffTicketFields, getActorFields, recordTicketEvents, getCustomerVisibleEvents } from './utils/ticketHistory';
+import { recordAudit } from './utils/audit';
+import { UUID_PATTERN, createTicket, sendAutoReply, isTicketIdentifier, parseTicketReference, resolveTicketId } from './utils/tickets';
+import { canUseCannedResponse, recordCannedResponseUse } from './utils/cannedResponses';
+import { renderTemplate, getTicketTemplateContext } from './utils/templates';
+import { applyTicketActions } from './utils/ticketActions';
+import { runAutomations } from './utils/automations';
+import { notifyTicketCreated, notifyTicketResponse, notifyTicketChanges } from './utils/emailNotifications';
+import {
+  LINK_RELATIONS,
+  toLinkRow,
+  describeLink,
+  getTicketLinks,
+  getLinkedTicketIds,
+  getParentFilterSelect,
+  applyParentFilter,
+  createsParentCycle
+} from './utils/ticketLinks';
+import { getTagFilterSelect, applyTagFilters } from './utils/tags';
+import { validateTeamAssignment, getUserTeamIds } from './utils/teams';
+import { validateAssignee } from './utils/assignment';
+import {
+  CUSTOM_FIELD_PARAM_PREFIX,
+  getCustomFields,
+  validateCustomFieldValues,
+  validateCustomFieldChanges,
+  diffCustomFieldValues,
+  applyCustomFieldFilters,
+  getCustomFieldSortColumn
+} from './utils/customFields';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -57,212 +100,1556 @@ exports.handler = async (event, context) => {
     switch (true) {
       // Create ticket
       case path === 'create' && event.httpMethod === 'POST': {
-        const { title, description, status, priority, category, organizationId, createdBy, assignedTo } = body;
+        const {
+          title,
+          description,
+          status,
+          priority,
+          category,
+          organizationId,
+          createdBy,
+          assignedTo,
+          assignedTeamId,
+          customFields
+        } = body;
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!actor || (actor.role !== 'superadmin' && actor.profile.organization_id !== organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        // Customers open tickets for themselves and leave routing to staff
+        if (actor.role === 'customer' && ((createdBy && createdBy !== user.id) || assignedTo || assignedTeamId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Customers can only open tickets for themselves' })
+          };
+        }
+        
+        const teamError = await validateTeamAssignment(supabase, assignedTeamId, organizationId);
+        
+        if (teamError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: teamError })
+          };
+        }
+        
+        const assigneeError = await validateAssignee(supabase, assignedTo, organizationId);
+        
+        if (assigneeError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: assigneeError })
+          };
+        }
+        
+        const customFieldResult = validateCustomFieldValues(
+          await getCustomFields(supabase, organizationId),
+          customFields,
+          category || 'General'
+        );
+        
+        if (customFieldResult.error) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: customFieldResult.error })
+          };
+        }
+        
+        // New tickets start open; starting anywhere else has to be a move the transition rules allow from open
+        if (status && status !== 'open') {
+          const transitionError = checkStatusTransition(await getStatusTransitions(supabase, organizationId), {
+            fromStatus: 'open',
+            toStatus: status,
+            role: actor.role,
+            hasComment: false
+          });
+          
+          if (transitionError) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: transitionError })
+            };
+          }
+        }
+        
+        const { ticket, calendars } = await createTicket(supabase, {
+          title,
+          description,
+          status,
+          priority,
+          category,
+          created_by: createdBy || user.id,
+          assigned_to: assignedTo,
+          assigned_team_id: assignedTeamId || null,
+          organization_id: organizationId,
+          custom_fields: customFieldResult.values
+        }, getActorFields(user.id, actor));
+        
+        await sendAutoReply(supabase, ticket, calendars);
+        await notifyTicketCreated(supabase, ticket, user.id);
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: ticket.organization_id,
+          action: 'ticket.create',
+          entityType: 'ticket',
+          entityId: ticket.id,
+          details: { title, priority: ticket.priority, status: ticket.status }
+        });
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(await runTicketAutomations('ticket.created', ticket))
+        };
+      }
+      
+      // Get tickets for organization
+      case path === 'organization' && event.httpMethod === 'GET': {
+        const {
+          organizationId,
+          status,
+          priority,
+          category,
+          assignedTo,
+          teamId,
+          queue,
+          createdBy,
+          search,
+          breached,
+          linkedTo,
+          linkType,
+          hasParent,
+          tags,
+          excludeTags,
+          tagMatch,
+          page = '1',
+          limit = '10',
+          sortBy = 'created_at',
+          sortOrder = 'desc'
+        } = queryParams;
+        
+        if (!organizationId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Organization ID is required' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!actor || (actor.role !== 'superadmin' && actor.profile.organization_id !== organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        // Parent and tag filters join their tables within the query
+        const filterEmbeds = getParentFilterSelect(hasParent) + getTagFilterSelect({ tags, excludeTags, tagMatch });
+        
+        let query = supabase
+          .from('tickets')
+          .select(`*, created_by(*), assigned_to(*), assigned_team:assigned_team_id(id, name), tags(id, name, color)${filterEmbeds}`, { count: 'exact' })
+          .eq('organization_id', organizationId);
+        
+        // Customers only see the tickets they opened
+        if (actor.role === 'customer') {
+          query = query.eq('created_by', actor.profile.id);
+        }
+        
+        // Apply filters
+        if (status) {
+          query = query.eq('status', status);
+        }
+        
+        if (priority) {
+          query = query.eq('priority', priority);
+        }
+        
+        if (category) {
+          query = query.eq('category', category);
+        }
+        
+        if (assignedTo) {
+          query = query.eq('assigned_to', assignedTo);
+        }
+        
+        if (teamId) {
+          query = query.eq('assigned_team_id', teamId);
+        }
+        
+        // queue=my_teams for the caller's teams' tickets, my_teams_unassigned for their shared queue
+        if (queue) {
+          if (queue !== 'my_teams' && queue !== 'my_teams_unassigned') {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Queue must be my_teams or my_teams_unassigned' })
+            };
+          }
+          
+          query = query.in('assigned_team_id', await getUserTeamIds(supabase, user.id));
+          
+          if (queue === 'my_teams_unassigned') {
+            query = query.is('assigned_to', null);
+          }
+        }
+        
+        if (createdBy) {
+          query = query.eq('created_by', createdBy);
+        }
+        
+        if (search) {
+          query = query.textSearch('search_vector', search);
+        }
+        
+        if (breached === 'true') {
+          query = query.or(getBreachedFilter());
+        }
+        
+        // Tickets linked to a ticket, e.g. linkedTo=<incident>&linkType=child for an incident's tickets
+        if (linkedTo) {
+          // The ID ends up in a PostgREST filter string
+          if (!UUID_PATTERN.test(linkedTo)) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Linked ticket must be a ticket ID' })
+            };
+          }
+          
+          if (linkType && !LINK_RELATIONS.includes(linkType)) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: `Link type must be one of: ${LINK_RELATIONS.join(', ')}` })
+            };
+          }
+          
+          query = query.in('id', await getLinkedTicketIds(supabase, linkedTo, linkType));
+        }
+        
+        query = applyParentFilter(query, hasParent);
+        
+        // Comma-separated tag IDs; tagMatch=all requires every included tag
+        query = applyTagFilters(query, { tags, excludeTags, tagMatch });
+        
+        // Custom field filters (cf.<key>=value) and sorting (sortBy=cf.<key>)
+        const usesCustomFields = sortBy.startsWith(CUSTOM_FIELD_PARAM_PREFIX) ||
+          Object.keys(queryParams).some(param => param.startsWith(CUSTOM_FIELD_PARAM_PREFIX));
+        let sortColumn = sortBy;
+        
+        if (usesCustomFields) {
+          const customFields = await getCustomFields(supabase, organizationId);
+          const filterResult = applyCustomFieldFilters(query, queryParams, customFields);
+          
+          if (sortBy.startsWith(CUSTOM_FIELD_PARAM_PREFIX)) {
+            sortColumn = getCustomFieldSortColumn(sortBy, customFields);
+          }
+          
+          if (filterResult.error || !sortColumn) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: filterResult.error || `Unknown custom field: ${sortBy.slice(CUSTOM_FIELD_PARAM_PREFIX.length)}` })
+            };
+          }
+          
+          query = filterResult.query;
+        }
+        
+        // Apply pagination
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const from = (pageNum - 1) * limitNum;
+        const to = from + limitNum - 1;
+        
+        // Apply sorting
+        query = query.order(sortColumn, { ascending: sortOrder === 'asc' });
+        
+        // Execute query with pagination
+        const { data, error, count } = await query.range(from, to);
+        
+        if (error) throw error;
+        
+        const clock = await getBusinessClock(supabase, organizationId);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            tickets: data.map(ticket => ({ ...ticket, sla: getSlaState(ticket, clock) })),
+            totalCount: count,
+            page: pageNum,
+            limit: limitNum
+          })
+        };
+      }
+      
+      // Get ticket by ID or ticket number (ACME-1042, or 1042 within an organization)
+      case isTicketIdentifier(path) && event.httpMethod === 'GET': {
+        const ticketId = await resolveRequestedTicketId(path, queryParams.organizationId, user.id);
+        
+        if (!ticketId) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Ticket not found' })
+          };
+        }
+        
+        const { data, error } = await supabase
+          .from('tickets')
+          .select(`
+            *,
+            created_by(*),
+            assigned_to(*),
+            assigned_team:assigned_team_id(id, name),
+            ticket_responses(*),
+            ticket_events(*),
+            ticket_attachments(id, response_id, file_name, file_type, file_size, storage_path, created_by, created_at),
+            tags(id, name, color),
+            split_from:split_from_id(id, title, status),
+            split_tickets:tickets!split_from_id(id, title, status)
+          `)
+          .eq('id', ticketId)
+          .eq('ticket_attachments.status', 'uploaded')
+          .order('created_at', { foreignTable: 'ticket_events', ascending: true })
+          .order('created_at', { foreignTable: 'ticket_attachments', ascending: true })
+          .single();
+        
+        if (error) {
+          if (error.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw error;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        // created_by is embedded as the requester's profile
+        if (!canAccessTicket(actor, { ...data, created_by: data.created_by?.id ?? null })) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this ticket' })
+          };
+        }
+        
+        // Merged tickets redirect to the ticket they were merged into (pass redirect=false to read them)
+        if (data.merged_into_id && queryParams.redirect !== 'false') {
+          return {
+            statusCode: 301,
+            headers: {
+              ...headers,
+              Location: `/api/tickets/${data.merged_into_id}`
+            },
+            body: JSON.stringify({ mergedIntoId: data.merged_into_id })
+          };
+        }
+        
+        const clock = await getBusinessClock(supabase, data.organization_id);
+        const links = await getTicketLinks(supabase, ticketId);
+        const isCustomer = actor.role === 'customer';
+        
+        // Internal notes, their files and staff-only timeline events are only shown to staff;
+        // downloads go through the attachments function
+        const internalResponseIds = new Set(data.ticket_responses
+          .filter(response => response.is_internal)
+          .map(response => response.id));
+        const responses = isCustomer
+          ? data.ticket_responses.filter(response => !response.is_internal)
+          : data.ticket_responses;
+        const attachments = isCustomer
+          ? data.ticket_attachments.filter(attachment => !internalResponseIds.has(attachment.response_id))
+          : data.ticket_attachments;
+        
+        // Inline images get signed URLs, limited to the attachments this reader may see
+        const imageUrls = await getInlineImageUrls(supabase, attachments);
+        const toHtml = (html, source) => resolveInlineImages(html ?? renderMarkdown(source), imageUrls);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            ...data,
+            description_html: toHtml(data.description_html, data.description),
+            ticket_responses: responses.map(response => ({
+              ...response,
+              content_html: toHtml(response.content_html, response.content)
+            })),
+            ticket_events: isCustomer ? getCustomerVisibleEvents(data.ticket_events, internalResponseIds) : data.ticket_events,
+            ticket_attachments: attachments.map(({ storage_path, ...attachment }) => attachment),
+            sla: getSlaState(data, clock),
+            links
+          })
+        };
+      }
+      
+      // Update ticket (by ID or ticket number, like GET)
+      case isTicketIdentifier(path) && event.httpMethod === 'PUT': {
+        const ticketId = await resolveRequestedTicketId(path, queryParams.organizationId, user.id);
+        
+        if (!ticketId) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Ticket not found' })
+          };
+        }
+        
+        const {
+          title,
+          description,
+          status,
+          priority,
+          category,
+          assignedTo,
+          assignedTeamId,
+          comment,
+          force,
+          customFields
+        } = body;
+        
+        const { data: existingTicket, error: fetchError } = await supabase
+          .from('tickets')
+          .select('*')
+          .eq('id', ticketId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!canAccessTicket(actor, existingTicket)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this ticket' })
+          };
+        }
+        
+        const isStaff = isOrganizationStaff(actor, existingTicket.organization_id);
+        
+        // Customers can edit their own tickets, but routing them is up to staff
+        if (!isStaff && (assignedTo !== undefined || assignedTeamId !== undefined)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can assign tickets' })
+          };
+        }
+        
+        const teamError = await validateTeamAssignment(supabase, assignedTeamId, existingTicket.organization_id);
+        
+        if (teamError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: teamError })
+          };
+        }
+        
+        const assigneeError = await validateAssignee(supabase, assignedTo, existingTicket.organization_id);
+        
+        if (assigneeError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: assigneeError })
+          };
+        }
+        
+        const statusChanged = !!status && status !== existingTicket.status;
+        
+        // Enforce the organization's status transition rules (only staff can force past open child tickets)
+        if (statusChanged) {
+          const transitionError = await validateStatusChange(supabase, existingTicket, status, actor, !!comment?.trim(), isStaff && force);
+          
+          if (transitionError) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: transitionError })
+            };
+          }
+        }
+        
+        const updates = {
+          title,
+          description,
+          description_html: description === undefined ? undefined : renderMarkdown(description),
+          status,
+          priority,
+          category,
+          assigned_to: assignedTo,
+          // null removes the team
+          assigned_team_id: assignedTeamId,
+          updated_at: new Date()
+        };
+        
+        let customFieldChanges = [];
+        
+        // Custom fields are checked against the ticket's category after the update
+        if (customFields !== undefined || (category && category !== existingTicket.category)) {
+          const organizationCustomFields = await getCustomFields(supabase, existingTicket.organization_id);
+          const customFieldResult = validateCustomFieldChanges(
+            organizationCustomFields,
+            existingTicket.custom_fields,
+            customFields,
+            category || existingTicket.category
+          );
+          
+          if (customFieldResult.error) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: customFieldResult.error })
+            };
+          }
+          
+          updates.custom_fields = customFieldResult.values;
+          customFieldChanges = diffCustomFieldValues(
+            organizationCustomFields,
+            existingTicket.custom_fields,
+            customFieldResult.values
+          );
+        }
+        
+        const clock = await getBusinessClock(supabase, existingTicket.organization_id);
+        let slaTicket = existingTicket;
+        
+        // A new priority means new SLA targets
+        if (priority && priority !== existingTicket.priority) {
+          const slaPolicy = await getSlaPolicy(supabase, existingTicket.organization_id, priority);
+          const slaTargets = computeSlaTargets(slaPolicy, existingTicket, clock);
+          
+          Object.assign(updates, slaTargets);
+          slaTicket = { ...existingTicket, ...slaTargets };
+        }
+        
+        if (status) {
+          Object.assign(updates, getStatusSlaUpdates(slaTicket, status, clock));
+        }
+        
+        const { data, error } = await supabase
+          .from('tickets')
+          .update(updates)
+          .eq('id', ticketId)
+          .select();
+        
+        if (error) throw error;
+        
+        const changes = [...diffTicketFields(existingTicket, updates), ...customFieldChanges];
+        
+        await recordTicketEvents(supabase, existingTicket, changes, getActorFields(user.id, actor));
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: existingTicket.organization_id,
+          action: 'ticket.update',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: { changes: changes.map(({ field, old_value, new_value }) => ({ field, old_value, new_value })) }
+        });
+        
+        // Keep the reason for the status change on the ticket; staff comments stay internal
+        if (statusChanged && comment?.trim()) {
+          const { data: commentResponse, error: commentError } = await supabase
+            .from('ticket_responses')
+            .insert([{
+              ticket_id: ticketId,
+              content: comment,
+              content_html: renderMarkdown(comment),
+              is_internal: actor?.role !== 'customer',
+              created_by: user.id,
+              created_by_name: actor ? `${actor.profile.first_name} ${actor.profile.last_name}` : null,
+              created_by_role: actor?.role
+            }])
+            .select();
+          
+          if (commentError) throw commentError;
+          
+          await notifyTicketResponse(supabase, data[0], commentResponse[0]);
+        }
+        
+        await notifyTicketChanges(supabase, existingTicket, data[0], user.id);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(await runTicketAutomations('ticket.updated', data[0]))
+        };
+      }
+      
+      // Add response to ticket
+      case path.endsWith('/responses') && event.httpMethod === 'POST': {
+        const ticketId = path.split('/')[0];
+        const {
+          content,
+          isInternal,
+          updateStatus,
+          force,
+          cannedResponseId
+        } = body;
+        
+        const { data: requestedTicket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!canAccessTicket(actor, requestedTicket)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this ticket' })
+          };
+        }
+        
+        const isStaff = isOrganizationStaff(actor, requestedTicket.organization_id);
+        
+        if (isInternal && !isStaff) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can add internal notes' })
+          };
+        }
+        
+        let ticket = requestedTicket;
+        
+        // Replies to a merged ticket land on the ticket it was merged into
+        if (ticket.merged_into_id) {
+          const { data: primaryTicket, error: primaryError } = await supabase
+            .from('tickets')
+            .select('*')
+            .eq('id', ticket.merged_into_id)
+            .single();
+          
+          if (primaryError) throw primaryError;
+          
+          ticket = primaryTicket;
+        }
+        
+        let responseContent = content;
+        
+        // Fill in a canned response's placeholders (agents may send an edited copy as content)
+        if (cannedResponseId) {
+          const { data: cannedResponse, error: cannedError } = await supabase
+            .from('canned_responses')
+            .select('*')
+            .eq('id', cannedResponseId)
+            .maybeSingle();
+          
+          if (cannedError) throw cannedError;
+          
+          if (!cannedResponse || cannedResponse.organization_id !== ticket.organization_id ||
+            !canUseCannedResponse(actor, cannedResponse)) {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Canned response not found' })
+            };
+          }
+          
+          const templateContext = await getTicketTemplateContext(supabase, ticket, actor.profile);
+          responseContent = renderTemplate(content || cannedResponse.content, templateContext);
+        }
+        
+        // The response itself serves as the comment for the status change
+        if (updateStatus && updateStatus !== ticket.status) {
+          const transitionError = await validateStatusChange(supabase, ticket, updateStatus, actor, !!responseContent?.trim(), isStaff && force);
+          
+          if (transitionError) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: transitionError })
+            };
+          }
+        }
+        
+        // The author is always the caller
+        const { actor_name, actor_role } = getActorFields(user.id, actor);
+        
+        const { data, error } = await supabase
+          .from('ticket_responses')
+          .insert([{
+            ticket_id: ticket.id,
+            content: responseContent,
+            content_html: renderMarkdown(responseContent),
+            is_internal: isInternal || false,
+            created_by: user.id,
+            created_by_name: actor_name,
+            created_by_role: actor_role
+          }])
+          .select();
+        
+        if (error) throw error;
+        
+        // Files uploaded to the ticket and shown inline belong to this response
+        const inlineImageIds = getInlineImageIds(data[0].content_html);
+        
+        if (inlineImageIds.length > 0) {
+          const { error: attachmentError } = await supabase
+            .from('ticket_attachments')
+            .update({ response_id: data[0].id })
+            .eq('ticket_id', ticket.id)
+            .is('response_id', null)
+            .in('id', inlineImageIds);
+          
+          if (attachmentError) throw attachmentError;
+        }
+        
+        if (cannedResponseId) {
+          await recordCannedResponseUse(supabase, cannedResponseId);
+        }
+        
+        const clock = await getBusinessClock(supabase, ticket.organization_id);
+        let ticketUpdates = {};
+        
+        // The first public reply from staff meets the first-response target
+        if (!isInternal && isStaff) {
+          ticketUpdates = getFirstResponseSlaUpdates(ticket, clock);
+        }
+        
+        // Update ticket status if provided
+        if (updateStatus) {
+          Object.assign(
+            ticketUpdates,
+            { status: updateStatus },
+            getStatusSlaUpdates({ ...ticket, ...ticketUpdates }, updateStatus, clock)
+          );
+        }
+        
+        if (Object.keys(ticketUpdates).length > 0) {
+          await supabase
+            .from('tickets')
+            .update({
+              ...ticketUpdates,
+              updated_at: new Date()
+            })
+            .eq('id', ticket.id);
+          
+          await recordTicketEvents(
+            supabase,
+            ticket,
+            diffTicketFields(ticket, ticketUpdates),
+            getActorFields(user.id, actor)
+          );
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: ticket.organization_id,
+          action: 'ticket.response.create',
+          entityType: 'ticket_response',
+          entityId: data[0].id,
+          details: {
+            ticket_id: ticket.id,
+            is_internal: data[0].is_internal,
+            update_status: updateStatus || null,
+            canned_response_id: cannedResponseId || null
+          }
+        });
+        
+        const updatedTicket = { ...ticket, ...ticketUpdates };
+        await notifyTicketResponse(supabase, updatedTicket, data[0]);
+        await notifyTicketChanges(supabase, ticket, updatedTicket, user.id);
+        
+        await runAutomations(supabase, 'response.created', ticket.id, data[0]);
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(data[0])
+        };
+      }
+      
+      // Merge a duplicate ticket into this one
+      case /^[0-9a-fA-F-]+\/merge$/.test(path) && event.httpMethod === 'POST': {
+        const primaryTicketId = path.split('/')[0];
+        const { secondaryTicketId } = body;
+        
+        if (!secondaryTicketId || secondaryTicketId === primaryTicketId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'A different ticket to merge is required' })
+          };
+        }
+        
+        const { data: mergeTickets, error: fetchError } = await supabase
+          .from('tickets')
+          .select('*')
+          .in('id', [primaryTicketId, secondaryTicketId]);
+        
+        if (fetchError) throw fetchError;
+        
+        const primaryTicket = mergeTickets.find(item => item.id === primaryTicketId);
+        const secondaryTicket = mergeTickets.find(item => item.id === secondaryTicketId);
+        
+        if (!primaryTicket || !secondaryTicket) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Ticket not found' })
+          };
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, primaryTicket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can merge tickets' })
+          };
+        }
+        
+        if (primaryTicket.organization_id !== secondaryTicket.organization_id) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Tickets must belong to the same organization' })
+          };
+        }
+        
+        if (primaryTicket.merged_into_id || secondaryTicket.merged_into_id) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'Ticket has already been merged' })
+          };
+        }
+        
+        // Moves responses and attachments and closes the secondary ticket in one transaction
+        const { error: mergeError } = await supabase.rpc('merge_tickets', {
+          primary_ticket_id: primaryTicketId,
+          secondary_ticket_id: secondaryTicketId,
+          merged_content_html: renderMarkdown(`Merged from "${secondaryTicket.title}":\n\n${secondaryTicket.description}`)
+        });
+        
+        if (mergeError) throw mergeError;
+        
+        const actorFields = getActorFields(user.id, actor);
+        
+        await recordTicketEvents(supabase, primaryTicket, [{
+          event_type: 'merged_in',
+          details: { ticket_id: secondaryTicketId, title: secondaryTicket.title }
+        }], actorFields);
+        
+        await recordTicketEvents(supabase, secondaryTicket, [
+          ...diffTicketFields(secondaryTicket, { status: 'archived' }),
+          {
+            event_type: 'merged_into',
+            details: { ticket_id: primaryTicketId, title: primaryTicket.title }
+          }
+        ], actorFields);
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: primaryTicket.organization_id,
+          action: 'ticket.merge',
+          entityType: 'ticket',
+          entityId: primaryTicketId,
+          details: { secondary_ticket_id: secondaryTicketId }
+        });
+        
+        const { data, error } = await supabase
+          .from('tickets')
+          .select(`
+            *,
+            created_by(*),
+            assigned_to(*),
+            ticket_responses(*)
+          `)
+          .eq('id', primaryTicketId)
+          .single();
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(data)
+        };
+      }
+      
+      // Split a response out into a new ticket
+      case /^[0-9a-fA-F-]+\/responses\/[0-9a-fA-F-]+\/split$/.test(path) && event.httpMethod === 'POST': {
+        const [ticketId, , responseId] = path.split('/');
+        const { title, priority } = body;
+        
+        const { data: originalTicket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const { data: response, error: responseError } = await supabase
+          .from('ticket_responses')
+          .select('*, ticket_attachments(*)')
+          .eq('id', responseId)
+          .eq('ticket_attachments.status', 'uploaded')
+          .eq('ticket_id', ticketId)
+          .single();
+        
+        if (responseError) {
+          if (responseError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Response not found' })
+            };
+          }
+          throw responseError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, originalTicket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can split tickets' })
+          };
+        }
+        
+        // The new ticket belongs to the requester, who must never see an internal note
+        if (response.is_internal) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Internal notes cannot be split into a ticket' })
+          };
+        }
+        
+        const actorFields = getActorFields(user.id, actor);
+        
+        // The new ticket belongs to the original requester
+        const { ticket } = await createTicket(supabase, {
+          title: title || getSplitTitle(response.content),
+          description: response.content,
+          priority: priority || originalTicket.priority,
+          category: originalTicket.category,
+          created_by: originalTicket.created_by,
+          requester_email: originalTicket.requester_email,
+          requester_name: originalTicket.requester_name,
+          organization_id: originalTicket.organization_id,
+          split_from_id: originalTicket.id,
+          split_from_response_id: response.id
+        }, actorFields, { split_from_ticket_id: originalTicket.id, split_from_response_id: response.id });
+        
+        // The response stays in the original conversation; its files are shared with the new ticket
+        if (response.ticket_attachments.length > 0) {
+          const { error: attachmentError } = await supabase
+            .from('ticket_attachments')
+            .insert(response.ticket_attachments.map(attachment => ({
+              organization_id: attachment.organization_id,
+              ticket_id: ticket.id,
+              file_name: attachment.file_name,
+              storage_path: attachment.storage_path,
+              status: attachment.status,
+              file_type: attachment.file_type,
+              file_size: attachment.file_size,
+              created_by: attachment.created_by,
+              created_at: attachment.created_at
+            })));
+          
+          if (attachmentError) throw attachmentError;
+        }
+        
+        await recordTicketEvents(supabase, originalTicket, [{
+          event_type: 'split_out',
+          details: { ticket_id: ticket.id, response_id: response.id, title: ticket.title }
+        }], actorFields);
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: originalTicket.organization_id,
+          action: 'ticket.split',
+          entityType: 'ticket',
+          entityId: ticket.id,
+          details: { split_from_ticket_id: originalTicket.id, split_from_response_id: response.id }
+        });
+        
+        await notifyTicketCreated(supabase, ticket, user.id);
+        
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify(await runTicketAutomations('ticket.created', ticket))
+        };
+      }
+      
+      // Apply a macro's actions to ticket
+      case /^[0-9a-fA-F-]+\/apply-macro$/.test(path) && event.httpMethod === 'POST': {
+        const ticketId = path.split('/')[0];
+        const { macroId, force } = body;
+        
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*, tags(id, name, color)')
+          .eq('id', ticketId)
+          .single();
+        
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can apply macros' })
+          };
+        }
+        
+        const { data: macro, error: macroError } = await supabase
+          .from('macros')
+          .select('*')
+          .eq('id', macroId)
+          .eq('organization_id', ticket.organization_id)
+          .eq('is_active', true)
+          .maybeSingle();
+        
+        if (macroError) throw macroError;
+        
+        if (!macro) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Macro not found' })
+          };
+        }
+        
+        // Every action is validated first and then applied in one transaction
+        const result = await applyTicketActions(supabase, ticket, macro.actions, {
+          actor,
+          actorFields: getActorFields(user.id, actor),
+          force,
+          eventType: 'macro_applied',
+          details: { macro_id: macro.id, macro_name: macro.name }
+        });
+        
+        if (result.error) {
+          return {
+            statusCode: result.statusCode,
+            headers,
+            body: JSON.stringify({ error: result.error })
+          };
+        }
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: ticket.organization_id,
+          action: 'ticket.macro.apply',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: { macro_id: macro.id, macro_name: macro.name, actions: macro.actions }
+        });
+        
+        await runAutomations(supabase, 'ticket.updated', ticketId);
         
         const { data, error } = await supabase
           .from('tickets')
-          .insert([{
-            title,
-            description,
-            status: status || 'open',
-            priority: priority || 'medium',
-            category: category || 'General',
-            created_by: createdBy || user.id,
-            assigned_to: assignedTo,
-            organization_id: organizationId
-          }])
-          .select();
+          .select(`
+            *,
+            created_by(*),
+            assigned_to(*),
+            ticket_responses(*),
+            tags(id, name, color)
+          `)
+          .eq('id', ticketId)
+          .single();
         
         if (error) throw error;
         
         return {
-          statusCode: 201,
+          statusCode: 200,
           headers,
-          body: JSON.stringify(data[0])
+          body: JSON.stringify(data)
         };
       }
       
-      // Get tickets for organization
-      case path === 'organization' && event.httpMethod === 'GET': {
-        const {
-          organizationId,
-          status,
-          priority,
-          category,
-          assignedTo,
-          createdBy,
-          search,
-          page = '1',
-          limit = '10',
-          sortBy = 'created_at',
-          sortOrder = 'desc'
-        } = queryParams;
+      // Link another ticket to this one
+      case /^[0-9a-fA-F-]+\/links$/.test(path) && event.httpMethod === 'POST': {
+        const ticketId = path.split('/')[0];
+        const { ticketId: otherTicketId, relation } = body;
         
-        if (!organizationId) {
+        if (!otherTicketId || otherTicketId === ticketId) {
           return {
             statusCode: 400,
             headers,
-            body: JSON.stringify({ error: 'Organization ID is required' })
+            body: JSON.stringify({ error: 'A different ticket to link is required' })
           };
         }
         
-        let query = supabase
+        if (!LINK_RELATIONS.includes(relation)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Relation must be one of: ${LINK_RELATIONS.join(', ')}` })
+          };
+        }
+        
+        const { data: linkTickets, error: fetchError } = await supabase
           .from('tickets')
-          .select('*, created_by(*), assigned_to(*)', { count: 'exact' })
-          .eq('organization_id', organizationId);
+          .select('*')
+          .in('id', [ticketId, otherTicketId]);
         
-        // Apply filters
-        if (status) {
-          query = query.eq('status', status);
-        }
+        if (fetchError) throw fetchError;
         
-        if (priority) {
-          query = query.eq('priority', priority);
+        const ticket = linkTickets.find(item => item.id === ticketId);
+        const otherTicket = linkTickets.find(item => item.id === otherTicketId);
+        
+        if (!ticket || !otherTicket) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Ticket not found' })
+          };
         }
         
-        if (category) {
-          query = query.eq('category', category);
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can link tickets' })
+          };
         }
         
-        if (assignedTo) {
-          query = query.eq('assigned_to', assignedTo);
+        if (ticket.organization_id !== otherTicket.organization_id) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Tickets must belong to the same organization' })
+          };
         }
         
-        if (createdBy) {
-          query = query.eq('created_by', createdBy);
+        const linkRow = toLinkRow(ticketId, otherTicketId, relation);
+        
+        if (linkRow.link_type === 'parent' &&
+          await createsParentCycle(supabase, linkRow.source_ticket_id, linkRow.target_ticket_id)) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'A ticket cannot be its own ancestor' })
+          };
         }
         
-        if (search) {
-          query = query.textSearch('search_vector', search);
+        const { data, error } = await supabase
+          .from('ticket_links')
+          .insert([{
+            ...linkRow,
+            organization_id: ticket.organization_id,
+            created_by: user.id
+          }])
+          .select(`
+            *,
+            source:source_ticket_id(id, title, status, priority, assigned_to),
+            target:target_ticket_id(id, title, status, priority, assigned_to)
+          `);
+        
+        if (error) {
+          // Unique violation: the link already exists, or the child already has a parent
+          if (error.code === '23505') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({
+                error: linkRow.link_type === 'parent'
+                  ? 'Tickets are already linked, or the child ticket already has a parent'
+                  : 'Tickets are already linked'
+              })
+            };
+          }
+          throw error;
         }
         
-        // Apply pagination
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const from = (pageNum - 1) * limitNum;
-        const to = from + limitNum - 1;
+        const actorFields = getActorFields(user.id, actor);
+        const link = describeLink(ticketId, data[0]);
+        const inverseLink = describeLink(otherTicketId, data[0]);
         
-        // Apply sorting
-        query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+        await recordTicketEvents(supabase, ticket, [{
+          event_type: 'link_added',
+          details: { link_id: link.id, relation: link.relation, ticket_id: otherTicketId, title: otherTicket.title }
+        }], actorFields);
         
-        // Execute query with pagination
-        const { data, error, count } = await query.range(from, to);
+        await recordTicketEvents(supabase, otherTicket, [{
+          event_type: 'link_added',
+          details: { link_id: link.id, relation: inverseLink.relation, ticket_id: ticketId, title: ticket.title }
+        }], actorFields);
         
-        if (error) throw error;
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: ticket.organization_id,
+          action: 'ticket.link.create',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: { link_id: link.id, relation, ticket_id: otherTicketId }
+        });
         
         return {
-          statusCode: 200,
+          statusCode: 201,
           headers,
-          body: JSON.stringify({
-            tickets: data,
-            totalCount: count,
-            page: pageNum,
-            limit: limitNum
-          })
+          body: JSON.stringify(link)
         };
       }
       
-      // Get ticket by ID
-      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'GET': {
-        const ticketId = path;
+      // Remove a link between tickets
+      case /^[0-9a-fA-F-]+\/links\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const [ticketId, , linkId] = path.split('/');
         
-        const { data, error } = await supabase
-          .from('tickets')
+        const { data: existingLink, error: fetchError } = await supabase
+          .from('ticket_links')
           .select(`
             *,
-            created_by(*),
-            assigned_to(*),
-            ticket_responses(*)
+            source:source_ticket_id(id, title, status, priority, assigned_to, organization_id),
+            target:target_ticket_id(id, title, status, priority, assigned_to, organization_id)
           `)
-          .eq('id', ticketId)
+          .eq('id', linkId)
+          .or(`source_ticket_id.eq.${ticketId},target_ticket_id.eq.${ticketId}`)
           .single();
         
-        if (error) {
-          if (error.code === 'PGRST116') {
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
             return {
               statusCode: 404,
               headers,
-              body: JSON.stringify({ error: 'Ticket not found' })
+              body: JSON.stringify({ error: 'Link not found' })
             };
           }
-          throw error;
+          throw fetchError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, existingLink.source.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can unlink tickets' })
+          };
+        }
+        
+        const { error } = await supabase
+          .from('ticket_links')
+          .delete()
+          .eq('id', linkId);
+        
+        if (error) throw error;
+        
+        const actorFields = getActorFields(user.id, actor);
+        
+        for (const linkedTicket of [existingLink.source, existingLink.target]) {
+          const link = describeLink(linkedTicket.id, existingLink);
+          
+          await recordTicketEvents(supabase, linkedTicket, [{
+            event_type: 'link_removed',
+            details: { link_id: linkId, relation: link.relation, ticket_id: link.ticket.id, title: link.ticket.title }
+          }], actorFields);
         }
         
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: existingLink.organization_id,
+          action: 'ticket.link.delete',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: {
+            link_id: linkId,
+            link_type: existingLink.link_type,
+            source_ticket_id: existingLink.source_ticket_id,
+            target_ticket_id: existingLink.target_ticket_id
+          }
+        });
+        
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify(data)
+          body: JSON.stringify({ success: true })
         };
       }
       
-      // Update ticket
-      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'PUT': {
-        const ticketId = path;
-        const { title, description, status, priority, category, assignedTo } = body;
+      // Add tags to ticket
+      case /^[0-9a-fA-F-]+\/tags$/.test(path) && event.httpMethod === 'POST': {
+        const ticketId = path.split('/')[0];
+        const { tagIds } = body;
         
-        const { data, error } = await supabase
+        if (!Array.isArray(tagIds) || tagIds.length === 0) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Tag IDs are required' })
+          };
+        }
+        
+        const { data: ticket, error: ticketError } = await supabase
           .from('tickets')
-          .update({
-            title,
-            description,
-            status,
-            priority,
-            category,
-            assigned_to: assignedTo,
-            updated_at: new Date()
-          })
+          .select('*, tags(id, name, color)')
           .eq('id', ticketId)
-          .select();
+          .single();
         
-        if (error) throw error;
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
+        
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can tag tickets' })
+          };
+        }
+        
+        const { data: tagsToAdd, error: tagsError } = await supabase
+          .from('tags')
+          .select('id, name, color')
+          .eq('organization_id', ticket.organization_id)
+          .in('id', tagIds);
+        
+        if (tagsError) throw tagsError;
+        
+        if (tagsToAdd.length !== new Set(tagIds).size) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Tags must belong to the ticket\'s organization' })
+          };
+        }
+        
+        const newTags = tagsToAdd.filter(tag => !ticket.tags.some(existing => existing.id === tag.id));
+        
+        if (newTags.length > 0) {
+          const { error } = await supabase
+            .from('ticket_tags')
+            .insert(newTags.map(tag => ({
+              ticket_id: ticketId,
+              tag_id: tag.id,
+              created_by: user.id
+            })));
+          
+          if (error) throw error;
+          
+          await recordTicketEvents(supabase, ticket, newTags.map(tag => ({
+            event_type: 'tag_added',
+            new_value: tag.name,
+            details: { tag_id: tag.id }
+          })), getActorFields(user.id, actor));
+          
+          await recordAudit(supabase, event, {
+            user,
+            actor,
+            organizationId: ticket.organization_id,
+            action: 'ticket.tags.add',
+            entityType: 'ticket',
+            entityId: ticketId,
+            details: { tags: newTags.map(tag => tag.name) }
+          });
+        }
         
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify(data[0])
+          body: JSON.stringify([...ticket.tags, ...newTags])
         };
       }
       
-      // Add response to ticket
-      case path.endsWith('/responses') && event.httpMethod === 'POST': {
-        const ticketId = path.split('/')[0];
-        const { content, isInternal, createdBy, createdByName, createdByRole, updateStatus } = body;
+      // Remove tag from ticket
+      case /^[0-9a-fA-F-]+\/tags\/[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
+        const [ticketId, , tagId] = path.split('/');
         
-        const { data, error } = await supabase
-          .from('ticket_responses')
-          .insert([{
-            ticket_id: ticketId,
-            content,
-            is_internal: isInternal || false,
-            created_by: createdBy || user.id,
-            created_by_name: createdByName,
-            created_by_role: createdByRole
-          }])
-          .select();
+        const { data: ticket, error: ticketError } = await supabase
+          .from('tickets')
+          .select('*, tags(id, name, color)')
+          .eq('id', ticketId)
+          .single();
         
-        if (error) throw error;
+        if (ticketError) {
+          if (ticketError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw ticketError;
+        }
         
-        // Update ticket status if provided
-        if (updateStatus) {
-          await supabase
-            .from('tickets')
-            .update({
-              status: updateStatus,
-              updated_at: new Date()
-            })
-            .eq('id', ticketId);
+        const actor = await getUserRole(supabase, user.id);
+        
+        if (!isOrganizationStaff(actor, ticket.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Only staff can tag tickets' })
+          };
+        }
+        
+        const removedTag = ticket.tags.find(tag => tag.id === tagId);
+        
+        if (!removedTag) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Tag not found on ticket' })
+          };
         }
         
+        const { error } = await supabase
+          .from('ticket_tags')
+          .delete()
+          .eq('ticket_id', ticketId)
+          .eq('tag_id', tagId);
+        
+        if (error) throw error;
+        
+        await recordTicketEvents(supabase, ticket, [{
+          event_type: 'tag_removed',
+          old_value: removedTag.name,
+          details: { tag_id: tagId }
+        }], getActorFields(user.id, actor));
+        
+        await recordAudit(supabase, event, {
+          user,
+          actor,
+          organizationId: ticket.organization_id,
+          action: 'ticket.tags.remove',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: { tags: [removedTag.name] }
+        });
+        
         return {
-          statusCode: 201,
+          statusCode: 200,
           headers,
-          body: JSON.stringify(data[0])
+          body: JSON.stringify(ticket.tags.filter(tag => tag.id !== tagId))
         };
       }
       
       // Delete ticket
-      case /^[0-9a-fA-F-]+$/.test(path) && event.httpMethod === 'DELETE': {
-        const ticketId = path;
+      case isTicketIdentifier(path) && event.httpMethod === 'DELETE': {
+        const ticketId = await resolveRequestedTicketId(path, queryParams.organizationId, user.id);
+        
+        if (!ticketId) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Ticket not found' })
+          };
+        }
+        
+        const { data: ticket, error: fetchError } = await supabase
+          .from('tickets')
+          .select('organization_id, title, ticket_attachments(id, storage_path)')
+          .eq('id', ticketId)
+          .single();
+        
+        if (fetchError) {
+          if (fetchError.code === 'PGRST116') {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Ticket not found' })
+            };
+          }
+          throw fetchError;
+        }
+        
+        const hasAdminAccess = await checkOrganizationAdminAccess(supabase, user.id, ticket.organization_id);
+        if (!hasAdminAccess) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: Admin access required' })
+          };
+        }
+        
+        // Stored files go first; the rows would otherwise go with the ticket and leave the files behind
+        await deleteAttachments(supabase, ticket.ticket_attachments);
         
         const { error } = await supabase
           .from('tickets')
@@ -271,6 +1658,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: ticket.organization_id,
+          action: 'ticket.delete',
+          entityType: 'ticket',
+          entityId: ticketId,
+          details: { title: ticket.title }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -283,6 +1679,9 @@ exports.handler = async (event, context) => {
         const {
           organizationId,
           searchTerm,
+          tags,
+          excludeTags,
+          tagMatch,
           page = '1',
           limit = '10'
         } = queryParams;
@@ -295,15 +1694,44 @@ exports.handler = async (event, context) => {
           };
         }
         
+        const actor = await getUserRole(supabase, user.id);
+        
+        // Only superadmins search across organizations; everyone else searches their own
+        if (!actor || (actor.role !== 'superadmin' && organizationId && actor.profile.organization_id !== organizationId)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden: No access to this organization' })
+          };
+        }
+        
+        const searchOrganizationId = actor.role === 'superadmin' ? organizationId : actor.profile.organization_id;
+        
         let query = supabase
           .from('tickets')
-          .select('*', { count: 'exact' })
-          .textSearch('search_vector', searchTerm);
+          .select(`*${getTagFilterSelect({ tags, excludeTags, tagMatch })}`, { count: 'exact' });
+        
+        // A ticket number finds that ticket; anything else is a full-text search
+        const reference = parseTicketReference(searchTerm);
+        
+        if (reference?.ref) {
+          query = query.eq('ticket_ref', reference.ref);
+        } else if (reference) {
+          query = query.eq('ticket_number', reference.number);
+        } else {
+          query = query.textSearch('search_vector', searchTerm);
+        }
+        
+        if (searchOrganizationId) {
+          query = query.eq('organization_id', searchOrganizationId);
+        }
         
-        if (organizationId) {
-          query = query.eq('organization_id', organizationId);
+        if (actor.role === 'customer') {
+          query = query.eq('created_by', actor.profile.id);
         }
         
+        query = applyTagFilters(query, { tags, excludeTags, tagMatch });
+        
         // Apply pagination
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
@@ -343,3 +1771,39 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+// Resolve a ticket ID or number from the path; bare numbers are looked up in the caller's organization by default
+async function resolveRequestedTicketId(path, organizationId, userId) {
+  if (!organizationId && /^\d+$/.test(path)) {
+    const actor = await getUserRole(supabase, userId);
+    organizationId = actor?.profile?.organization_id;
+  }
+  
+  return resolveTicketId(supabase, path, organizationId);
+}
+
+// Run automation rules for a ticket event and return the ticket as the rules left it
+async function runTicketAutomations(eventName, ticket) {
+  const results = await runAutomations(supabase, eventName, ticket.id);
+  
+  if (!results.some(result => !result.error)) {
+    return ticket;
+  }
+  
+  const { data, error } = await supabase
+    .from('tickets')
+    .select('*')
+    .eq('id', ticket.id)
+    .single();
+  
+  if (error) throw error;
+  
+  return data;
+}
+
+// Title for a ticket split out of a response: its first line, shortened
+function getSplitTitle(content) {
+  const firstLine = content.trim().split('\n')[0].trim();
+  
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine || 'Split ticket';
+}
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { recordAudit } from './utils/audit';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -92,6 +93,15 @@ exports.handler = async (event, context) => {
           });
         }
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId,
+          action: 'user.create',
+          entityType: 'user',
+          entityId: data[0].id,
+          details: { email, role: data[0].role, status: data[0].status }
+        });
+        
         return {
           statusCode: 201,
           headers,
@@ -211,6 +221,15 @@ exports.handler = async (event, context) => {
         
         if (error) throw error;
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: data[0]?.organization_id,
+          action: 'user.update',
+          entityType: 'user',
+          entityId: userId,
+          details: { first_name: firstName, last_name: lastName, role, status }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -225,7 +244,7 @@ exports.handler = async (event, context) => {
         // Get user to check organization
         const { data: userData } = await supabase
           .from('users')
-          .select('organization_id')
+          .select('organization_id, email, role')
           .eq('id', userId)
           .single();
         
@@ -247,6 +266,15 @@ exports.handler = async (event, context) => {
         // Delete auth user
         await supabase.auth.admin.deleteUser(userId);
         
+        await recordAudit(supabase, event, {
+          user,
+          organizationId: userData?.organization_id,
+          action: 'user.delete',
+          entityType: 'user',
+          entityId: userId,
+          details: { email: userData?.email, role: userData?.role }
+        });
+        
         return {
           statusCode: 200,
           headers,
@@ -0,0 +1,149 @@
+import { UUID_PATTERN } from './tickets';
+
+/**
+ * Access helpers shared by the Netlify functions
+ */
+
+/**
+ * Resolve the role and profile of an authenticated user
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - Auth user ID
+ * @returns {Promise} - { role, profile } or null when no profile exists
+ */
+export async function getUserRole(supabase, userId) {
+  // Check if user is a superadmin
+  const { data: superAdminData } = await supabase
+    .from('super_admins')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (superAdminData) {
+    return { role: 'superadmin', profile: superAdminData };
+  }
+
+  // Check if user is an admin
+  const { data: adminData } = await supabase
+    .from('admins')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (adminData) {
+    return { role: 'admin', profile: adminData };
+  }
+
+  // Must be a regular user
+  const { data: userData } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+
+  if (userData) {
+    return { role: userData.role, profile: userData };
+  }
+
+  return null;
+}
+
+/**
+ * Check if a user belongs to an organization (superadmins always do)
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - Auth user ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<boolean>}
+ */
+export async function checkOrganizationAccess(supabase, userId, orgId) {
+  const actor = await getUserRole(supabase, userId);
+
+  if (!actor) {
+    return false;
+  }
+
+  return actor.role === 'superadmin' || actor.profile.organization_id === orgId;
+}
+
+/**
+ * Check if a user is an admin of an organization (superadmins always are)
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - Auth user ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<boolean>}
+ */
+export async function checkOrganizationAdminAccess(supabase, userId, orgId) {
+  const actor = await getUserRole(supabase, userId);
+
+  if (!actor) {
+    return false;
+  }
+
+  return actor.role === 'superadmin' ||
+    (actor.role === 'admin' && actor.profile.organization_id === orgId);
+}
+
+/**
+ * Check if a resolved user is staff (admin or agent) of an organization (superadmins always are)
+ * @param {Object} actor - Result of getUserRole
+ * @param {string} orgId - Organization ID
+ * @returns {boolean}
+ */
+export function isOrganizationStaff(actor, orgId) {
+  if (!actor || actor.role === 'customer') {
+    return false;
+  }
+
+  return actor.role === 'superadmin' || actor.profile.organization_id === orgId;
+}
+
+/**
+ * Check if a resolved user can see a ticket: staff of its organization, or the customer who opened it
+ * @param {Object} actor - Result of getUserRole
+ * @param {Object} ticket - Ticket row
+ * @returns {boolean}
+ */
+export function canAccessTicket(actor, ticket) {
+  if (!actor) {
+    return false;
+  }
+
+  if (actor.role === 'customer') {
+    return ticket.created_by === actor.profile.id;
+  }
+
+  return isOrganizationStaff(actor, ticket.organization_id);
+}
+
+/**
+ * Find which of the given IDs belong to agents or admins of an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {Array} userIds - Candidate IDs (anything that is not a UUID never matches)
+ * @returns {Promise<Set>} - IDs of the organization's staff
+ */
+export async function getOrganizationStaffIds(supabase, organizationId, userIds) {
+  const ids = userIds.filter(id => UUID_PATTERN.test(id));
+
+  if (ids.length === 0) {
+    return new Set();
+  }
+
+  const { data: users, error: usersError } = await supabase
+    .from('users')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .neq('role', 'customer')
+    .in('id', ids);
+
+  if (usersError) throw usersError;
+
+  const { data: admins, error: adminsError } = await supabase
+    .from('admins')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .in('id', ids);
+
+  if (adminsError) throw adminsError;
+
+  return new Set([...users, ...admins].map(row => row.id));
+}
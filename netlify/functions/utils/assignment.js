@@ -0,0 +1,212 @@
+import { SLA_RESOLVED_STATUSES } from './sla';
+import { getRequiredSkills, getQualifiedAgentIds } from './skills';
+import { getTeamMemberIds } from './teams';
+import { ASSIGNABLE_AVAILABILITY, getOutOfOfficeUserIds } from './availability';
+
+/**
+ * Automatic ticket assignment
+ *
+ * New tickets without an assignee go to one of the organization's active
+ * agents, either in turn (round_robin) or to whoever has the fewest open
+ * tickets (load_balanced). Agents who are not available, who already hold the
+ * organization's cap of open tickets, or who lack the skills the ticket's
+ * category and tags require, are skipped. Tickets assigned to a team only
+ * go to members of that team.
+ */
+
+export const ASSIGNMENT_MODES = ['none', 'round_robin', 'load_balanced'];
+
+/**
+ * Validate an organization's assignment settings
+ * @param {Object} settings - { assignmentMode, assignmentMaxOpenTickets }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateAssignmentSettings({ assignmentMode, assignmentMaxOpenTickets }) {
+  if (assignmentMode !== undefined && !ASSIGNMENT_MODES.includes(assignmentMode)) {
+    return `Assignment mode must be one of: ${ASSIGNMENT_MODES.join(', ')}`;
+  }
+
+  if (assignmentMaxOpenTickets !== undefined && assignmentMaxOpenTickets !== null &&
+    (!Number.isInteger(assignmentMaxOpenTickets) || assignmentMaxOpenTickets < 1)) {
+    return 'Open ticket cap must be a positive whole number';
+  }
+
+  return null;
+}
+
+/**
+ * Check that a ticket can be assigned to a user
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - Assignee ID (null unassigns the ticket)
+ * @param {string} organizationId - The ticket's organization
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+export async function validateAssignee(supabase, userId, organizationId) {
+  if (userId === undefined || userId === null) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', userId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data && data.role !== 'customer'
+    ? null
+    : 'Tickets can only be assigned to agents of the ticket\'s organization';
+}
+
+/**
+ * Get the agents new tickets can be assigned to
+ *
+ * The organization's active agents (the list the agent picker shows) who are
+ * available and not out of office. Ordered by when they joined, which is the
+ * round-robin order.
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - User rows
+ */
+export async function getAssignableAgents(supabase, organizationId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('role', 'agent')
+    .eq('status', 'active')
+    .in('availability', ASSIGNABLE_AVAILABILITY)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+
+  const outOfOffice = await getOutOfOfficeUserIds(supabase, data.map(agent => agent.id));
+
+  return data.filter(agent => !outOfOffice.has(agent.id));
+}
+
+/**
+ * Count the open (not resolved or archived) tickets of each agent
+ * @param {Object} supabase - Supabase client
+ * @param {Array} agentIds - User IDs
+ * @returns {Promise<Map>} - User ID => open ticket count
+ */
+export async function getOpenTicketCounts(supabase, agentIds) {
+  const counts = new Map();
+
+  for (const agentId of agentIds) {
+    const { count, error } = await supabase
+      .from('tickets')
+      .select('id', { count: 'exact', head: true })
+      .eq('assigned_to', agentId)
+      .not('status', 'in', `(${SLA_RESOLVED_STATUSES.join(',')})`);
+
+    if (error) throw error;
+
+    counts.set(agentId, count);
+  }
+
+  return counts;
+}
+
+/**
+ * Choose an agent for a new ticket
+ * @param {string} mode - round_robin or load_balanced
+ * @param {Array} agents - Assignable agents in round-robin order
+ * @param {Map} openCounts - User ID => open ticket count
+ * @param {number|null} maxOpenTickets - Per-agent cap of open tickets
+ * @param {string|null} lastAgentId - Agent who got the previous automatic assignment
+ * @param {Set} qualifiedAgentIds - Agents with the skills the ticket needs (all agents when omitted)
+ * @returns {Object|null} - Agent row, or null when nobody can take the ticket
+ */
+export function chooseAgent(mode, agents, openCounts, maxOpenTickets, lastAgentId, qualifiedAgentIds = null) {
+  // Start the rotation after the previous pick; load balancing breaks ties the same way
+  const lastIndex = agents.findIndex(agent => agent.id === lastAgentId);
+  const rotation = [...agents.slice(lastIndex + 1), ...agents.slice(0, lastIndex + 1)];
+
+  const eligible = rotation.filter(agent =>
+    (!qualifiedAgentIds || qualifiedAgentIds.has(agent.id)) &&
+    (!maxOpenTickets || (openCounts.get(agent.id) || 0) < maxOpenTickets));
+
+  if (eligible.length === 0) {
+    return null;
+  }
+
+  if (mode === 'load_balanced') {
+    return eligible.reduce((best, agent) =>
+      (openCounts.get(agent.id) || 0) < (openCounts.get(best.id) || 0) ? agent : best);
+  }
+
+  return eligible[0];
+}
+
+/**
+ * Pick the assignee for a new ticket of an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {Object} ticket - { category, tagIds } used for skill requirements, and the ticket's teamId
+ * @param {string} fallbackMode - Mode to use when the organization has automatic assignment off
+ * @returns {Promise<Object|null>} - { agent, mode }, or null when automatic assignment is off or nobody is free
+ */
+export async function pickAssignee(supabase, organizationId, ticket = {}, fallbackMode = null) {
+  if (!organizationId) {
+    return null;
+  }
+
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('assignment_mode, assignment_max_open_tickets, assignment_last_agent_id')
+    .eq('id', organizationId)
+    .single();
+
+  if (error) throw error;
+
+  const mode = organization.assignment_mode && organization.assignment_mode !== 'none'
+    ? organization.assignment_mode
+    : fallbackMode;
+
+  if (!mode) {
+    return null;
+  }
+
+  const agents = await getAssignableAgents(supabase, organizationId);
+  const requiredSkills = await getRequiredSkills(supabase, organizationId, ticket);
+  let candidateIds = agents.map(agent => agent.id);
+
+  if (ticket.teamId) {
+    const memberIds = new Set(await getTeamMemberIds(supabase, ticket.teamId));
+    candidateIds = candidateIds.filter(agentId => memberIds.has(agentId));
+  }
+
+  const qualifiedAgentIds = await getQualifiedAgentIds(supabase, candidateIds, requiredSkills);
+
+  // Counts are only needed to apply the cap or balance the load
+  const openCounts = mode === 'load_balanced' || organization.assignment_max_open_tickets
+    ? await getOpenTicketCounts(supabase, agents.map(agent => agent.id))
+    : new Map();
+
+  const agent = chooseAgent(
+    mode,
+    agents,
+    openCounts,
+    organization.assignment_max_open_tickets,
+    organization.assignment_last_agent_id,
+    qualifiedAgentIds
+  );
+
+  if (!agent) {
+    return null;
+  }
+
+  const { error: updateError } = await supabase
+    .from('organizations')
+    .update({ assignment_last_agent_id: agent.id })
+    .eq('id', organizationId);
+
+  if (updateError) throw updateError;
+
+  return { agent, mode };
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { chooseAgent, validateAssignmentSettings } from './assignment';
+
+const agents = [{ id: 'ana' }, { id: 'ben' }, { id: 'cal' }];
+
+const counts = entries => new Map(Object.entries(entries));
+
+describe('chooseAgent', () => {
+  it('goes round the agents in turn', () => {
+    expect(chooseAgent('round_robin', agents, new Map(), null, null).id).toBe('ana');
+    expect(chooseAgent('round_robin', agents, new Map(), null, 'ana').id).toBe('ben');
+    expect(chooseAgent('round_robin', agents, new Map(), null, 'cal').id).toBe('ana');
+  });
+
+  it('starts over when the previous agent is no longer assignable', () => {
+    expect(chooseAgent('round_robin', agents, new Map(), null, 'dee').id).toBe('ana');
+  });
+
+  it('picks the agent with the fewest open tickets', () => {
+    expect(chooseAgent('load_balanced', agents, counts({ ana: 3, ben: 1, cal: 2 }), null, null).id).toBe('ben');
+  });
+
+  it('breaks load ties in round-robin order', () => {
+    expect(chooseAgent('load_balanced', agents, counts({ ana: 1, ben: 1, cal: 1 }), null, 'ana').id).toBe('ben');
+  });
+
+  it('skips agents at the open ticket cap', () => {
+    expect(chooseAgent('round_robin', agents, counts({ ana: 5, ben: 5, cal: 4 }), 5, null).id).toBe('cal');
+    expect(chooseAgent('round_robin', agents, counts({ ana: 5, ben: 5, cal: 5 }), 5, null)).toBeNull();
+  });
+
+  it('only picks agents with the required skills', () => {
+    expect(chooseAgent('round_robin', agents, new Map(), null, null, new Set(['cal'])).id).toBe('cal');
+    expect(chooseAgent('round_robin', agents, new Map(), null, null, new Set())).toBeNull();
+  });
+
+  it('returns null without agents', () => {
+    expect(chooseAgent('round_robin', [], new Map(), null, null)).toBeNull();
+  });
+});
+
+describe('validateAssignmentSettings', () => {
+  it('accepts known modes and a positive cap', () => {
+    expect(validateAssignmentSettings({ assignmentMode: 'load_balanced', assignmentMaxOpenTickets: 10 })).toBeNull();
+    expect(validateAssignmentSettings({ assignmentMaxOpenTickets: null })).toBeNull();
+  });
+
+  it('rejects unknown modes and caps below one', () => {
+    expect(validateAssignmentSettings({ assignmentMode: 'random' }))
+      .toBe('Assignment mode must be one of: none, round_robin, load_balanced');
+    expect(validateAssignmentSettings({ assignmentMaxOpenTickets: 0 })).toBe('Open ticket cap must be a positive whole number');
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Ticket and response attachments
+ *
+ * Files live in a private Supabase Storage bucket. The client asks for a
+ * signed upload URL, uploads the file straight to storage and then confirms
+ * the upload, at which point the stored object is checked against the
+ * organization's size and file type limits. Downloads go through short-lived
+ * signed URLs handed out after a ticket access check.
+ */
+
+export const ATTACHMENT_BUCKET = 'ticket-attachments';
+
+// Platform-wide cap on an organization's size limit
+export const MAX_ATTACHMENT_SIZE_MB = 50;
+
+// How long a download link stays valid
+export const DOWNLOAD_URL_TTL_SECONDS = 300;
+
+// Inline images stay visible while the ticket is open
+export const INLINE_IMAGE_URL_TTL_SECONDS = 3600;
+
+// Uploads that were never confirmed are removed after this long
+export const PENDING_UPLOAD_TTL_HOURS = 24;
+
+const MEGABYTE = 1024 * 1024;
+
+const FILE_TYPE_PATTERN = /^[a-z0-9][a-z0-9.+-]*\/(\*|[a-z0-9][a-z0-9.+-]*)$/;
+
+/**
+ * Validate an organization's attachment settings
+ * @param {Object} settings - { attachmentMaxSizeMb, attachmentAllowedTypes }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateAttachmentSettings({ attachmentMaxSizeMb, attachmentAllowedTypes }) {
+  if (attachmentMaxSizeMb !== undefined &&
+    (!Number.isInteger(attachmentMaxSizeMb) || attachmentMaxSizeMb < 1 || attachmentMaxSizeMb > MAX_ATTACHMENT_SIZE_MB)) {
+    return `Attachment size limit must be a whole number of MB from 1 to ${MAX_ATTACHMENT_SIZE_MB}`;
+  }
+
+  if (attachmentAllowedTypes !== undefined && (!Array.isArray(attachmentAllowedTypes) ||
+    attachmentAllowedTypes.length === 0 ||
+    attachmentAllowedTypes.some(type => typeof type !== 'string' || !FILE_TYPE_PATTERN.test(type.toLowerCase())))) {
+    return 'Allowed file types must be a list of MIME types such as image/png or image/*';
+  }
+
+  return null;
+}
+
+/**
+ * Check a MIME type against a list of allowed types (type/* matches the whole family)
+ * @param {string} fileType - MIME type
+ * @param {Array} allowedTypes - Allowed MIME types
+ * @returns {boolean}
+ */
+export function isAllowedFileType(fileType, allowedTypes) {
+  const type = (fileType || '').toLowerCase().split(';')[0].trim();
+
+  return allowedTypes.some(allowed => {
+    const pattern = allowed.toLowerCase();
+
+    return pattern.endsWith('/*')
+      ? type.startsWith(pattern.slice(0, -1))
+      : type === pattern;
+  });
+}
+
+/**
+ * Validate a file against an organization's limits
+ * @param {Object} file - { fileName, fileType, fileSize }
+ * @param {Object} organization - organizations row
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateAttachment({ fileName, fileType, fileSize }, organization) {
+  if (typeof fileName !== 'string' || !fileName.trim()) {
+    return 'File name is required';
+  }
+
+  if (!Number.isInteger(fileSize) || fileSize <= 0) {
+    return 'File size must be a positive number of bytes';
+  }
+
+  if (fileSize > organization.attachment_max_size_mb * MEGABYTE) {
+    return `Files can be at most ${organization.attachment_max_size_mb} MB`;
+  }
+
+  if (!isAllowedFileType(fileType, organization.attachment_allowed_types)) {
+    return `Files of type ${fileType || 'unknown'} are not allowed`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the storage path of an attachment
+ * @param {Object} attachment - { id, organization_id, ticket_id, file_name }
+ * @returns {string}
+ */
+export function getAttachmentPath({ id, organization_id, ticket_id, file_name }) {
+  const safeName = file_name.trim().replace(/[^\w.-]+/g, '_').slice(-100) || 'file';
+
+  return `${organization_id}/${ticket_id}/${id}/${safeName}`;
+}
+
+/**
+ * Look up a stored object's size and MIME type
+ * @param {Object} supabase - Supabase client
+ * @param {string} storagePath - Object path in the attachment bucket
+ * @returns {Promise<Object|null>} - { size, mimetype }, or null when nothing was uploaded
+ */
+export async function getStoredFile(supabase, storagePath) {
+  const folder = storagePath.slice(0, storagePath.lastIndexOf('/'));
+  const name = storagePath.slice(storagePath.lastIndexOf('/') + 1);
+
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .list(folder, { search: name });
+
+  if (error) throw error;
+
+  const file = data.find(object => object.name === name);
+
+  return file ? { size: file.metadata?.size, mimetype: file.metadata?.mimetype } : null;
+}
+
+/**
+ * Create signed URLs for attachments shown as inline images
+ * @param {Object} supabase - Supabase client
+ * @param {Array} attachments - ticket_attachments rows the reader may see
+ * @returns {Promise<Map>} - Attachment ID => URL
+ */
+export async function getInlineImageUrls(supabase, attachments) {
+  const images = attachments.filter(attachment => attachment.file_type.startsWith('image/'));
+
+  if (images.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .createSignedUrls(images.map(image => image.storage_path), INLINE_IMAGE_URL_TTL_SECONDS);
+
+  if (error) throw error;
+
+  return new Map(images
+    .map(image => [image.id, data.find(item => item.path === image.storage_path)?.signedUrl])
+    .filter(([, url]) => url));
+}
+
+/**
+ * Delete attachment rows, and their stored files once no other row shares them
+ *
+ * Split tickets share their files with the response they came from.
+ * @param {Object} supabase - Supabase client
+ * @param {Array} attachments - ticket_attachments rows
+ */
+export async function deleteAttachments(supabase, attachments) {
+  if (attachments.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('ticket_attachments')
+    .delete()
+    .in('id', attachments.map(attachment => attachment.id));
+
+  if (error) throw error;
+
+  const paths = [...new Set(attachments.map(attachment => attachment.storage_path))];
+
+  const { data: shared, error: sharedError } = await supabase
+    .from('ticket_attachments')
+    .select('storage_path')
+    .in('storage_path', paths);
+
+  if (sharedError) throw sharedError;
+
+  const orphaned = paths.filter(storagePath => !shared.some(row => row.storage_path === storagePath));
+
+  if (orphaned.length > 0) {
+    const { error: removeError } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .remove(orphaned);
+
+    if (removeError) throw removeError;
+  }
+}
+
+/**
+ * Remove uploads that were started but never confirmed
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+export async function cleanUpPendingAttachments(supabase, now = new Date()) {
+  const cutoff = new Date(now.getTime() - PENDING_UPLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('ticket_attachments')
+    .select('id, storage_path')
+    .eq('status', 'pending')
+    .lt('created_at', cutoff.toISOString());
+
+  if (error) throw error;
+
+  await deleteAttachments(supabase, data);
+
+  return data.length;
+}
@@ -0,0 +1,57 @@
+import { getUserRole } from './access';
+
+/**
+ * Audit log helpers
+ */
+
+/**
+ * Get the client IP address of a Netlify function request
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} - Client IP
+ */
+export function getClientIp(event) {
+  const headers = event.headers || {};
+
+  return headers['x-nf-client-connection-ip'] ||
+    headers['client-ip'] ||
+    headers['x-forwarded-for']?.split(',')[0].trim() ||
+    null;
+}
+
+/**
+ * Record an entry in audit_logs
+ *
+ * Failures are logged rather than thrown so an audit problem never undoes a
+ * change that has already been made.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - Netlify function event
+ * @param {Object} entry - { user, actor, email, organizationId, action, entityType, entityId, details }
+ * @returns {Promise}
+ */
+export async function recordAudit(supabase, event, entry) {
+  const { user, email, action, entityType, entityId, details } = entry;
+
+  try {
+    const actor = entry.actor !== undefined
+      ? entry.actor
+      : user ? await getUserRole(supabase, user.id) : null;
+
+    const { error } = await supabase
+      .from('audit_logs')
+      .insert([{
+        user_id: user?.id || null,
+        user_email: user?.email || email || null,
+        user_role: actor?.role || null,
+        organization_id: entry.organizationId || actor?.profile?.organization_id || null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId || null,
+        details: details || null,
+        ip_address: getClientIp(event)
+      }]);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
@@ -0,0 +1,317 @@
+import { TICKET_PRIORITIES } from './sla';
+import { TICKET_STATUSES, USER_ROLES } from './statusTransitions';
+import { validateTicketActions, applyTicketActions } from './ticketActions';
+
+/**
+ * Event-driven automation rules
+ *
+ * Rules run in order_index order when a ticket is created or updated, or a
+ * response is added. Each rule whose conditions match the ticket applies its
+ * actions as the system; later rules see the changes of earlier ones. Changes
+ * made by rules never trigger further rules.
+ *
+ * Rules for the schedule event are checked periodically instead, by the
+ * scheduled-automations function (see scheduledAutomations.js).
+ */
+
+export const AUTOMATION_EVENTS = ['ticket.created', 'ticket.updated', 'response.created', 'schedule'];
+
+// Fields a condition can test, and the operators each supports
+const CONDITION_OPERATORS = {
+  status: ['is', 'is_not', 'in', 'not_in'],
+  priority: ['is', 'is_not', 'in', 'not_in'],
+  category: ['is', 'is_not', 'in', 'not_in'],
+  requester_domain: ['is', 'is_not', 'in', 'not_in'],
+  title: ['contains', 'not_contains', 'contains_any'],
+  description: ['contains', 'not_contains', 'contains_any'],
+  // Title or description
+  text: ['contains', 'not_contains', 'contains_any'],
+  tags: ['includes_any', 'includes_all', 'excludes'],
+  // Only set for response.created
+  response: ['contains', 'not_contains', 'contains_any'],
+  response_author_role: ['is', 'is_not', 'in', 'not_in'],
+  // Hours since a point in time, mostly for schedule rules
+  hours_in_status: ['at_least', 'less_than'],
+  hours_since_update: ['at_least', 'less_than'],
+  hours_since_customer_reply: ['at_least', 'less_than']
+};
+
+// Ticket column each time condition measures from; created_at when the column is empty
+export const TIME_CONDITION_COLUMNS = {
+  hours_in_status: 'status_changed_at',
+  hours_since_update: 'updated_at',
+  hours_since_customer_reply: 'last_customer_reply_at'
+};
+
+export const CONDITION_FIELDS = Object.keys(CONDITION_OPERATORS);
+
+const LIST_OPERATORS = ['in', 'not_in', 'contains_any', 'includes_any', 'includes_all', 'excludes'];
+
+// Ticket columns and relations conditions are evaluated against
+export const AUTOMATION_TICKET_SELECT = '*, tags(id, name, color), requester:created_by(email)';
+
+const normalize = value => String(value ?? '').toLowerCase();
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Validate an automation rule payload
+ * @param {Object} rule - { name, events, conditions, conditionMatch, actions }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateAutomationRule({ name, events, conditions, conditionMatch, actions }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Rule name is required';
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(item => !AUTOMATION_EVENTS.includes(item))) {
+    return `Events must be a list of: ${AUTOMATION_EVENTS.join(', ')}`;
+  }
+
+  if (conditionMatch !== undefined && !['all', 'any'].includes(conditionMatch)) {
+    return 'Condition match must be all or any';
+  }
+
+  if (!Array.isArray(conditions)) {
+    return 'Conditions must be a list';
+  }
+
+  for (const { field, operator, value } of conditions) {
+    if (!CONDITION_OPERATORS[field]?.includes(operator)) {
+      return `Invalid condition: ${field} ${operator}`;
+    }
+
+    if (TIME_CONDITION_COLUMNS[field]) {
+      if (typeof value !== 'number' || !(value > 0)) {
+        return `Condition on ${field} needs a number of hours`;
+      }
+      continue;
+    }
+
+    const values = toList(value);
+
+    if (values.length === 0 || values.some(item => typeof item !== 'string' || !item.trim())) {
+      return `Condition on ${field} needs a value`;
+    }
+
+    if (field === 'status' && values.some(item => !TICKET_STATUSES.includes(item))) {
+      return 'Invalid status in condition';
+    }
+
+    if (field === 'priority' && values.some(item => !TICKET_PRIORITIES.includes(item))) {
+      return 'Invalid priority in condition';
+    }
+
+    if (field === 'response_author_role' && values.some(item => !USER_ROLES.includes(item))) {
+      return 'Invalid role in condition';
+    }
+  }
+
+  return validateTicketActions(actions);
+}
+
+/**
+ * Load what rule conditions are evaluated against
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} response - Response row for response.created
+ * @returns {Promise<Object>} - { ticket, requesterEmail, response, now }
+ */
+export async function getAutomationContext(supabase, ticketId, response = null) {
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .select(AUTOMATION_TICKET_SELECT)
+    .eq('id', ticketId)
+    .single();
+
+  if (error) throw error;
+
+  return toAutomationContext(ticket, response);
+}
+
+/**
+ * Build a context from a ticket row loaded with AUTOMATION_TICKET_SELECT
+ * @param {Object} ticket - Ticket row
+ * @param {Object} response - Response row for response.created
+ * @param {Date} now - Reference time for time conditions
+ * @returns {Object} - { ticket, requesterEmail, response, now }
+ */
+export function toAutomationContext(ticket, response = null, now = new Date()) {
+  return { ticket, requesterEmail: ticket.requester?.email || null, response, now };
+}
+
+// Value of a condition field for a context
+function getFieldValue(field, { ticket, requesterEmail, response }) {
+  switch (field) {
+    case 'requester_domain':
+      return requesterEmail ? requesterEmail.split('@').pop() : null;
+    case 'text':
+      return `${ticket.title || ''}\n${ticket.description || ''}`;
+    case 'tags':
+      return (ticket.tags || []).map(tag => tag.id);
+    case 'response':
+      return response?.content ?? null;
+    case 'response_author_role':
+      return response?.created_by_role ?? null;
+    default:
+      return ticket[field];
+  }
+}
+
+/**
+ * Evaluate one condition
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} context - Result of getAutomationContext
+ * @returns {boolean}
+ */
+export function evaluateCondition({ field, operator, value }, context) {
+  if (TIME_CONDITION_COLUMNS[field]) {
+    const since = context.ticket[TIME_CONDITION_COLUMNS[field]] || context.ticket.created_at;
+    const hours = ((context.now || new Date()) - new Date(since)) / 3600000;
+
+    return operator === 'at_least' ? hours >= value : hours < value;
+  }
+
+  const actual = getFieldValue(field, context);
+  const expected = LIST_OPERATORS.includes(operator) ? toList(value).map(normalize) : normalize(value);
+
+  // Response conditions never match outside response.created
+  if (actual === null || actual === undefined) {
+    return operator === 'is_not' || operator === 'not_in' || operator === 'not_contains' || operator === 'excludes';
+  }
+
+  if (field === 'tags') {
+    const tagIds = actual.map(normalize);
+
+    return {
+      includes_any: () => expected.some(tagId => tagIds.includes(tagId)),
+      includes_all: () => expected.every(tagId => tagIds.includes(tagId)),
+      excludes: () => !expected.some(tagId => tagIds.includes(tagId))
+    }[operator]();
+  }
+
+  const text = normalize(actual);
+
+  return {
+    is: () => text === expected,
+    is_not: () => text !== expected,
+    in: () => expected.includes(text),
+    not_in: () => !expected.includes(text),
+    contains: () => text.includes(expected),
+    not_contains: () => !text.includes(expected),
+    contains_any: () => expected.some(keyword => text.includes(keyword))
+  }[operator]();
+}
+
+/**
+ * Check whether a rule applies to an event and context
+ * @param {Object} rule - automation_rules row
+ * @param {string} eventName - One of AUTOMATION_EVENTS
+ * @param {Object} context - Result of getAutomationContext
+ * @returns {Object} - { matched, conditions } with the result of each condition
+ */
+export function evaluateRule(rule, eventName, context) {
+  const conditions = (rule.conditions || []).map(condition => ({
+    ...condition,
+    matched: evaluateCondition(condition, context)
+  }));
+
+  const conditionsMatch = conditions.length === 0 ||
+    (rule.condition_match === 'any'
+      ? conditions.some(condition => condition.matched)
+      : conditions.every(condition => condition.matched));
+
+  return {
+    matched: rule.events.includes(eventName) && conditionsMatch,
+    conditions
+  };
+}
+
+/**
+ * Get the active rules of an organization for an event in run order
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {string} eventName - One of AUTOMATION_EVENTS
+ * @returns {Promise<Array>} - Rule rows
+ */
+export async function getAutomationRules(supabase, organizationId, eventName) {
+  const { data, error } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .contains('events', [eventName])
+    .order('order_index', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Apply a rule's actions to a ticket as the system
+ * @param {Object} supabase - Supabase client
+ * @param {Object} rule - automation_rules row
+ * @param {Object} ticket - Ticket row with its tags embedded
+ * @param {string} eventName - Event the rule fired for
+ * @returns {Promise<Object>} - Result of applyTicketActions
+ */
+export function applyAutomationRule(supabase, rule, ticket, eventName) {
+  return applyTicketActions(supabase, ticket, rule.actions, {
+    actor: null,
+    actorFields: { actor_id: null, actor_name: `Automation: ${rule.name}`, actor_role: null },
+    checkTransitions: false,
+    force: true,
+    eventType: 'automation_applied',
+    details: { rule_id: rule.id, rule_name: rule.name, event: eventName }
+  });
+}
+
+/**
+ * Run an organization's rules for a ticket event
+ *
+ * Rule failures are logged and skipped so they never undo the change that
+ * triggered them.
+ * @param {Object} supabase - Supabase client
+ * @param {string} eventName - One of AUTOMATION_EVENTS
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} response - Response row for response.created
+ * @returns {Promise<Array>} - [{ ruleId, name, error }] for each rule that fired
+ */
+export async function runAutomations(supabase, eventName, ticketId, response = null) {
+  const results = [];
+
+  try {
+    let context = await getAutomationContext(supabase, ticketId, response);
+
+    if (!context.ticket.organization_id) {
+      return results;
+    }
+
+    const rules = await getAutomationRules(supabase, context.ticket.organization_id, eventName);
+
+    for (const rule of rules) {
+      if (!evaluateRule(rule, eventName, context).matched) {
+        continue;
+      }
+
+      try {
+        const result = await applyAutomationRule(supabase, rule, context.ticket, eventName);
+
+        results.push({ ruleId: rule.id, name: rule.name, error: result.error || null });
+
+        // Later rules see this rule's changes
+        if (!result.error) {
+          context = await getAutomationContext(supabase, ticketId, response);
+        }
+      } catch (error) {
+        console.error(`Automation rule ${rule.id} error:`, error);
+        results.push({ ruleId: rule.id, name: rule.name, error: error.message });
+      }
+    }
+  } catch (error) {
+    console.error('Automation error:', error);
+  }
+
+  return results;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateCondition, evaluateRule, toAutomationContext } from './automations';
+
+const ticket = {
+  title: 'Refund request',
+  description: 'Please refund my last invoice',
+  status: 'open',
+  priority: 'high',
+  category: 'billing',
+  tags: [{ id: 'tag-vip' }, { id: 'tag-eu' }]
+};
+
+const context = { ticket, requesterEmail: 'jo@example.com', response: null };
+
+const matches = (field, operator, value, ctx = context) => evaluateCondition({ field, operator, value }, ctx);
+
+describe('evaluateCondition', () => {
+  it('compares ticket fields without regard to case', () => {
+    expect(matches('priority', 'is', 'HIGH')).toBe(true);
+    expect(matches('status', 'is_not', 'open')).toBe(false);
+    expect(matches('category', 'in', ['technical', 'billing'])).toBe(true);
+    expect(matches('category', 'not_in', ['billing'])).toBe(false);
+  });
+
+  it('matches the requester email domain', () => {
+    expect(matches('requester_domain', 'is', 'example.com')).toBe(true);
+  });
+
+  it('searches the title and description', () => {
+    expect(matches('title', 'contains', 'refund')).toBe(true);
+    expect(matches('description', 'not_contains', 'invoice')).toBe(false);
+    expect(matches('text', 'contains_any', ['outage', 'invoice'])).toBe(true);
+  });
+
+  it('matches tags by ID', () => {
+    expect(matches('tags', 'includes_any', ['tag-vip', 'tag-us'])).toBe(true);
+    expect(matches('tags', 'includes_all', ['tag-vip', 'tag-us'])).toBe(false);
+    expect(matches('tags', 'excludes', ['tag-us'])).toBe(true);
+  });
+
+  it('only matches negative response conditions outside a response', () => {
+    expect(matches('response', 'contains', 'thanks')).toBe(false);
+    expect(matches('response', 'not_contains', 'thanks')).toBe(true);
+    expect(matches('response_author_role', 'is_not', 'customer')).toBe(true);
+  });
+
+  it('tests the response that triggered the rule', () => {
+    const responseContext = { ...context, response: { content: 'Thanks, all sorted', created_by_role: 'customer' } };
+
+    expect(matches('response', 'contains_any', ['sorted', 'fixed'], responseContext)).toBe(true);
+    expect(matches('response_author_role', 'is', 'customer', responseContext)).toBe(true);
+  });
+});
+
+describe('time conditions', () => {
+  const now = new Date('2024-03-04T12:00:00Z');
+  const waiting = toAutomationContext({
+    ...ticket,
+    created_at: '2024-03-01T12:00:00Z',
+    status_changed_at: '2024-03-04T06:00:00Z',
+    last_customer_reply_at: null
+  }, null, now);
+
+  it('measures hours since the column', () => {
+    expect(matches('hours_in_status', 'at_least', 6, waiting)).toBe(true);
+    expect(matches('hours_in_status', 'less_than', 6, waiting)).toBe(false);
+  });
+
+  it('measures from creation when the column is empty', () => {
+    expect(matches('hours_since_customer_reply', 'at_least', 72, waiting)).toBe(true);
+    expect(matches('hours_since_customer_reply', 'at_least', 73, waiting)).toBe(false);
+  });
+});
+
+describe('evaluateRule', () => {
+  const rule = {
+    events: ['ticket.created'],
+    condition_match: 'all',
+    conditions: [
+      { field: 'priority', operator: 'is', value: 'high' },
+      { field: 'category', operator: 'is', value: 'technical' }
+    ]
+  };
+
+  it('reports the result of each condition', () => {
+    expect(evaluateRule(rule, 'ticket.created', context)).toEqual({
+      matched: false,
+      conditions: [
+        { ...rule.conditions[0], matched: true },
+        { ...rule.conditions[1], matched: false }
+      ]
+    });
+  });
+
+  it('matches when any condition does in any mode', () => {
+    expect(evaluateRule({ ...rule, condition_match: 'any' }, 'ticket.created', context).matched).toBe(true);
+  });
+
+  it('only matches the rule events', () => {
+    expect(evaluateRule({ ...rule, conditions: [] }, 'ticket.created', context).matched).toBe(true);
+    expect(evaluateRule({ ...rule, conditions: [] }, 'ticket.updated', context).matched).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Agent availability and out-of-office periods
+ *
+ * Agents set their own status (users.availability). An out-of-office period
+ * counts as away while it runs, whatever the status says. Only available
+ * agents get tickets automatically, and escalations skip agents who are
+ * away or offline.
+ */
+
+// Values of users.availability
+export const AGENT_AVAILABILITY = ['available', 'busy', 'away', 'offline'];
+
+// Statuses in which an agent gets new tickets automatically
+export const ASSIGNABLE_AVAILABILITY = ['available'];
+
+// Statuses in which an agent is not at work and cannot be reached
+export const UNREACHABLE_AVAILABILITY = ['away', 'offline'];
+
+/**
+ * Validate an out-of-office period payload
+ * @param {Object} period - { startsAt, endsAt, message, reassignTickets, reassignTo }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateOutOfOffice({ startsAt, endsAt, message, reassignTickets, reassignTo }) {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (!startsAt || !endsAt || isNaN(start) || isNaN(end)) {
+    return 'Start and end times are required';
+  }
+
+  if (end <= start) {
+    return 'The end must be after the start';
+  }
+
+  if (end <= new Date()) {
+    return 'The period has already ended';
+  }
+
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    return 'Message must be text';
+  }
+
+  if (reassignTickets !== undefined && typeof reassignTickets !== 'boolean') {
+    return 'Reassign tickets must be true or false';
+  }
+
+  if (reassignTo !== undefined && reassignTo !== null && typeof reassignTo !== 'string') {
+    return 'Reassign to must be a user ID';
+  }
+
+  return null;
+}
+
+/**
+ * Get which of the given users are out of office right now
+ * @param {Object} supabase - Supabase client
+ * @param {Array} userIds - User IDs
+ * @param {Date} now - Reference time
+ * @returns {Promise<Set>} - User IDs
+ */
+export async function getOutOfOfficeUserIds(supabase, userIds, now = new Date()) {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('out_of_office')
+    .select('user_id')
+    .in('user_id', userIds)
+    .lte('starts_at', now.toISOString())
+    .gt('ends_at', now.toISOString());
+
+  if (error) throw error;
+
+  return new Set(data.map(period => period.user_id));
+}
+
+/**
+ * Drop the users who cannot be reached: away, offline or out of office
+ *
+ * IDs that are not in the users table (organization admins) are kept.
+ * @param {Object} supabase - Supabase client
+ * @param {Array} userIds - User IDs
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - Reachable user IDs, in the given order
+ */
+export async function filterReachableUserIds(supabase, userIds, now = new Date()) {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .in('id', userIds)
+    .in('availability', UNREACHABLE_AVAILABILITY);
+
+  if (error) throw error;
+
+  const unreachable = await getOutOfOfficeUserIds(supabase, userIds, now);
+  data.forEach(user => unreachable.add(user.id));
+
+  return userIds.filter(userId => !unreachable.has(userId));
+}
+
+/**
+ * Work out an agent's availability, taking out-of-office periods into account
+ * @param {Object} user - users row
+ * @param {Array} periods - The user's out_of_office rows
+ * @param {Date} now - Reference time
+ * @returns {Object} - { availability, outOfOffice } with the running period, if any
+ */
+export function getEffectiveAvailability(user, periods, now = new Date()) {
+  const outOfOffice = periods.find(period =>
+    new Date(period.starts_at) <= now && new Date(period.ends_at) > now) || null;
+
+  return {
+    availability: outOfOffice ? 'away' : user.availability,
+    outOfOffice
+  };
+}
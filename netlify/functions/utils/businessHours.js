@@ -0,0 +1,284 @@
+import { wallClock } from './sla';
+
+/**
+ * Business-hours helpers
+ *
+ * An organization can have several calendars (for example one per office).
+ * Business time is the union of their open hours, so a ticket is "in hours"
+ * whenever at least one calendar is open and not on a holiday.
+ */
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far ahead to look for open time before giving up
+const MAX_SEARCH_DAYS = 366;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = parseInt(value, 10);
+  }
+
+  return parts;
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Convert a local date and time in a time zone to a UTC timestamp
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+
+  // Re-check across DST changes
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+
+  return correctedOffset === offset ? result : guess - correctedOffset;
+}
+
+function toDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseTime(value) {
+  const [hour, minute] = value.split(':').map(Number);
+  return { hour, minute };
+}
+
+// Open intervals of one calendar between two timestamps
+function getCalendarIntervals(calendar, from, to) {
+  const timeZone = calendar.timezone || 'UTC';
+  const hours = calendar.hours || {};
+  const holidays = new Set((calendar.holidays || []).map(holiday => holiday.date));
+  const intervals = [];
+
+  // Start a day early so slots that began before `from` are included
+  const start = getZonedParts(new Date(from - DAY), timeZone);
+  let cursor = Date.UTC(start.year, start.month - 1, start.day);
+
+  while (cursor <= to + DAY) {
+    const date = new Date(cursor);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    if (!holidays.has(toDateKey(year, month, day))) {
+      for (const slot of hours[WEEKDAYS[date.getUTCDay()]] || []) {
+        const open = parseTime(slot.start);
+        const close = parseTime(slot.end);
+        const slotStart = Math.max(zonedTimeToUtc(year, month, day, open.hour, open.minute, timeZone), from);
+        const slotEnd = Math.min(zonedTimeToUtc(year, month, day, close.hour, close.minute, timeZone), to);
+
+        if (slotStart < slotEnd) {
+          intervals.push([slotStart, slotEnd]);
+        }
+      }
+    }
+
+    cursor += DAY;
+  }
+
+  return intervals;
+}
+
+// Merged open intervals of all calendars between two timestamps
+function getOpenIntervals(calendars, from, to) {
+  const intervals = calendars
+    .flatMap(calendar => getCalendarIntervals(calendar, from, to))
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+
+  return merged;
+}
+
+function hasOpenHours(calendar) {
+  return Object.values(calendar.hours || {}).some(slots => Array.isArray(slots) && slots.length > 0);
+}
+
+/**
+ * Create a clock that only counts time when a calendar is open
+ * @param {Array} calendars - Business calendar rows
+ * @returns {Object} - Clock with addMinutes and minutesBetween
+ */
+export function createBusinessClock(calendars) {
+  const openCalendars = (calendars || []).filter(hasOpenHours);
+
+  if (openCalendars.length === 0) {
+    return wallClock;
+  }
+
+  return {
+    addMinutes(date, minutes) {
+      let remaining = minutes * MINUTE;
+      let cursor = new Date(date).getTime();
+      const limit = cursor + MAX_SEARCH_DAYS * DAY;
+
+      while (cursor < limit) {
+        const windowEnd = cursor + 7 * DAY;
+
+        for (const [start, end] of getOpenIntervals(openCalendars, cursor, windowEnd)) {
+          if (end - start >= remaining) {
+            return new Date(start + remaining);
+          }
+
+          remaining -= end - start;
+        }
+
+        cursor = windowEnd;
+      }
+
+      // Every day is a holiday; fall back to wall-clock time
+      return wallClock.addMinutes(date, minutes);
+    },
+
+    minutesBetween(start, end) {
+      const from = new Date(start).getTime();
+      const to = new Date(end).getTime();
+
+      if (to <= from) {
+        return 0;
+      }
+
+      const openTime = getOpenIntervals(openCalendars, from, to)
+        .reduce((total, [intervalStart, intervalEnd]) => total + (intervalEnd - intervalStart), 0);
+
+      return Math.round(openTime / MINUTE);
+    }
+  };
+}
+
+/**
+ * Get the active business calendars of an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Calendar rows
+ */
+export async function getBusinessCalendars(supabase, organizationId) {
+  if (!organizationId) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('business_calendars')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Get the SLA clock for an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} - Business clock, or wall clock without calendars
+ */
+export async function getBusinessClock(supabase, organizationId) {
+  return createBusinessClock(await getBusinessCalendars(supabase, organizationId));
+}
+
+/**
+ * Format a timestamp in a calendar's time zone for customer-facing text
+ * @param {Date|string} date - Timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Formatted date and time
+ */
+export function formatInTimeZone(date, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(new Date(date)) + ` (${timeZone})`;
+}
+
+/**
+ * Validate a business calendar payload
+ * @param {Object} calendar - Calendar with timezone, hours and holidays
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateBusinessCalendar(calendar) {
+  const { name, timezone, hours = {}, holidays = [] } = calendar;
+
+  if (!name) {
+    return 'Calendar name is required';
+  }
+
+  if (!timezone) {
+    return 'Time zone is required';
+  }
+
+  try {
+    getFormatter(timezone);
+  } catch (error) {
+    return `Invalid time zone: ${timezone}`;
+  }
+
+  for (const [day, slots] of Object.entries(hours)) {
+    if (!WEEKDAYS.includes(day) || !Array.isArray(slots)) {
+      return `Invalid business hours for: ${day}`;
+    }
+
+    const invalidSlot = slots.find(slot =>
+      !TIME_PATTERN.test(slot.start || '') ||
+      !TIME_PATTERN.test(slot.end || '') ||
+      slot.start >= slot.end
+    );
+
+    if (invalidSlot) {
+      return `Invalid business hours for ${day}: ${invalidSlot.start}-${invalidSlot.end}`;
+    }
+  }
+
+  if (!Array.isArray(holidays) || holidays.some(holiday => !DATE_PATTERN.test(holiday.date || ''))) {
+    return 'Holidays must have a date in YYYY-MM-DD format';
+  }
+
+  return null;
+}
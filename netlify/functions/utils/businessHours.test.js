@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { createBusinessClock, formatInTimeZone, validateBusinessCalendar } from './businessHours';
+import { wallClock } from './sla';
+
+const weekdays = { start: '09:00', end: '17:00' };
+
+const calendar = {
+  name: 'Office',
+  timezone: 'UTC',
+  hours: {
+    monday: [weekdays],
+    tuesday: [weekdays],
+    wednesday: [weekdays],
+    thursday: [weekdays],
+    friday: [weekdays]
+  },
+  holidays: []
+};
+
+// 2024-03-04 is a Monday
+const utc = value => new Date(`${value}Z`);
+
+describe('createBusinessClock', () => {
+  it('falls back to wall-clock time without open hours', () => {
+    expect(createBusinessClock([])).toBe(wallClock);
+    expect(createBusinessClock([{ ...calendar, hours: {} }])).toBe(wallClock);
+  });
+
+  it('adds minutes within the same business day', () => {
+    const clock = createBusinessClock([calendar]);
+
+    expect(clock.addMinutes(utc('2024-03-04T10:00:00'), 120)).toEqual(utc('2024-03-04T12:00:00'));
+  });
+
+  it('carries minutes over to the next business day', () => {
+    const clock = createBusinessClock([calendar]);
+
+    expect(clock.addMinutes(utc('2024-03-04T16:00:00'), 120)).toEqual(utc('2024-03-05T10:00:00'));
+  });
+
+  it('skips weekends and holidays', () => {
+    const clock = createBusinessClock([{ ...calendar, holidays: [{ date: '2024-03-11' }] }]);
+
+    expect(clock.addMinutes(utc('2024-03-08T16:00:00'), 120)).toEqual(utc('2024-03-12T10:00:00'));
+  });
+
+  it('starts counting at the next opening outside business hours', () => {
+    const clock = createBusinessClock([calendar]);
+
+    expect(clock.addMinutes(utc('2024-03-04T20:00:00'), 30)).toEqual(utc('2024-03-05T09:30:00'));
+  });
+
+  it('measures only open time', () => {
+    const clock = createBusinessClock([calendar]);
+
+    expect(clock.minutesBetween(utc('2024-03-04T16:00:00'), utc('2024-03-05T10:00:00'))).toBe(120);
+    expect(clock.minutesBetween(utc('2024-03-05T10:00:00'), utc('2024-03-04T16:00:00'))).toBe(0);
+  });
+
+  it('applies the calendar time zone', () => {
+    const clock = createBusinessClock([{ ...calendar, timezone: 'America/New_York' }]);
+
+    // 09:00 in New York is 14:00 UTC before daylight saving time starts
+    expect(clock.addMinutes(utc('2024-03-04T12:00:00'), 60)).toEqual(utc('2024-03-04T15:00:00'));
+  });
+
+  it('counts the union of several calendars once', () => {
+    const late = { ...calendar, hours: { monday: [{ start: '12:00', end: '20:00' }] } };
+    const clock = createBusinessClock([calendar, late]);
+
+    expect(clock.minutesBetween(utc('2024-03-04T00:00:00'), utc('2024-03-05T00:00:00'))).toBe(11 * 60);
+  });
+});
+
+describe('formatInTimeZone', () => {
+  it('names the time zone', () => {
+    expect(formatInTimeZone(utc('2024-03-04T14:00:00'), 'UTC')).toBe('Monday, March 4, 2024 at 2:00 PM (UTC)');
+  });
+});
+
+describe('validateBusinessCalendar', () => {
+  it('accepts a valid calendar', () => {
+    expect(validateBusinessCalendar(calendar)).toBeNull();
+  });
+
+  it('requires a name and a known time zone', () => {
+    expect(validateBusinessCalendar({ ...calendar, name: '' })).toBe('Calendar name is required');
+    expect(validateBusinessCalendar({ ...calendar, timezone: 'Mars/Olympus' })).toBe('Invalid time zone: Mars/Olympus');
+  });
+
+  it('rejects unknown days and slots that end before they start', () => {
+    expect(validateBusinessCalendar({ ...calendar, hours: { someday: [weekdays] } }))
+      .toBe('Invalid business hours for: someday');
+    expect(validateBusinessCalendar({ ...calendar, hours: { monday: [{ start: '17:00', end: '09:00' }] } }))
+      .toBe('Invalid business hours for monday: 17:00-09:00');
+  });
+
+  it('rejects holidays without a date', () => {
+    expect(validateBusinessCalendar({ ...calendar, holidays: [{ date: '4 March' }] }))
+      .toBe('Holidays must have a date in YYYY-MM-DD format');
+  });
+});
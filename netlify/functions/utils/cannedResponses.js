@@ -0,0 +1,57 @@
+import { isOrganizationStaff } from './access';
+
+/**
+ * Canned response helpers
+ *
+ * Canned responses are shared with the whole organization, or personal to
+ * one agent when owner_id is set.
+ */
+
+/**
+ * Check whether a user can see and use a canned response
+ * @param {Object} actor - Result of getUserRole
+ * @param {Object} cannedResponse - canned_responses row
+ * @returns {boolean}
+ */
+export function canUseCannedResponse(actor, cannedResponse) {
+  if (!isOrganizationStaff(actor, cannedResponse.organization_id)) {
+    return false;
+  }
+
+  return !cannedResponse.owner_id || cannedResponse.owner_id === actor.profile.id;
+}
+
+/**
+ * Check whether a user can change a canned response
+ *
+ * Personal responses belong to their owner; shared ones to the organization's admins.
+ * @param {Object} actor - Result of getUserRole
+ * @param {Object} cannedResponse - canned_responses row (or the payload of a new one)
+ * @returns {boolean}
+ */
+export function canManageCannedResponse(actor, cannedResponse) {
+  if (!isOrganizationStaff(actor, cannedResponse.organization_id)) {
+    return false;
+  }
+
+  if (cannedResponse.owner_id) {
+    return cannedResponse.owner_id === actor.profile.id;
+  }
+
+  return actor.role === 'superadmin' || actor.role === 'admin';
+}
+
+/**
+ * Count a use of a canned response
+ * @param {Object} supabase - Supabase client
+ * @param {string} cannedResponseId - Canned response ID
+ * @returns {Promise}
+ */
+export async function recordCannedResponseUse(supabase, cannedResponseId) {
+  // Incremented in the database so concurrent uses are all counted
+  const { error } = await supabase.rpc('increment_canned_response_usage', {
+    canned_response_id: cannedResponseId
+  });
+
+  if (error) throw error;
+}
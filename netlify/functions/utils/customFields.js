@@ -0,0 +1,271 @@
+/**
+ * Custom ticket field helpers
+ *
+ * Organizations define their own ticket fields in custom_fields. Values are
+ * stored on the ticket in the custom_fields JSONB column, keyed by the
+ * field's key. A field can be limited to some categories, in which case it is
+ * only shown (and only required) for tickets in those categories.
+ */
+
+// Values of the custom_field_type enum
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'dropdown', 'multi_select', 'checkbox'];
+
+// Query parameters starting with this prefix filter on custom fields, e.g. cf.order_number=1234
+export const CUSTOM_FIELD_PARAM_PREFIX = 'cf.';
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TEXT_LENGTH = 5000;
+
+const isEmpty = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate a custom field definition payload
+ * @param {Object} field - { key, label, fieldType, options, isRequired, categories }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateCustomFieldDefinition({ key, label, fieldType, options, categories }) {
+  if (!KEY_PATTERN.test(key || '')) {
+    return 'Field key must start with a letter and contain only lowercase letters, digits and underscores';
+  }
+
+  if (typeof label !== 'string' || !label.trim()) {
+    return 'Field label is required';
+  }
+
+  if (!CUSTOM_FIELD_TYPES.includes(fieldType)) {
+    return `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+
+  if (fieldType === 'dropdown' || fieldType === 'multi_select') {
+    if (!Array.isArray(options) || options.length === 0 ||
+      options.some(option => typeof option !== 'string' || !option.trim())) {
+      return 'Dropdown and multi-select fields need a list of options';
+    }
+
+    if (new Set(options).size !== options.length) {
+      return 'Field options must be unique';
+    }
+  }
+
+  if (categories !== undefined && categories !== null &&
+    (!Array.isArray(categories) || categories.some(category => typeof category !== 'string'))) {
+    return 'Categories must be a list of category names';
+  }
+
+  return null;
+}
+
+/**
+ * Get the active custom fields of an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Field rows in display order
+ */
+export async function getCustomFields(supabase, organizationId) {
+  if (!organizationId) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('custom_fields')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .order('order_index', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Check whether a field applies to a ticket category
+ * @param {Object} field - Field row
+ * @param {string} category - Ticket category
+ * @returns {boolean}
+ */
+export function isFieldVisible(field, category) {
+  return !field.categories || field.categories.length === 0 || field.categories.includes(category);
+}
+
+// Normalize one value for its field type; returns { value } or { error }
+function normalizeValue(field, value) {
+  const label = field.label;
+
+  switch (field.field_type) {
+    case 'text':
+      if (typeof value !== 'string') {
+        return { error: `${label} must be text` };
+      }
+      return value.length > MAX_TEXT_LENGTH
+        ? { error: `${label} can be at most ${MAX_TEXT_LENGTH} characters` }
+        : { value };
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { error: `${label} must be a number` };
+    }
+
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value))
+        ? { value }
+        : { error: `${label} must be a date in YYYY-MM-DD format` };
+
+    case 'dropdown':
+      return field.options.includes(value)
+        ? { value }
+        : { error: `${label} must be one of: ${field.options.join(', ')}` };
+
+    case 'multi_select':
+      return Array.isArray(value) && value.every(item => field.options.includes(item))
+        ? { value: [...new Set(value)] }
+        : { error: `${label} must be a list of: ${field.options.join(', ')}` };
+
+    case 'checkbox':
+      return typeof value === 'boolean'
+        ? { value }
+        : { error: `${label} must be true or false` };
+
+    default:
+      return { error: `${label} has an unknown type` };
+  }
+}
+
+/**
+ * Validate custom field values for a ticket
+ * @param {Array} fields - Active field rows of the ticket's organization
+ * @param {Object} values - Values keyed by field key (existing values merged with changes)
+ * @param {string} category - Ticket category, used for visibility and required checks
+ * @returns {Object} - { values } with normalized values, or { error }
+ */
+export function validateCustomFieldValues(fields, values, category) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(values || {})) {
+    const field = fields.find(item => item.key === key);
+
+    if (!field) {
+      return { error: `Unknown custom field: ${key}` };
+    }
+
+    // Empty values clear the field
+    if (isEmpty(value)) {
+      continue;
+    }
+
+    const result = normalizeValue(field, value);
+
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    normalized[key] = result.value;
+  }
+
+  const missingField = fields.find(field =>
+    field.is_required &&
+    isFieldVisible(field, category) &&
+    // An unchecked required checkbox counts as missing
+    (isEmpty(normalized[field.key]) || normalized[field.key] === false)
+  );
+
+  if (missingField) {
+    return { error: `${missingField.label} is required` };
+  }
+
+  return { values: normalized };
+}
+
+/**
+ * Validate changes to a ticket's custom field values
+ *
+ * Values of fields that have since been deactivated are kept as they are.
+ * @param {Array} fields - Active field rows of the ticket's organization
+ * @param {Object} existing - Values currently stored on the ticket
+ * @param {Object} changes - Changed values keyed by field key
+ * @param {string} category - Ticket category after the change
+ * @returns {Object} - { values } with the complete new values, or { error }
+ */
+export function validateCustomFieldChanges(fields, existing = {}, changes = {}, category) {
+  const activeKeys = new Set(fields.map(field => field.key));
+  const retained = {};
+  const current = {};
+
+  for (const [key, value] of Object.entries(existing || {})) {
+    (activeKeys.has(key) ? current : retained)[key] = value;
+  }
+
+  const result = validateCustomFieldValues(fields, { ...current, ...changes }, category);
+
+  return result.error ? result : { values: { ...retained, ...result.values } };
+}
+
+/**
+ * Build timeline events for changed custom field values
+ * @param {Array} fields - Field rows
+ * @param {Object} before - Previous values
+ * @param {Object} after - New values
+ * @returns {Array} - Events for recordTicketEvents
+ */
+export function diffCustomFieldValues(fields, before = {}, after = {}) {
+  const toEventValue = value => (isEmpty(value) ? null : Array.isArray(value) ? value.join(', ') : String(value));
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys
+    .filter(key => toEventValue(before[key]) !== toEventValue(after[key]))
+    .map(key => ({
+      event_type: 'field_changed',
+      field: `custom_fields.${key}`,
+      old_value: toEventValue(before[key]),
+      new_value: toEventValue(after[key]),
+      details: { label: fields.find(field => field.key === key)?.label || key }
+    }));
+}
+
+/**
+ * Apply cf.<key> query parameter filters to a tickets query
+ *
+ * Multi-select fields match tickets that include the value; other fields
+ * match the value exactly.
+ * @param {Object} query - Supabase query on tickets
+ * @param {Object} queryParams - Request query parameters
+ * @param {Array} fields - Field rows of the organization
+ * @returns {Object} - { query } or { error }
+ */
+export function applyCustomFieldFilters(query, queryParams, fields) {
+  for (const [param, value] of Object.entries(queryParams)) {
+    if (!param.startsWith(CUSTOM_FIELD_PARAM_PREFIX)) {
+      continue;
+    }
+
+    const key = param.slice(CUSTOM_FIELD_PARAM_PREFIX.length);
+    const field = fields.find(item => item.key === key);
+
+    if (!field) {
+      return { error: `Unknown custom field: ${key}` };
+    }
+
+    query = field.field_type === 'multi_select'
+      ? query.contains('custom_fields', { [key]: [value] })
+      : query.eq(`custom_fields->>${key}`, value);
+  }
+
+  return { query };
+}
+
+/**
+ * Resolve a sortBy value of the form cf.<key> to a JSON column path
+ * @param {string} sortBy - Requested sort column
+ * @param {Array} fields - Field rows of the organization
+ * @returns {string|null} - Column to order by, or null for an unknown field
+ */
+export function getCustomFieldSortColumn(sortBy, fields) {
+  const key = sortBy.slice(CUSTOM_FIELD_PARAM_PREFIX.length);
+
+  // JSON values (not text) so numbers sort numerically
+  return fields.some(field => field.key === key) ? `custom_fields->${key}` : null;
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateCustomFieldDefinition,
+  isFieldVisible,
+  validateCustomFieldValues,
+  validateCustomFieldChanges,
+  diffCustomFieldValues,
+  getCustomFieldSortColumn
+} from './customFields';
+
+const field = (key, fieldType, extra = {}) => ({
+  key,
+  label: key.replace(/_/g, ' '),
+  field_type: fieldType,
+  options: [],
+  is_required: false,
+  categories: null,
+  ...extra
+});
+
+const fields = [
+  field('order_number', 'number', { is_required: true, categories: ['billing'] }),
+  field('plan', 'dropdown', { options: ['free', 'pro'] }),
+  field('platforms', 'multi_select', { options: ['ios', 'android', 'web'] }),
+  field('renewal', 'date'),
+  field('agreed', 'checkbox'),
+  field('notes', 'text')
+];
+
+describe('validateCustomFieldDefinition', () => {
+  const definition = { key: 'plan', label: 'Plan', fieldType: 'dropdown', options: ['free', 'pro'] };
+
+  it('accepts a valid definition', () => {
+    expect(validateCustomFieldDefinition(definition)).toBeNull();
+  });
+
+  it('rejects keys that are not lowercase identifiers', () => {
+    expect(validateCustomFieldDefinition({ ...definition, key: 'Plan' }))
+      .toBe('Field key must start with a letter and contain only lowercase letters, digits and underscores');
+  });
+
+  it('rejects unknown types and a blank label', () => {
+    expect(validateCustomFieldDefinition({ ...definition, fieldType: 'color' })).toMatch(/^Field type must be one of/);
+    expect(validateCustomFieldDefinition({ ...definition, label: ' ' })).toBe('Field label is required');
+  });
+
+  it('requires unique options for choice fields', () => {
+    expect(validateCustomFieldDefinition({ ...definition, options: [] }))
+      .toBe('Dropdown and multi-select fields need a list of options');
+    expect(validateCustomFieldDefinition({ ...definition, options: ['pro', 'pro'] })).toBe('Field options must be unique');
+  });
+
+  it('requires categories to be a list of names', () => {
+    expect(validateCustomFieldDefinition({ ...definition, categories: 'billing' }))
+      .toBe('Categories must be a list of category names');
+  });
+});
+
+describe('isFieldVisible', () => {
+  it('shows fields without categories everywhere', () => {
+    expect(isFieldVisible(fields[1], 'technical')).toBe(true);
+  });
+
+  it('limits fields to their categories', () => {
+    expect(isFieldVisible(fields[0], 'billing')).toBe(true);
+    expect(isFieldVisible(fields[0], 'technical')).toBe(false);
+  });
+});
+
+describe('validateCustomFieldValues', () => {
+  it('normalizes values for their field type', () => {
+    expect(validateCustomFieldValues(fields, {
+      order_number: '1234',
+      platforms: ['ios', 'ios', 'web'],
+      renewal: '2024-12-31',
+      agreed: true
+    }, 'billing')).toEqual({
+      values: { order_number: 1234, platforms: ['ios', 'web'], renewal: '2024-12-31', agreed: true }
+    });
+  });
+
+  it('drops empty values', () => {
+    expect(validateCustomFieldValues(fields, { plan: '', notes: null }, 'technical')).toEqual({ values: {} });
+  });
+
+  it('rejects unknown fields and values of the wrong type', () => {
+    expect(validateCustomFieldValues(fields, { colour: 'red' }, 'technical')).toEqual({ error: 'Unknown custom field: colour' });
+    expect(validateCustomFieldValues(fields, { plan: 'enterprise' }, 'technical'))
+      .toEqual({ error: 'plan must be one of: free, pro' });
+    expect(validateCustomFieldValues(fields, { renewal: '31/12/2024' }, 'technical'))
+      .toEqual({ error: 'renewal must be a date in YYYY-MM-DD format' });
+    expect(validateCustomFieldValues(fields, { agreed: 'yes' }, 'technical'))
+      .toEqual({ error: 'agreed must be true or false' });
+  });
+
+  it('only requires a field in its categories', () => {
+    expect(validateCustomFieldValues(fields, {}, 'billing')).toEqual({ error: 'order number is required' });
+    expect(validateCustomFieldValues(fields, {}, 'technical')).toEqual({ values: {} });
+  });
+
+  it('treats an unchecked required checkbox as missing', () => {
+    const required = [field('agreed', 'checkbox', { is_required: true })];
+
+    expect(validateCustomFieldValues(required, { agreed: false }, 'technical')).toEqual({ error: 'agreed is required' });
+  });
+});
+
+describe('validateCustomFieldChanges', () => {
+  it('merges changes into the stored values', () => {
+    expect(validateCustomFieldChanges(fields, { plan: 'free', notes: 'hi' }, { plan: 'pro' }, 'technical'))
+      .toEqual({ values: { plan: 'pro', notes: 'hi' } });
+  });
+
+  it('keeps values of deactivated fields as they are', () => {
+    expect(validateCustomFieldChanges(fields, { legacy: 42 }, { plan: 'pro' }, 'technical'))
+      .toEqual({ values: { legacy: 42, plan: 'pro' } });
+  });
+});
+
+describe('diffCustomFieldValues', () => {
+  it('describes each changed value', () => {
+    expect(diffCustomFieldValues(fields, { plan: 'free', platforms: ['ios'] }, { plan: 'free', platforms: ['ios', 'web'], renewal: '2024-12-31' }))
+      .toEqual([
+        {
+          event_type: 'field_changed',
+          field: 'custom_fields.platforms',
+          old_value: 'ios',
+          new_value: 'ios, web',
+          details: { label: 'platforms' }
+        },
+        {
+          event_type: 'field_changed',
+          field: 'custom_fields.renewal',
+          old_value: null,
+          new_value: '2024-12-31',
+          details: { label: 'renewal' }
+        }
+      ]);
+  });
+});
+
+describe('getCustomFieldSortColumn', () => {
+  it('sorts by the JSON value of a known field', () => {
+    expect(getCustomFieldSortColumn('cf.order_number', fields)).toBe('custom_fields->order_number');
+    expect(getCustomFieldSortColumn('cf.colour', fields)).toBeNull();
+  });
+});
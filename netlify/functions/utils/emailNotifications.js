@@ -0,0 +1,228 @@
+import { sendMail } from './mailer';
+import { formatTicketToken } from './tickets';
+import { getEmailTemplate, getEmailOrganization, buildEmailContext, renderEmailTemplate } from './emailTemplates';
+
+/**
+ * Email notifications
+ *
+ * Requesters hear about their ticket being created, answered publicly and
+ * resolved; agents hear about assignments and customer replies. Internal
+ * notes are never emailed. Messages use the organization's templates and
+ * branding (see emailTemplates), go out from its support address so replies
+ * come back in as responses (see inboundEmail), and are stored in
+ * email_messages for threading. Sending is best effort: a failed email is
+ * logged and never fails the change behind it.
+ */
+
+// The organization's support address, which the inbound gateway maps back to it
+function getSupportAddress(organization) {
+  const domain = process.env.INBOUND_EMAIL_DOMAIN;
+
+  if (organization.subdomain && domain) {
+    return `${organization.subdomain}@${domain}`;
+  }
+
+  return process.env.MAIL_FROM;
+}
+
+// Who opened the ticket: an account, or the address that wrote in
+async function getRequester(supabase, ticket) {
+  if (ticket.created_by) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, email')
+      .eq('id', ticket.created_by)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (data) {
+      return data;
+    }
+  }
+
+  return ticket.requester_email
+    ? { id: null, first_name: ticket.requester_name, last_name: null, email: ticket.requester_email }
+    : null;
+}
+
+async function getAgent(supabase, userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, first_name, last_name, email')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Send one notification about a ticket and record it for threading
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row
+ * @param {string} eventName - One of EMAIL_EVENTS
+ * @param {Object} recipient - { email, first_name, last_name }
+ * @param {Object} options - { response, agent, customer } for the template context
+ * @returns {Promise}
+ */
+export async function sendTicketEmail(supabase, ticket, eventName, recipient, options = {}) {
+  if (!recipient?.email) {
+    return;
+  }
+
+  const { organization, branding } = await getEmailOrganization(supabase, ticket.organization_id);
+  const from = getSupportAddress(organization);
+
+  if (!from) {
+    console.error('Email notification skipped: no sender address configured');
+    return;
+  }
+
+  const template = await getEmailTemplate(supabase, ticket.organization_id, eventName);
+  const context = buildEmailContext({
+    ticket,
+    customer: options.customer || await getRequester(supabase, ticket),
+    agent: options.agent,
+    recipient,
+    response: options.response,
+    organization
+  });
+  const email = renderEmailTemplate(template, context, organization, branding);
+  const subject = `${email.subject} ${formatTicketToken(ticket)}`;
+
+  // Thread with the earlier mail about this ticket
+  const { data: thread, error: threadError } = await supabase
+    .from('email_messages')
+    .select('message_id')
+    .eq('ticket_id', ticket.id)
+    .order('created_at', { ascending: false })
+    .limit(10);
+
+  if (threadError) throw threadError;
+
+  const messageId = `<${crypto.randomUUID()}@${from.split('@')[1]}>`;
+  const references = thread.map(message => message.message_id).reverse();
+
+  const sent = await sendMail({
+    from: `"${organization.name.replace(/"/g, '')}" <${from}>`,
+    to: recipient.email,
+    replyTo: from,
+    subject,
+    text: email.text,
+    html: email.html,
+    messageId,
+    inReplyTo: references[references.length - 1],
+    references,
+    headers: { 'Auto-Submitted': 'auto-generated' }
+  });
+
+  if (!sent) {
+    return;
+  }
+
+  const { error: messageError } = await supabase
+    .from('email_messages')
+    .insert([{
+      organization_id: ticket.organization_id,
+      ticket_id: ticket.id,
+      response_id: options.response?.id || null,
+      direction: 'outbound',
+      message_id: messageId,
+      in_reply_to: references[references.length - 1] || null,
+      from_address: from,
+      to_addresses: [recipient.email],
+      subject
+    }]);
+
+  if (messageError) throw messageError;
+}
+
+// Email failures are logged, never passed on to the change that caused them
+async function safely(description, send) {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Email notification error (${description}):`, error);
+  }
+}
+
+/**
+ * Tell the requester a ticket was opened, and its assignee that it is theirs
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - New ticket row
+ * @param {string|null} actorId - Who opened it (not emailed about an assignment to themselves)
+ * @returns {Promise}
+ */
+export async function notifyTicketCreated(supabase, ticket, actorId = null) {
+  await safely('ticket created', async () => {
+    const requester = await getRequester(supabase, ticket);
+
+    if (requester) {
+      await sendTicketEmail(supabase, ticket, 'ticket_created', requester, { customer: requester });
+    }
+  });
+
+  await notifyTicketChanges(supabase, { ...ticket, assigned_to: null, status: null }, ticket, actorId);
+}
+
+/**
+ * Email a public response to the other side of the conversation
+ *
+ * Staff responses go to the requester; the requester's own replies go to the assignee.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row
+ * @param {Object} response - ticket_responses row (or the same fields)
+ * @returns {Promise}
+ */
+export async function notifyTicketResponse(supabase, ticket, response) {
+  // Internal notes stay internal
+  if (response.is_internal) {
+    return;
+  }
+
+  await safely('ticket response', async () => {
+    const requester = await getRequester(supabase, ticket);
+    const fromRequester = response.created_by_role === 'customer' ||
+      (!!response.created_by && response.created_by === ticket.created_by);
+
+    if (!fromRequester) {
+      await sendTicketEmail(supabase, ticket, 'ticket_response', requester, { response, customer: requester });
+      return;
+    }
+
+    if (ticket.assigned_to && ticket.assigned_to !== response.created_by) {
+      const agent = await getAgent(supabase, ticket.assigned_to);
+      await sendTicketEmail(supabase, ticket, 'customer_reply', agent, { response, agent, customer: requester });
+    }
+  });
+}
+
+/**
+ * Email the people affected by a ticket update: a new assignee, or the requester when it is resolved
+ * @param {Object} supabase - Supabase client
+ * @param {Object} before - Ticket before the change
+ * @param {Object} after - Ticket after the change
+ * @param {string|null} actorId - Who made the change (not emailed about their own change)
+ * @returns {Promise}
+ */
+export async function notifyTicketChanges(supabase, before, after, actorId = null) {
+  if (after.assigned_to && after.assigned_to !== before.assigned_to && after.assigned_to !== actorId) {
+    await safely('ticket assigned', async () => {
+      const agent = await getAgent(supabase, after.assigned_to);
+      await sendTicketEmail(supabase, after, 'ticket_assigned', agent, { agent });
+    });
+  }
+
+  if (after.status === 'resolved' && before.status !== 'resolved') {
+    await safely('ticket resolved', async () => {
+      const requester = await getRequester(supabase, after);
+
+      // Email-only requesters have no ID, and changes by automations have no actor
+      if (requester && !(requester.id && requester.id === actorId)) {
+        await sendTicketEmail(supabase, after, 'ticket_resolved', requester, { customer: requester });
+      }
+    });
+  }
+}
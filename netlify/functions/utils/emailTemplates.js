@@ -0,0 +1,313 @@
+import { renderTemplate, getTemplatePlaceholders, buildTemplateContext } from './templates';
+import { renderMarkdown, resolveInlineImages } from './markdown';
+
+/**
+ * Notification email templates
+ *
+ * Every notification email has a built-in template, and an organization's
+ * admins can replace its subject and body with their own. Templates use the
+ * same {{path}} placeholders as canned responses, bodies are Markdown, and
+ * the result is wrapped in a layout carrying the organization's logo and
+ * colors from organization_branding. Each save is kept as a numbered
+ * version so an earlier one can be restored.
+ */
+
+export const EMAIL_EVENTS = ['ticket_created', 'ticket_response', 'ticket_resolved', 'ticket_assigned', 'customer_reply'];
+
+// Subjects get the ticket token appended; bodies are Markdown
+export const DEFAULT_EMAIL_TEMPLATES = {
+  ticket_created: {
+    subject: 'We received your request: {{ticket.title}}',
+    body: 'Hi {{customer.first_name}},\n\nThanks for contacting {{organization.name}}. Your request has been received as ticket **{{ticket.number}}** and we will get back to you soon.\n\nReply to this email to add more information.'
+  },
+  ticket_response: {
+    subject: 'Re: {{ticket.title}}',
+    body: '{{response.content}}\n\n---\n{{response.author}}, {{organization.name}}'
+  },
+  ticket_resolved: {
+    subject: 'Resolved: {{ticket.title}}',
+    body: 'Hi {{customer.first_name}},\n\nYour ticket **{{ticket.number}}** has been resolved. If you still need help, just reply to this email.'
+  },
+  ticket_assigned: {
+    subject: 'Assigned to you: {{ticket.title}}',
+    body: 'Hi {{agent.first_name}},\n\nTicket **{{ticket.number}}** ({{ticket.priority}} priority) has been assigned to you.\n\n> {{ticket.title}}'
+  },
+  customer_reply: {
+    subject: 'New reply: {{ticket.title}}',
+    body: '{{response.author}} replied to ticket **{{ticket.number}}**:\n\n{{response.content}}'
+  }
+};
+
+// Placeholders available in every email template, for the editor
+export const EMAIL_TEMPLATE_VARIABLES = {
+  'ticket.id': 'Ticket ID',
+  'ticket.number': 'Ticket number, e.g. ACME-1042',
+  'ticket.title': 'Ticket title',
+  'ticket.status': 'Ticket status',
+  'ticket.priority': 'Ticket priority',
+  'ticket.category': 'Ticket category',
+  'customer.first_name': 'Requester first name',
+  'customer.last_name': 'Requester last name',
+  'customer.name': 'Requester full name',
+  'customer.email': 'Requester email address',
+  'agent.first_name': 'Assigned agent first name',
+  'agent.last_name': 'Assigned agent last name',
+  'agent.name': 'Assigned agent full name',
+  'agent.email': 'Assigned agent email address',
+  'recipient.first_name': 'First name of the person receiving the email',
+  'recipient.last_name': 'Last name of the person receiving the email',
+  'recipient.name': 'Full name of the person receiving the email',
+  'recipient.email': 'Email address of the person receiving the email',
+  'response.content': 'Response text (response and reply emails)',
+  'response.author': 'Response author (response and reply emails)',
+  'organization.name': 'Organization name'
+};
+
+export const MAX_EMAIL_SUBJECT_LENGTH = 200;
+
+export const MAX_EMAIL_BODY_LENGTH = 20000;
+
+const DEFAULT_BRANDING = {
+  background_color: '#ffffff',
+  content_font_color: '#333333',
+  sidebar_color: '#f8f9fa',
+  sidebar_font_color: '#333333',
+  link_color: '#4a6cf7'
+};
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Validate an email template
+ * @param {Object} template - { subject, body }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateEmailTemplate({ subject, body }) {
+  if (typeof subject !== 'string' || !subject.trim()) {
+    return 'Subject is required';
+  }
+
+  if (subject.length > MAX_EMAIL_SUBJECT_LENGTH || /[\r\n]/.test(subject)) {
+    return `Subject must be a single line of at most ${MAX_EMAIL_SUBJECT_LENGTH} characters`;
+  }
+
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Body is required';
+  }
+
+  if (body.length > MAX_EMAIL_BODY_LENGTH) {
+    return `Body can be at most ${MAX_EMAIL_BODY_LENGTH} characters`;
+  }
+
+  const unknown = getTemplatePlaceholders(`${subject}\n${body}`)
+    .filter(placeholder => !EMAIL_TEMPLATE_VARIABLES[placeholder]);
+
+  if (unknown.length > 0) {
+    return `Unknown variables: ${unknown.map(placeholder => `{{${placeholder}}}`).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the template an organization uses for an email
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {string} eventType - One of EMAIL_EVENTS
+ * @returns {Promise<Object>} - { event_type, subject, body, version, is_custom, updated_at }
+ */
+export async function getEmailTemplate(supabase, organizationId, eventType) {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('event_type', eventType)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data
+    ? { ...data, is_custom: true }
+    : { event_type: eventType, ...DEFAULT_EMAIL_TEMPLATES[eventType], version: 0, is_custom: false, updated_at: null };
+}
+
+/**
+ * Save an organization's template as a new version
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {string} eventType - One of EMAIL_EVENTS
+ * @param {Object} template - { subject, body } (validated)
+ * @param {string} userId - Who saved it
+ * @param {number|null} restoredFrom - Version this one copies, when restoring
+ * @returns {Promise<Object|null>} - email_templates row, or null when someone else saved first
+ */
+export async function saveEmailTemplate(supabase, organizationId, eventType, { subject, body }, userId, restoredFrom = null) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('email_templates')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('event_type', eventType)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const version = (existing?.version || 0) + 1;
+  const fields = { subject, body, version, updated_by: userId, updated_at: new Date() };
+
+  const { data, error } = existing
+    ? await supabase
+      .from('email_templates')
+      .update(fields)
+      .eq('id', existing.id)
+      .eq('version', existing.version)
+      .select()
+    : await supabase
+      .from('email_templates')
+      .insert([{ ...fields, organization_id: organizationId, event_type: eventType }])
+      .select();
+
+  // Someone else saved in between; their version stands
+  if (error?.code === '23505') {
+    return null;
+  }
+
+  if (error) throw error;
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  const { error: versionError } = await supabase
+    .from('email_template_versions')
+    .insert([{
+      template_id: data[0].id,
+      version,
+      subject,
+      body,
+      restored_from: restoredFrom,
+      created_by: userId
+    }]);
+
+  if (versionError) throw versionError;
+
+  return { ...data[0], is_custom: true };
+}
+
+/**
+ * Load an organization with the branding its emails use
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} - { organization, branding }
+ */
+export async function getEmailOrganization(supabase, organizationId) {
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('id, name, subdomain, ticket_prefix, organization_branding(*)')
+    .eq('id', organizationId)
+    .single();
+
+  if (error) throw error;
+
+  const { organization_branding: branding, ...organization } = data;
+
+  return { organization, branding: Array.isArray(branding) ? branding[0] : branding };
+}
+
+/**
+ * Build the placeholder context for an email
+ * @param {Object} records - { ticket, customer, agent, recipient, response, organization } (any may be missing)
+ * @returns {Object} - Template context
+ */
+export function buildEmailContext({ ticket, customer, agent, recipient, response, organization }) {
+  return {
+    ...buildTemplateContext({ ticket, customer, agent, organization }),
+    recipient: {
+      first_name: recipient?.first_name,
+      last_name: recipient?.last_name,
+      name: [recipient?.first_name, recipient?.last_name].filter(Boolean).join(' '),
+      email: recipient?.email
+    },
+    response: {
+      content: response?.content,
+      author: response?.created_by_name
+    }
+  };
+}
+
+/**
+ * Made-up records for previewing an email with the organization's own name and prefix
+ * @param {Object} organization - { name, ticket_prefix }
+ * @param {string} eventType - One of EMAIL_EVENTS
+ * @returns {Object} - { ticket, context }
+ */
+export function getSampleEmailContext(organization, eventType) {
+  const ticket = {
+    id: '00000000-0000-4000-8000-000000000000',
+    ticket_number: 1042,
+    ticket_ref: organization.ticket_prefix ? `${organization.ticket_prefix}-1042` : null,
+    title: 'Cannot log in after password reset',
+    status: eventType === 'ticket_resolved' ? 'resolved' : 'open',
+    priority: 'high',
+    category: 'Account'
+  };
+  const customer = { first_name: 'Jane', last_name: 'Doe', email: 'jane.doe@example.com' };
+  const agent = { first_name: 'Sam', last_name: 'Taylor', email: 'sam.taylor@example.com' };
+  const fromCustomer = eventType === 'customer_reply';
+  const response = {
+    content: fromCustomer
+      ? 'I tried that, but the **Sign in** button still does nothing.'
+      : 'Thanks for the details. Please clear your browser cache and try signing in again.',
+    created_by_name: fromCustomer ? 'Jane Doe' : 'Sam Taylor'
+  };
+  const toAgent = ['ticket_assigned', 'customer_reply'].includes(eventType);
+
+  return {
+    ticket,
+    context: buildEmailContext({ ticket, customer, agent, recipient: toAgent ? agent : customer, response, organization })
+  };
+}
+
+/**
+ * Wrap rendered HTML in the organization's branded layout
+ * @param {Object} organization - { name }
+ * @param {Object} branding - organization_branding row (may be missing)
+ * @param {string} html - Sanitized body HTML
+ * @returns {string}
+ */
+export function renderBrandedEmail(organization, branding, html) {
+  const colors = { ...DEFAULT_BRANDING, ...Object.fromEntries(Object.entries(branding || {}).filter(([, value]) => value)) };
+  const header = branding?.logo_url
+    ? `<img src="${escapeHtml(branding.logo_url)}" alt="${escapeHtml(organization.name)}" style="max-height:40px">`
+    : `<strong>${escapeHtml(organization.name)}</strong>`;
+
+  return [
+    `<div style="background:${escapeHtml(colors.background_color)};color:${escapeHtml(colors.content_font_color)};font-family:Arial,sans-serif;font-size:14px;line-height:1.5">`,
+    `<div style="background:${escapeHtml(colors.sidebar_color)};color:${escapeHtml(colors.sidebar_font_color)};padding:16px 24px">${header}</div>`,
+    `<div style="padding:24px">${html.replace(/<a /g, `<a style="color:${escapeHtml(colors.link_color)}" `)}</div>`,
+    '</div>'
+  ].join('');
+}
+
+/**
+ * Render an email from a template
+ * @param {Object} template - { subject, body }
+ * @param {Object} context - Result of buildEmailContext
+ * @param {Object} organization - { name }
+ * @param {Object} branding - organization_branding row (may be missing)
+ * @returns {Object} - { subject, text, html }; the subject still needs its ticket token
+ */
+export function renderEmailTemplate(template, context, organization, branding) {
+  const text = renderTemplate(template.body, context);
+
+  return {
+    // Values such as a ticket title must not break the subject header
+    subject: renderTemplate(template.subject, context).replace(/\s+/g, ' ').trim(),
+    text,
+    // Inline images are links into the helpdesk that mail clients cannot open
+    html: renderBrandedEmail(organization, branding, resolveInlineImages(renderMarkdown(text), new Map()))
+  };
+}
@@ -0,0 +1,411 @@
+import { TICKET_PRIORITIES, SLA_PAUSED_STATUSES, SLA_RESOLVED_STATUSES } from './sla';
+import { applyTicketActions } from './ticketActions';
+import { filterReachableUserIds } from './availability';
+import { getOrganizationStaffIds } from './access';
+
+/**
+ * Escalation policies
+ *
+ * A policy escalates tickets that go untouched (idle) or get close to an SLA
+ * target (sla) through a list of levels, e.g. notify the assignee after 2
+ * hours, the team lead after 4 and the organization's admins after 8, raising
+ * the priority on the way. Levels fire once per ticket, lowest first and one
+ * per run, until someone updates the ticket, which starts the path over. Each
+ * level that fires is stored in ticket_escalations and shown on the ticket
+ * timeline. Agents who are away, offline or out of office are skipped; when
+ * nobody is left, the admins are notified instead.
+ */
+
+export const ESCALATION_TRIGGERS = ['idle', 'sla'];
+
+// Who a level can notify, besides a specific user ID
+export const ESCALATION_RECIPIENTS = ['assignee', 'team_lead', 'admins'];
+
+// Tickets checked per policy and run, longest untouched first
+export const MAX_TICKETS_PER_POLICY = 500;
+
+const DEFAULT_MESSAGE = 'Ticket {{ticket.number}} needs attention: {{escalation}}';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Validate an escalation policy payload
+ *
+ * Idle levels count minutes without an update and must go up. SLA levels
+ * count minutes before the next SLA target (negative after it) and must go down.
+ * @param {Object} policy - { name, trigger, priorities, levels }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateEscalationPolicy({ name, trigger, priorities, levels }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Policy name is required';
+  }
+
+  if (!ESCALATION_TRIGGERS.includes(trigger)) {
+    return `Trigger must be one of: ${ESCALATION_TRIGGERS.join(', ')}`;
+  }
+
+  if (priorities !== undefined && (!Array.isArray(priorities) ||
+    priorities.some(priority => !TICKET_PRIORITIES.includes(priority)))) {
+    return `Priorities must be a list of: ${TICKET_PRIORITIES.join(', ')}`;
+  }
+
+  if (!Array.isArray(levels) || levels.length === 0) {
+    return 'At least one escalation level is required';
+  }
+
+  for (const [index, level] of levels.entries()) {
+    const { minutes, notify, message, setPriority } = level || {};
+
+    if (!Number.isInteger(minutes) || (trigger === 'idle' && minutes <= 0)) {
+      return `Level ${index + 1} needs a whole number of minutes${trigger === 'idle' ? ' above zero' : ''}`;
+    }
+
+    if (index > 0 && (trigger === 'idle' ? minutes <= levels[index - 1].minutes : minutes >= levels[index - 1].minutes)) {
+      return trigger === 'idle'
+        ? 'Idle levels must wait longer than the level before'
+        : 'SLA levels must fire closer to the target than the level before';
+    }
+
+    if (!Array.isArray(notify) || notify.some(recipient => typeof recipient !== 'string' || !recipient)) {
+      return `Level ${index + 1} needs a list of recipients`;
+    }
+
+    if (notify.length === 0 && !setPriority) {
+      return `Level ${index + 1} must notify someone or change the priority`;
+    }
+
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+      return `Level ${index + 1} message must be text`;
+    }
+
+    if (setPriority !== undefined && setPriority !== null && !TICKET_PRIORITIES.includes(setPriority)) {
+      return `Level ${index + 1} priority must be one of: ${TICKET_PRIORITIES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that the people a policy's levels name directly are staff of its organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - The policy's organization
+ * @param {Array} levels - Levels that passed validateEscalationPolicy
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+export async function validateEscalationRecipients(supabase, organizationId, levels) {
+  const userIds = [...new Set(levels
+    .flatMap(level => level.notify)
+    .filter(recipient => !ESCALATION_RECIPIENTS.includes(recipient)))];
+
+  if (userIds.length === 0) {
+    return null;
+  }
+
+  const staffIds = await getOrganizationStaffIds(supabase, organizationId, userIds);
+
+  return userIds.every(userId => staffIds.has(userId))
+    ? null
+    : `Levels can notify ${ESCALATION_RECIPIENTS.join(', ')} or staff of the policy's organization by user ID`;
+}
+
+/**
+ * Get the next SLA target a ticket has not met yet
+ * @param {Object} ticket - Ticket row
+ * @returns {Date|null} - Due time, or null when no target is running
+ */
+export function getNextSlaDueAt(ticket) {
+  if (ticket.sla_paused_at) {
+    return null;
+  }
+
+  const dueTimes = [
+    !ticket.first_responded_at && ticket.first_response_due_at,
+    !ticket.resolved_at && ticket.resolution_due_at
+  ].filter(Boolean).map(value => new Date(value));
+
+  return dueTimes.length > 0 ? new Date(Math.min(...dueTimes)) : null;
+}
+
+/**
+ * Work out which levels of a policy are due for a ticket
+ * @param {Object} policy - escalation_policies row
+ * @param {Object} ticket - Ticket row
+ * @param {Date} now - Reference time
+ * @returns {Array} - Indexes of the due levels
+ */
+export function getDueLevels(policy, ticket, now) {
+  let isDue;
+
+  if (policy.trigger === 'idle') {
+    const idleMinutes = (now - new Date(ticket.updated_at)) / MINUTE;
+    isDue = level => idleMinutes >= level.minutes;
+  } else {
+    const dueAt = getNextSlaDueAt(ticket);
+
+    if (!dueAt) {
+      return [];
+    }
+
+    const minutesLeft = (dueAt - now) / MINUTE;
+    isDue = level => minutesLeft <= level.minutes;
+  }
+
+  return policy.levels
+    .map((level, index) => (isDue(level) ? index : null))
+    .filter(index => index !== null);
+}
+
+// Describe why a level fired, for the notification and the timeline
+function describeEscalation(policy, level, index) {
+  const when = policy.trigger === 'idle'
+    ? `untouched for ${level.minutes} minutes`
+    : level.minutes >= 0
+      ? `SLA target due within ${level.minutes} minutes`
+      : `SLA target missed by ${-level.minutes} minutes`;
+
+  return `${policy.name} level ${index + 1} (${when})`;
+}
+
+/**
+ * Turn a level's recipients into the user IDs that can be reached now
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row
+ * @param {Array} recipients - ESCALATION_RECIPIENTS entries or user IDs
+ * @param {Date} now - Reference time for out-of-office periods
+ * @returns {Promise<Array>} - User IDs
+ */
+export async function resolveEscalationRecipients(supabase, ticket, recipients, now = new Date()) {
+  const resolved = [];
+
+  for (const recipient of recipients) {
+    if (recipient === 'assignee') {
+      if (ticket.assigned_to) {
+        resolved.push(ticket.assigned_to);
+      }
+    } else if (recipient === 'team_lead') {
+      if (!ticket.assigned_team_id) {
+        continue;
+      }
+
+      const { data: team, error } = await supabase
+        .from('teams')
+        .select('lead_id')
+        .eq('id', ticket.assigned_team_id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (team?.lead_id) {
+        resolved.push(team.lead_id);
+      }
+    } else if (recipient === 'admins') {
+      resolved.push(...await getAdminIds(supabase, ticket.organization_id));
+    } else {
+      resolved.push(recipient);
+    }
+  }
+
+  if (resolved.length === 0) {
+    return [];
+  }
+
+  const reachable = await filterReachableUserIds(supabase, [...new Set(resolved)], now);
+
+  return reachable.length > 0 ? reachable : getAdminIds(supabase, ticket.organization_id);
+}
+
+// Active admins of an organization
+async function getAdminIds(supabase, organizationId) {
+  const { data, error } = await supabase
+    .from('admins')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+
+  return data.map(admin => admin.id);
+}
+
+/**
+ * Fire one escalation level for a ticket
+ * @param {Object} supabase - Supabase client
+ * @param {Object} policy - escalation_policies row
+ * @param {Object} ticket - Ticket row with its tags embedded
+ * @param {number} index - Level index
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - ticket_escalations row
+ */
+export async function escalateTicket(supabase, policy, ticket, index, now = new Date()) {
+  const level = policy.levels[index];
+  const reason = describeEscalation(policy, level, index);
+  const actions = [];
+
+  const recipients = await resolveEscalationRecipients(supabase, ticket, level.notify, now);
+
+  if (recipients.length > 0) {
+    actions.push({
+      type: 'notify',
+      value: {
+        recipients,
+        message: (level.message || DEFAULT_MESSAGE).replace(/{{\s*escalation\s*}}/g, reason)
+      }
+    });
+  }
+
+  // Escalation only ever raises the priority
+  const raisesPriority = level.setPriority &&
+    TICKET_PRIORITIES.indexOf(level.setPriority) > TICKET_PRIORITIES.indexOf(ticket.priority);
+
+  if (raisesPriority) {
+    actions.push({ type: 'set_priority', value: level.setPriority });
+  }
+
+  let error = null;
+
+  if (actions.length > 0) {
+    // Escalating does not count as touching the ticket, or idle levels would never go further
+    const result = await applyTicketActions(supabase, ticket, actions, {
+      actor: null,
+      actorFields: { actor_id: null, actor_name: `Escalation: ${policy.name}`, actor_role: null },
+      checkTransitions: false,
+      touchTicket: false,
+      eventType: 'escalated',
+      details: { policy_id: policy.id, policy_name: policy.name, level: index + 1, reason }
+    });
+
+    error = result.error || null;
+  }
+
+  const { data, error: insertError } = await supabase
+    .from('ticket_escalations')
+    .insert([{
+      ticket_id: ticket.id,
+      organization_id: ticket.organization_id,
+      policy_id: policy.id,
+      level: index + 1,
+      reason,
+      notified_user_ids: error ? [] : recipients,
+      priority_changed_to: raisesPriority && !error ? level.setPriority : null,
+      error
+    }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  return data;
+}
+
+/**
+ * Check one policy against its organization's tickets
+ * @param {Object} supabase - Supabase client
+ * @param {Object} policy - escalation_policies row
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of levels fired
+ */
+export async function runEscalationPolicy(supabase, policy, now) {
+  let query = supabase
+    .from('tickets')
+    .select('*, tags(id, name, color)')
+    .eq('organization_id', policy.organization_id)
+    .is('merged_into_id', null)
+    .not('status', 'in', `(${[...SLA_PAUSED_STATUSES, ...SLA_RESOLVED_STATUSES].join(',')})`);
+
+  if (policy.priorities?.length > 0) {
+    query = query.in('priority', policy.priorities);
+  }
+
+  if (policy.trigger === 'idle') {
+    const cutoff = new Date(now.getTime() - policy.levels[0].minutes * MINUTE);
+    query = query.lte('updated_at', cutoff.toISOString());
+  }
+
+  const { data: tickets, error } = await query
+    .order('updated_at', { ascending: true })
+    .limit(MAX_TICKETS_PER_POLICY);
+
+  if (error) throw error;
+
+  const candidates = tickets
+    .map(ticket => ({ ticket, dueLevels: getDueLevels(policy, ticket, now) }))
+    .filter(candidate => candidate.dueLevels.length > 0);
+
+  if (candidates.length === 0) {
+    return 0;
+  }
+
+  const { data: escalations, error: escalationsError } = await supabase
+    .from('ticket_escalations')
+    .select('ticket_id, level, created_at')
+    .eq('policy_id', policy.id)
+    .is('error', null)
+    .in('ticket_id', candidates.map(candidate => candidate.ticket.id));
+
+  if (escalationsError) throw escalationsError;
+
+  let fired = 0;
+
+  for (const { ticket, dueLevels } of candidates) {
+    // Levels fired since the last update belong to the current path; a level that failed is tried again
+    const firedLevels = new Set(escalations
+      .filter(escalation => escalation.ticket_id === ticket.id && new Date(escalation.created_at) >= new Date(ticket.updated_at))
+      .map(escalation => escalation.level - 1));
+
+    // One level per run: a level can change the ticket (its priority), so the
+    // next one is checked against the reloaded ticket on the following run
+    const index = dueLevels.find(levelIndex => !firedLevels.has(levelIndex));
+
+    if (index === undefined) {
+      continue;
+    }
+
+    try {
+      await escalateTicket(supabase, policy, ticket, index, now);
+      fired++;
+    } catch (levelError) {
+      console.error(`Escalation policy ${policy.id} error on ticket ${ticket.id}:`, levelError);
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Run every active escalation policy once
+ *
+ * Past the deadline no further policy is started; the rest wait for the next
+ * run. Policies take turns going first so none is always left out.
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now - Reference time
+ * @param {number} deadline - Time (ms since epoch) to stop starting policies, or null for no limit
+ * @returns {Promise<number>} - Number of levels fired
+ */
+export async function runEscalations(supabase, now = new Date(), deadline = null) {
+  const { data: policies, error } = await supabase
+    .from('escalation_policies')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  const start = Math.floor(Math.random() * policies.length);
+  let fired = 0;
+
+  // One failing policy does not stop the others
+  for (const policy of [...policies.slice(start), ...policies.slice(0, start)]) {
+    if (deadline !== null && Date.now() >= deadline) {
+      break;
+    }
+
+    try {
+      fired += await runEscalationPolicy(supabase, policy, now);
+    } catch (policyError) {
+      console.error(`Escalation policy ${policy.id} error:`, policyError);
+    }
+  }
+
+  return fired;
+}
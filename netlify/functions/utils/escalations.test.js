@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { getDueLevels, getNextSlaDueAt, validateEscalationPolicy } from './escalations';
+
+const now = new Date('2024-03-04T12:00:00Z');
+
+const idlePolicy = {
+  trigger: 'idle',
+  levels: [{ minutes: 60 }, { minutes: 120 }, { minutes: 240 }]
+};
+
+const slaPolicy = {
+  trigger: 'sla',
+  levels: [{ minutes: 30 }, { minutes: 0 }, { minutes: -60 }]
+};
+
+describe('getDueLevels', () => {
+  it('returns the idle levels the ticket has waited for', () => {
+    expect(getDueLevels(idlePolicy, { updated_at: '2024-03-04T09:30:00Z' }, now)).toEqual([0, 1]);
+    expect(getDueLevels(idlePolicy, { updated_at: '2024-03-04T11:30:00Z' }, now)).toEqual([]);
+  });
+
+  it('returns the SLA levels within reach of the next target', () => {
+    expect(getDueLevels(slaPolicy, { first_response_due_at: '2024-03-04T12:20:00Z' }, now)).toEqual([0]);
+    expect(getDueLevels(slaPolicy, { first_response_due_at: '2024-03-04T10:30:00Z' }, now)).toEqual([0, 1, 2]);
+  });
+
+  it('returns no SLA levels for a paused ticket', () => {
+    const ticket = { first_response_due_at: '2024-03-04T10:30:00Z', sla_paused_at: '2024-03-04T10:00:00Z' };
+
+    expect(getDueLevels(slaPolicy, ticket, now)).toEqual([]);
+  });
+});
+
+describe('getNextSlaDueAt', () => {
+  it('picks the earliest target still open', () => {
+    expect(getNextSlaDueAt({
+      first_response_due_at: '2024-03-04T13:00:00Z',
+      resolution_due_at: '2024-03-04T15:00:00Z'
+    })).toEqual(new Date('2024-03-04T13:00:00Z'));
+
+    expect(getNextSlaDueAt({
+      first_response_due_at: '2024-03-04T13:00:00Z',
+      first_responded_at: '2024-03-04T11:00:00Z',
+      resolution_due_at: '2024-03-04T15:00:00Z'
+    })).toEqual(new Date('2024-03-04T15:00:00Z'));
+  });
+
+  it('returns null when every target is met', () => {
+    expect(getNextSlaDueAt({ resolution_due_at: '2024-03-04T15:00:00Z', resolved_at: '2024-03-04T14:00:00Z' })).toBeNull();
+  });
+});
+
+describe('validateEscalationPolicy', () => {
+  const policy = {
+    name: 'Stale tickets',
+    trigger: 'idle',
+    levels: [{ minutes: 60, notify: ['assignee'] }, { minutes: 120, notify: ['admins'], setPriority: 'urgent' }]
+  };
+
+  it('accepts a valid policy', () => {
+    expect(validateEscalationPolicy(policy)).toBeNull();
+  });
+
+  it('requires idle levels to wait longer each time', () => {
+    expect(validateEscalationPolicy({ ...policy, levels: [...policy.levels].reverse() }))
+      .toBe('Idle levels must wait longer than the level before');
+  });
+
+  it('requires SLA levels to get closer to the target each time', () => {
+    expect(validateEscalationPolicy({ ...policy, trigger: 'sla' }))
+      .toBe('SLA levels must fire closer to the target than the level before');
+  });
+
+  it('requires every level to do something', () => {
+    expect(validateEscalationPolicy({ ...policy, levels: [{ minutes: 60, notify: [] }] }))
+      .toBe('Level 1 must notify someone or change the priority');
+  });
+
+  it('rejects unknown priorities', () => {
+    expect(validateEscalationPolicy({ ...policy, priorities: ['critical'] }))
+      .toBe('Priorities must be a list of: low, medium, high, urgent');
+  });
+});
@@ -0,0 +1,528 @@
+import { getBusinessClock } from './businessHours';
+import { getFirstResponseSlaUpdates } from './sla';
+import { getActorFields, recordTicketEvents, diffTicketFields } from './ticketHistory';
+import { createTicket, sendAutoReply, parseTicketReference } from './tickets';
+import { ATTACHMENT_BUCKET, validateAttachment, getAttachmentPath } from './attachments';
+import { renderMarkdown } from './markdown';
+import { runAutomations } from './automations';
+import { notifyTicketCreated, notifyTicketResponse } from './emailNotifications';
+
+/**
+ * Inbound email to tickets
+ *
+ * Mail sent to <anything>@<subdomain>.<inbound domain> or
+ * <subdomain>@<inbound domain> belongs to the organization with that
+ * subdomain. A message that answers an earlier one (In-Reply-To/References
+ * matching a stored Message-ID), or whose subject carries a ticket token
+ * such as [#ACME-1042], becomes a response on that ticket; anything else
+ * opens a new ticket. Every message is claimed in email_messages before it
+ * is filed, so threads can be followed and redelivered messages are ignored.
+ */
+
+// Subject token that ties a message to a ticket, e.g. [#ACME-1042] or [#1042]
+const TICKET_TOKEN_PATTERN = /\[#([A-Za-z0-9-]+)\]/;
+
+// Where the quoted earlier conversation starts in a reply
+const QUOTE_HEADER_PATTERN = /^(On .+ wrote:|-{2,}\s*Original Message\s*-{2,}|_{5,}|From: .+)$/im;
+
+/**
+ * Find the organization subdomains a message was addressed to
+ * @param {Array} addresses - Recipient email addresses
+ * @param {string} inboundDomain - Domain that receives support mail
+ * @returns {Array} - Subdomains, most specific first
+ */
+export function getRecipientSubdomains(addresses, inboundDomain) {
+  const domain = inboundDomain.toLowerCase();
+  const subdomains = [];
+
+  for (const address of addresses) {
+    const [localPart, host] = address.toLowerCase().split('@');
+
+    if (!host) {
+      continue;
+    }
+
+    if (host.endsWith(`.${domain}`)) {
+      subdomains.push(host.slice(0, -(domain.length + 1)).split('.').pop());
+    } else if (host === domain) {
+      // Plus addressing (acme+billing@) still reaches acme
+      subdomains.push(localPart.split('+')[0]);
+    }
+  }
+
+  return [...new Set(subdomains)];
+}
+
+/**
+ * Cut the quoted earlier conversation off a reply
+ * @param {string} text - Plain-text body
+ * @returns {string}
+ */
+export function stripQuotedReply(text) {
+  const match = text.match(QUOTE_HEADER_PATTERN);
+  const body = match ? text.slice(0, match.index) : text;
+
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Tell automatic mail (out-of-office replies, bounces) from mail a person sent
+ * @param {Object} message - Parsed message (mailparser)
+ * @returns {boolean}
+ */
+export function isAutomatedMessage(message) {
+  const autoSubmitted = message.headers.get('auto-submitted');
+  const precedence = message.headers.get('precedence');
+
+  return (!!autoSubmitted && autoSubmitted !== 'no') ||
+    ['bulk', 'junk', 'auto_reply'].includes(precedence) ||
+    message.headers.has('x-autoreply') ||
+    message.headers.has('x-autorespond');
+}
+
+/**
+ * Check that the sender's domain passed SPF, DKIM or DMARC
+ *
+ * Only the receiving provider's Authentication-Results header counts: the
+ * one whose authserv-id is given, or else the top-most, which the provider
+ * adds last. Anything further down came with the message and may be forged.
+ * DKIM and SPF passes only count for the From address's domain.
+ * @param {Object} message - Parsed message (mailparser)
+ * @param {string} address - From address
+ * @param {string|null} authservId - The provider's authserv-id, e.g. mx.example.com
+ * @returns {boolean}
+ */
+export function isAuthenticatedSender(message, address, authservId = null) {
+  const value = message.headers.get('authentication-results');
+  const results = (Array.isArray(value) ? value : value ? [value] : []).map(String);
+  const trusted = authservId
+    ? results.find(result => result.split(';')[0].trim().toLowerCase() === authservId.toLowerCase())
+    : results[0];
+
+  if (!trusted) {
+    return false;
+  }
+
+  const domain = address.split('@').pop().toLowerCase();
+  const isAligned = other => !!other && (other === domain || domain.endsWith(`.${other}`) || other.endsWith(`.${domain}`));
+
+  return trusted.split(';').slice(1).some(part => {
+    const method = part.trim().toLowerCase();
+    const [, name, result] = method.match(/^([a-z]+)\s*=\s*([a-z]+)/) || [];
+    const property = key => method.match(new RegExp(`(?:^|\\s)${key.replace('.', '\\.')}=("?)([^\\s";]+)\\1`))?.[2]
+      .split('@').pop();
+
+    if (result !== 'pass') {
+      return false;
+    }
+
+    if (name === 'dmarc') {
+      return true;
+    }
+
+    if (name === 'dkim') {
+      return isAligned(property('header.d') || property('header.i'));
+    }
+
+    return name === 'spf' && isAligned(property('smtp.mailfrom'));
+  });
+}
+
+// Every address a message was delivered to
+function getRecipientAddresses(message) {
+  const listed = [message.to, message.cc]
+    .flatMap(field => (Array.isArray(field) ? field : field ? [field] : []))
+    .flatMap(field => field.value.map(entry => entry.address));
+  const delivered = ['delivered-to', 'x-original-to']
+    .map(header => message.headers.get(header))
+    .flatMap(value => (Array.isArray(value) ? value : value ? [value] : []))
+    .map(value => (typeof value === 'string' ? value : value.text || ''));
+
+  return [...listed, ...delivered].filter(Boolean);
+}
+
+// Message IDs a reply points back to
+function getThreadMessageIds(message) {
+  const references = Array.isArray(message.references)
+    ? message.references
+    : message.references ? [message.references] : [];
+
+  return [...new Set([message.inReplyTo, ...references].filter(Boolean))];
+}
+
+// The user or admin of the organization who sent the message, if any.
+// A From header is easy to forge, so staff are only recognized when the sender is authenticated.
+async function findSender(supabase, organizationId, address, authenticated) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('email', address)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (user) {
+    return user.role === 'customer' || authenticated ? { role: user.role, profile: user } : null;
+  }
+
+  if (!authenticated) {
+    return null;
+  }
+
+  const { data: admin, error: adminError } = await supabase
+    .from('admins')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('email', address)
+    .maybeSingle();
+
+  if (adminError) throw adminError;
+
+  return admin ? { role: 'admin', profile: admin } : null;
+}
+
+/**
+ * Find the ticket a reply belongs to
+ *
+ * Message-ID references are trusted; a subject token only counts when the
+ * sender is the requester or staff, so guessing a number is not enough to
+ * post on someone else's ticket.
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {Object} message - Parsed message (mailparser)
+ * @param {Object} sender - { address, actor }
+ * @returns {Promise<Object|null>} - Ticket row
+ */
+export async function findReplyTicket(supabase, organizationId, message, sender) {
+  const threadIds = getThreadMessageIds(message);
+  let ticketId = null;
+
+  if (threadIds.length > 0) {
+    const { data, error } = await supabase
+      .from('email_messages')
+      .select('ticket_id')
+      .eq('organization_id', organizationId)
+      .in('message_id', threadIds)
+      .not('ticket_id', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    ticketId = data[0]?.ticket_id || null;
+  }
+
+  let tokenMatch = false;
+
+  if (!ticketId) {
+    const token = (message.subject || '').match(TICKET_TOKEN_PATTERN);
+    const reference = token && parseTicketReference(token[1]);
+
+    if (reference) {
+      let query = supabase
+        .from('tickets')
+        .select('id')
+        .eq('organization_id', organizationId);
+
+      query = reference.ref
+        ? query.eq('ticket_ref', reference.ref)
+        : query.eq('ticket_number', reference.number);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+
+      ticketId = data?.id || null;
+      tokenMatch = !!ticketId;
+    }
+  }
+
+  if (!ticketId) {
+    return null;
+  }
+
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .select('*')
+    .eq('id', ticketId)
+    .single();
+
+  if (error) throw error;
+
+  if (tokenMatch) {
+    const isStaff = sender.actor && sender.actor.role !== 'customer';
+    const isRequester = (sender.actor && ticket.created_by === sender.actor.profile.id) ||
+      ticket.requester_email === sender.address;
+
+    if (!isStaff && !isRequester) {
+      return null;
+    }
+  }
+
+  // Replies to a merged ticket land on the ticket it was merged into
+  if (ticket.merged_into_id) {
+    const { data: primaryTicket, error: primaryError } = await supabase
+      .from('tickets')
+      .select('*')
+      .eq('id', ticket.merged_into_id)
+      .single();
+
+    if (primaryError) throw primaryError;
+
+    return primaryTicket;
+  }
+
+  return ticket;
+}
+
+/**
+ * Store a message's attachments on a ticket, within the organization's limits
+ * @param {Object} supabase - Supabase client
+ * @param {Object} organization - organizations row
+ * @param {Object} ticket - Ticket row
+ * @param {string|null} responseId - Response the files belong to
+ * @param {Array} files - mailparser attachments
+ * @param {string|null} createdBy - Sender's user ID
+ * @returns {Promise<Object>} - { stored, skipped } file names
+ */
+export async function storeEmailAttachments(supabase, organization, ticket, responseId, files, createdBy) {
+  const result = { stored: [], skipped: [] };
+
+  for (const file of files) {
+    const fileName = file.filename || `attachment-${result.stored.length + result.skipped.length + 1}`;
+
+    if (validateAttachment({ fileName, fileType: file.contentType, fileSize: file.size }, organization)) {
+      result.skipped.push(fileName);
+      continue;
+    }
+
+    const attachment = {
+      id: crypto.randomUUID(),
+      organization_id: ticket.organization_id,
+      ticket_id: ticket.id,
+      response_id: responseId,
+      file_name: fileName,
+      file_type: file.contentType,
+      file_size: file.size,
+      status: 'uploaded',
+      created_by: createdBy
+    };
+    attachment.storage_path = getAttachmentPath(attachment);
+
+    const { error: uploadError } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(attachment.storage_path, file.content, { contentType: file.contentType });
+
+    if (uploadError) throw uploadError;
+
+    const { error } = await supabase
+      .from('ticket_attachments')
+      .insert([attachment]);
+
+    if (error) throw error;
+
+    result.stored.push(fileName);
+  }
+
+  return result;
+}
+
+// Add a reply to a ticket; staff replies count toward the first-response target
+async function addReply(supabase, ticket, content, sender, actorFields) {
+  const { data, error } = await supabase
+    .from('ticket_responses')
+    .insert([{
+      ticket_id: ticket.id,
+      content,
+      content_html: renderMarkdown(content),
+      is_internal: false,
+      created_by: sender.actor?.profile.id || null,
+      created_by_name: actorFields.actor_name,
+      created_by_role: sender.actor?.role || 'customer'
+    }])
+    .select();
+
+  if (error) throw error;
+
+  const isStaff = sender.actor && sender.actor.role !== 'customer';
+
+  if (isStaff && !ticket.first_responded_at) {
+    const clock = await getBusinessClock(supabase, ticket.organization_id);
+    const slaUpdates = getFirstResponseSlaUpdates(ticket, clock);
+
+    const { error: updateError } = await supabase
+      .from('tickets')
+      .update({ ...slaUpdates, updated_at: new Date() })
+      .eq('id', ticket.id);
+
+    if (updateError) throw updateError;
+
+    await recordTicketEvents(supabase, ticket, diffTicketFields(ticket, slaUpdates), actorFields);
+  }
+
+  return data[0];
+}
+
+/**
+ * Turn one inbound message into a new ticket or a reply
+ * @param {Object} supabase - Supabase client
+ * @param {Object} message - Parsed message (mailparser)
+ * @param {string} inboundDomain - Domain that receives support mail
+ * @param {string|null} authservId - The mail provider's authserv-id (see isAuthenticatedSender)
+ * @returns {Promise<Object>} - { status, ticketId, responseId, reason }; status is created, replied, duplicate or ignored
+ */
+export async function processInboundEmail(supabase, message, inboundDomain, authservId = null) {
+  const from = message.from?.value?.[0];
+
+  if (!from?.address) {
+    return { status: 'ignored', reason: 'Message has no sender' };
+  }
+
+  if (isAutomatedMessage(message)) {
+    return { status: 'ignored', reason: 'Automated message' };
+  }
+
+  const subdomains = getRecipientSubdomains(getRecipientAddresses(message), inboundDomain);
+
+  if (subdomains.length === 0) {
+    return { status: 'ignored', reason: 'No support address among the recipients' };
+  }
+
+  const { data: organizations, error: organizationError } = await supabase
+    .from('organizations')
+    .select('id, subdomain, status, attachment_max_size_mb, attachment_allowed_types')
+    .in('subdomain', subdomains);
+
+  if (organizationError) throw organizationError;
+
+  const organization = subdomains
+    .map(subdomain => organizations.find(item => item.subdomain === subdomain))
+    .find(item => item && item.status === 'active');
+
+  if (!organization) {
+    return { status: 'ignored', reason: 'No active organization for the recipient address' };
+  }
+
+  // Messages without a Message-ID get one so redelivery checks still have a key
+  const messageId = message.messageId || `<${crypto.randomUUID()}@${inboundDomain}>`;
+
+  const address = from.address.toLowerCase();
+
+  // Claim the message before doing any work, so a redelivery hits the unique Message-ID
+  const { data: claimed, error: claimError } = await supabase
+    .from('email_messages')
+    .insert([{
+      organization_id: organization.id,
+      direction: 'inbound',
+      message_id: messageId,
+      in_reply_to: message.inReplyTo || null,
+      from_address: address,
+      to_addresses: getRecipientAddresses(message),
+      subject: message.subject || null
+    }])
+    .select('id');
+
+  if (claimError?.code === '23505') {
+    const { data: existing, error: existingError } = await supabase
+      .from('email_messages')
+      .select('ticket_id, response_id')
+      .eq('organization_id', organization.id)
+      .eq('message_id', messageId)
+      .single();
+
+    if (existingError) throw existingError;
+
+    return { status: 'duplicate', ticketId: existing.ticket_id, responseId: existing.response_id };
+  }
+
+  if (claimError) throw claimError;
+
+  const messageRowId = claimed[0].id;
+  const authenticated = isAuthenticatedSender(message, address, authservId);
+  const actor = await findSender(supabase, organization.id, address, authenticated);
+  const sender = { address, name: from.name || address, actor };
+  const actorFields = actor
+    ? getActorFields(actor.profile.id, actor)
+    : { actor_id: null, actor_name: sender.name, actor_role: 'customer' };
+  const text = (message.text || '').trim();
+
+  let ticket;
+  let response = null;
+  let created = null;
+
+  try {
+    ticket = await findReplyTicket(supabase, organization.id, message, sender);
+
+    if (ticket) {
+      response = await addReply(supabase, ticket, stripQuotedReply(text) || text || '(empty message)', sender, actorFields);
+    } else {
+      created = await createTicket(supabase, {
+        title: (message.subject || '').trim() || '(no subject)',
+        description: text || '(empty message)',
+        created_by: actor?.role === 'customer' ? actor.profile.id : null,
+        organization_id: organization.id,
+        source: 'email',
+        requester_email: address,
+        requester_name: sender.name
+      }, actorFields, { source: 'email' });
+
+      ticket = created.ticket;
+    }
+  } catch (error) {
+    // Nothing was filed, so release the claim and let the provider's retry start over
+    await supabase.from('email_messages').delete().eq('id', messageRowId);
+    throw error;
+  }
+
+  const status = created ? 'created' : 'replied';
+
+  // From here on a redelivery is a duplicate of this ticket or reply
+  const { error: messageError } = await supabase
+    .from('email_messages')
+    .update({ ticket_id: ticket.id, response_id: response?.id || null })
+    .eq('id', messageRowId);
+
+  if (messageError) throw messageError;
+
+  if (created) {
+    await sendAutoReply(supabase, ticket, created.calendars);
+  }
+
+  // Inline images (pasted screenshots) are kept as attachments too
+  const attachments = await storeEmailAttachments(
+    supabase,
+    organization,
+    ticket,
+    response?.id || null,
+    message.attachments || [],
+    actor?.profile.id || null
+  );
+
+  await recordTicketEvents(supabase, ticket, [{
+    event_type: 'email_received',
+    details: {
+      message_id: messageId,
+      from: address,
+      authenticated,
+      response_id: response?.id || null,
+      attachments: attachments.stored,
+      skipped_attachments: attachments.skipped
+    }
+  }], actorFields);
+
+  // The inbound message is stored by now, so the email threads with it
+  if (status === 'created') {
+    await notifyTicketCreated(supabase, ticket, actor?.profile.id || null);
+    await runAutomations(supabase, 'ticket.created', ticket.id);
+  } else {
+    await notifyTicketResponse(supabase, ticket, response);
+    await runAutomations(supabase, 'response.created', ticket.id, response);
+  }
+
+  return { status, ticketId: ticket.id, responseId: response?.id || null };
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { stripQuotedReply, isAuthenticatedSender, isAutomatedMessage, getRecipientSubdomains } from './inboundEmail';
+
+const withHeaders = headers => ({ headers: new Map(Object.entries(headers)) });
+
+describe('stripQuotedReply', () => {
+  it('drops the quoted message below a reply header', () => {
+    const text = 'Thanks, that fixed it.\n\nOn Mon, 4 Mar 2024 at 10:00, Support <acme@example.com> wrote:\n> Try restarting.';
+
+    expect(stripQuotedReply(text)).toBe('Thanks, that fixed it.');
+  });
+
+  it('drops a forwarded original message', () => {
+    expect(stripQuotedReply('See below\n-----Original Message-----\nFrom: someone')).toBe('See below');
+  });
+
+  it('drops quoted lines interleaved with the reply', () => {
+    expect(stripQuotedReply('> Does it work now?\nYes\n> Anything else?\nNo')).toBe('Yes\nNo');
+  });
+
+  it('keeps a message without quotes', () => {
+    expect(stripQuotedReply('  Printer is on fire  ')).toBe('Printer is on fire');
+  });
+});
+
+describe('isAuthenticatedSender', () => {
+  const message = results => withHeaders({ 'authentication-results': results });
+
+  it('accepts a DMARC pass', () => {
+    expect(isAuthenticatedSender(message('mx.example.net; dmarc=pass header.from=acme.com'), 'jo@acme.com')).toBe(true);
+  });
+
+  it('accepts an SPF or DKIM pass for the sender domain', () => {
+    expect(isAuthenticatedSender(message('mx.example.net; spf=pass smtp.mailfrom=jo@acme.com'), 'jo@acme.com')).toBe(true);
+    expect(isAuthenticatedSender(message('mx.example.net; dkim=pass header.d=mail.acme.com'), 'jo@acme.com')).toBe(true);
+  });
+
+  it('rejects a pass for another domain', () => {
+    expect(isAuthenticatedSender(message('mx.example.net; spf=pass smtp.mailfrom=x@evil.test'), 'jo@acme.com')).toBe(false);
+    expect(isAuthenticatedSender(message('mx.example.net; dkim=pass header.d=evil.test'), 'jo@acme.com')).toBe(false);
+  });
+
+  it('rejects failed checks and missing results', () => {
+    expect(isAuthenticatedSender(message('mx.example.net; dmarc=fail; spf=softfail smtp.mailfrom=jo@acme.com'), 'jo@acme.com'))
+      .toBe(false);
+    expect(isAuthenticatedSender(withHeaders({}), 'jo@acme.com')).toBe(false);
+  });
+
+  it('only trusts results from the configured server', () => {
+    const results = message(['spoofed.test; dmarc=pass', 'mx.example.net; dmarc=fail']);
+
+    expect(isAuthenticatedSender(results, 'jo@acme.com', 'mx.example.net')).toBe(false);
+    expect(isAuthenticatedSender(results, 'jo@acme.com', 'spoofed.test')).toBe(true);
+  });
+});
+
+describe('isAutomatedMessage', () => {
+  it('recognizes auto-replies and bulk mail', () => {
+    expect(isAutomatedMessage(withHeaders({ 'auto-submitted': 'auto-replied' }))).toBe(true);
+    expect(isAutomatedMessage(withHeaders({ precedence: 'bulk' }))).toBe(true);
+    expect(isAutomatedMessage(withHeaders({ 'x-autoreply': 'yes' }))).toBe(true);
+  });
+
+  it('accepts mail a person sent', () => {
+    expect(isAutomatedMessage(withHeaders({ 'auto-submitted': 'no' }))).toBe(false);
+  });
+});
+
+describe('getRecipientSubdomains', () => {
+  it('reads the organization from the subdomain or plus address', () => {
+    expect(getRecipientSubdomains(
+      ['help@acme.inbound.example.com', 'acme+billing@inbound.example.com', 'globex@inbound.example.com', 'jo@acme.com'],
+      'inbound.example.com'
+    )).toEqual(['acme', 'globex']);
+  });
+});
@@ -0,0 +1,112 @@
+import nodemailer from 'nodemailer';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Outgoing mail
+ *
+ * Mail goes through a transport picked by MAIL_TRANSPORT:
+ * - smtp: delivered through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD (SMTP_SECURE=true for TLS)
+ * - file: written as .eml files to MAIL_FILE_DIR, for local development and tests
+ * - console: printed to the function log
+ * There is no default: without MAIL_TRANSPORT nothing is sent, so a missing
+ * setting never ends up printing customer mail to the logs.
+ * Every transport has the same send(message) method, so callers never need
+ * to know which one is in use.
+ */
+
+export const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+const DEFAULT_FILE_DIR = '/tmp/helpdesk-mail';
+
+let transport = null;
+
+// Build the raw message without sending it (file and console transports)
+function createStreamTransport(deliver) {
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async send(message) {
+      const info = await streamTransport.sendMail(message);
+      await deliver(info);
+
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Create a mail transport
+ * @param {Object} config - Settings in the shape of the MAIL_* and SMTP_* environment variables
+ * @returns {Object} - { send(message) } resolving to { messageId }
+ */
+export function createMailTransport(config) {
+  const name = config.MAIL_TRANSPORT;
+
+  if (name === 'smtp') {
+    const smtpTransport = nodemailer.createTransport({
+      host: config.SMTP_HOST,
+      port: parseInt(config.SMTP_PORT || '587', 10),
+      secure: config.SMTP_SECURE === 'true',
+      auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASSWORD } : undefined
+    });
+
+    return {
+      async send(message) {
+        const info = await smtpTransport.sendMail(message);
+
+        return { messageId: info.messageId };
+      }
+    };
+  }
+
+  if (name === 'file') {
+    const directory = config.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+
+    return createStreamTransport(async info => {
+      await mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]+/g, '_')}.eml`;
+      await writeFile(path.join(directory, fileName), info.message);
+    });
+  }
+
+  if (name === 'console') {
+    return createStreamTransport(async info => {
+      console.info(`Mail ${info.messageId}:\n${info.message.toString()}`);
+    });
+  }
+
+  throw new Error(`Mail transport must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+}
+
+/**
+ * Get the transport configured in the environment (created once per function instance)
+ * @returns {Object|null} - { send(message) }, or null when MAIL_TRANSPORT is not set
+ */
+export function getMailTransport() {
+  if (!process.env.MAIL_TRANSPORT) {
+    return null;
+  }
+
+  if (!transport) {
+    transport = createMailTransport(process.env);
+  }
+
+  return transport;
+}
+
+/**
+ * Send one message
+ * @param {Object} message - { from, to, replyTo, subject, text, html, messageId, inReplyTo, references, headers }
+ * @param {Object} mailTransport - Transport to use (the configured one when omitted)
+ * @returns {Promise<Object|null>} - { messageId }, or null when no transport is configured
+ */
+export async function sendMail(message, mailTransport = getMailTransport()) {
+  if (!mailTransport) {
+    console.warn('Mail not sent: MAIL_TRANSPORT is not set');
+    return null;
+  }
+
+  return mailTransport.send(message);
+}
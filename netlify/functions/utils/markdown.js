@@ -0,0 +1,91 @@
+import { marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * Rich-text ticket descriptions and responses
+ *
+ * Descriptions and responses are written in Markdown, and a safe subset of
+ * HTML can be mixed in. The source stays in description/content; the
+ * rendered, sanitized HTML is stored next to it in description_html and
+ * content_html. Inline images point at the ticket's attachments as
+ * attachment:<id> and only get a real (signed) URL when the ticket is read.
+ */
+
+export const INLINE_IMAGE_SCHEME = 'attachment';
+
+// Anything not listed here, including scripts, styles and event handler attributes, is removed
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'del', 's', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Images can only come from the ticket's own attachments
+  allowedSchemesByTag: {
+    img: [INLINE_IMAGE_SCHEME]
+  },
+  allowProtocolRelative: false,
+  // Relative image URLs have no scheme to check, so images must point at an attachment
+  exclusiveFilter: frame => frame.tag === 'img' && !(frame.attribs.src || '').startsWith(`${INLINE_IMAGE_SCHEME}:`),
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+const INLINE_IMAGE_PATTERN = new RegExp(`<img\\b[^>]*\\bsrc="${INLINE_IMAGE_SCHEME}:([0-9a-fA-F-]+)"[^>]*>`, 'g');
+
+/**
+ * Render Markdown into sanitized HTML
+ * @param {string} source - Markdown, optionally with HTML
+ * @returns {string|null} - HTML, or null when there is no source
+ */
+export function renderMarkdown(source) {
+  if (source === undefined || source === null) {
+    return null;
+  }
+
+  const html = marked.parse(String(source), { gfm: true, breaks: true, async: false });
+
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * Get the attachment IDs used as inline images in rendered HTML
+ * @param {string} html - Result of renderMarkdown
+ * @returns {Array} - Attachment IDs
+ */
+export function getInlineImageIds(html) {
+  return [...new Set([...(html || '').matchAll(INLINE_IMAGE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Point inline images at real URLs; images without a URL are dropped
+ * @param {string} html - Result of renderMarkdown
+ * @param {Map} urls - Attachment ID => URL
+ * @returns {string}
+ */
+export function resolveInlineImages(html, urls) {
+  if (!html) {
+    return html;
+  }
+
+  return html.replace(INLINE_IMAGE_PATTERN, (tag, attachmentId) => {
+    const url = urls.get(attachmentId);
+
+    return url
+      ? tag.replace(`${INLINE_IMAGE_SCHEME}:${attachmentId}`, url.replace(/&/g, '&amp;').replace(/"/g, '&quot;'))
+      : '';
+  });
+}
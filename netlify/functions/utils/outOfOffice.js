@@ -0,0 +1,132 @@
+import { SLA_RESOLVED_STATUSES } from './sla';
+import { pickAssignee } from './assignment';
+import { getUserTeamIds } from './teams';
+import { applyTicketActions } from './ticketActions';
+
+/**
+ * Out-of-office ticket reassignment
+ *
+ * When an out-of-office period asks for it, the agent's open tickets are
+ * handed over once the period starts: to the agent named on the period, or
+ * else to an available teammate picked the way automatic assignment picks
+ * (round robin when the organization has it off). Tickets nobody can take
+ * stay with the agent. Each period is only reassigned once.
+ */
+
+/**
+ * Choose who takes over one ticket of an agent who is out of office
+ * @param {Object} supabase - Supabase client
+ * @param {Object} period - out_of_office row
+ * @param {Object} ticket - Ticket row with its tags embedded
+ * @param {Array} teamIds - Teams the agent belongs to or leads
+ * @returns {Promise<string|null>} - User ID, or null when nobody is free
+ */
+async function chooseReplacement(supabase, period, ticket, teamIds) {
+  if (period.reassign_to) {
+    return period.reassign_to;
+  }
+
+  // The ticket's own team first, then the agent's other teams, then anyone
+  const teams = [...new Set([ticket.assigned_team_id, ...teamIds].filter(Boolean)), null];
+
+  for (const teamId of teams) {
+    const assignment = await pickAssignee(supabase, ticket.organization_id, {
+      category: ticket.category,
+      tagIds: (ticket.tags || []).map(tag => tag.id),
+      teamId
+    }, 'round_robin');
+
+    if (assignment) {
+      return assignment.agent.id;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hand over the open tickets of an agent who is out of office
+ * @param {Object} supabase - Supabase client
+ * @param {Object} period - out_of_office row
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { reassigned, kept } ticket counts
+ */
+export async function reassignOutOfOfficeTickets(supabase, period, now = new Date()) {
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('*, tags(id, name, color)')
+    .eq('organization_id', period.organization_id)
+    .eq('assigned_to', period.user_id)
+    .is('merged_into_id', null)
+    .not('status', 'in', `(${SLA_RESOLVED_STATUSES.join(',')})`)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const teamIds = period.reassign_to ? [] : await getUserTeamIds(supabase, period.user_id);
+  const result = { reassigned: 0, kept: 0 };
+
+  for (const ticket of tickets) {
+    const assigneeId = await chooseReplacement(supabase, period, ticket, teamIds);
+
+    if (!assigneeId || assigneeId === period.user_id) {
+      result.kept++;
+      continue;
+    }
+
+    const outcome = await applyTicketActions(supabase, ticket, [{ type: 'assign', value: assigneeId }], {
+      actor: null,
+      actorFields: { actor_id: null, actor_name: 'Out of office', actor_role: null },
+      checkTransitions: false,
+      eventType: 'out_of_office_reassigned',
+      details: { out_of_office_id: period.id, previous_assignee_id: period.user_id }
+    });
+
+    if (outcome.error) {
+      console.error(`Out-of-office reassignment error on ticket ${ticket.id}:`, outcome.error);
+      result.kept++;
+    } else {
+      result.reassigned++;
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('out_of_office')
+    .update({ reassigned_at: now })
+    .eq('id', period.id);
+
+  if (updateError) throw updateError;
+
+  return result;
+}
+
+/**
+ * Reassign the tickets of every out-of-office period that has started and not been handled yet
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of tickets reassigned
+ */
+export async function runOutOfOfficeReassignments(supabase, now = new Date()) {
+  const { data: periods, error } = await supabase
+    .from('out_of_office')
+    .select('*')
+    .eq('reassign_tickets', true)
+    .is('reassigned_at', null)
+    .lte('starts_at', now.toISOString())
+    .gt('ends_at', now.toISOString());
+
+  if (error) throw error;
+
+  let reassigned = 0;
+
+  // One failing period does not stop the others
+  for (const period of periods) {
+    try {
+      reassigned += (await reassignOutOfOfficeTickets(supabase, period, now)).reassigned;
+    } catch (periodError) {
+      console.error(`Out-of-office period ${period.id} error:`, periodError);
+    }
+  }
+
+  return reassigned;
+}
@@ -0,0 +1,267 @@
+import {
+  AUTOMATION_TICKET_SELECT,
+  TIME_CONDITION_COLUMNS,
+  toAutomationContext,
+  evaluateRule,
+  applyAutomationRule
+} from './automations';
+
+/**
+ * Time-based automation rules
+ *
+ * Rules for the schedule event are checked by the scheduled-automations
+ * function, e.g. "pending for 72 hours without a customer reply: post a
+ * reminder" or "resolved for 168 hours: archive". A rule fires at most once
+ * for a ticket each time the ticket enters a status, so a reminder is not
+ * repeated on every run while the ticket keeps waiting. Every run and every
+ * rule that fired is recorded in automation_runs and automation_executions.
+ */
+
+// Tickets checked per rule and run; tickets that have been in their status longest come first
+export const MAX_TICKETS_PER_RULE = 200;
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Get all active schedule rules, grouped by organization in run order
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Map>} - Organization ID => rule rows
+ */
+export async function getScheduledRules(supabase) {
+  const { data, error } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('is_active', true)
+    .contains('events', ['schedule'])
+    .order('order_index', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const rulesByOrganization = new Map();
+
+  for (const rule of data) {
+    if (!rulesByOrganization.has(rule.organization_id)) {
+      rulesByOrganization.set(rule.organization_id, []);
+    }
+    rulesByOrganization.get(rule.organization_id).push(rule);
+  }
+
+  return rulesByOrganization;
+}
+
+// IDs of tickets the rule already fired for since they entered their current status
+async function getFiredTicketIds(supabase, rule, tickets) {
+  if (tickets.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('automation_executions')
+    .select('ticket_id, created_at')
+    .eq('rule_id', rule.id)
+    .is('error', null)
+    .in('ticket_id', tickets.map(ticket => ticket.id));
+
+  if (error) throw error;
+
+  const enteredStatusAt = new Map(tickets.map(ticket =>
+    [ticket.id, new Date(ticket.status_changed_at || ticket.created_at)]));
+
+  return new Set(data
+    .filter(execution => new Date(execution.created_at) >= enteredStatusAt.get(execution.ticket_id))
+    .map(execution => execution.ticket_id));
+}
+
+// Query the tickets a schedule rule could match. Status and "at least" time
+// conditions narrow it when every condition has to match.
+function buildScheduledRuleQuery(supabase, rule, now) {
+  const conditions = rule.conditions || [];
+  const narrow = rule.condition_match !== 'any' || conditions.length === 1;
+
+  let query = supabase
+    .from('tickets')
+    .select(AUTOMATION_TICKET_SELECT)
+    .eq('organization_id', rule.organization_id)
+    .is('merged_into_id', null);
+
+  const statusCondition = narrow && conditions.find(({ field, operator }) =>
+    field === 'status' && (operator === 'is' || operator === 'in'));
+
+  // Archived tickets are only checked by rules that ask for them
+  query = statusCondition
+    ? query.in('status', toList(statusCondition.value))
+    : query.neq('status', 'archived');
+
+  if (narrow) {
+    for (const { field, operator, value } of conditions) {
+      const column = TIME_CONDITION_COLUMNS[field];
+
+      if (!column || operator !== 'at_least') {
+        continue;
+      }
+
+      const cutoff = `"${new Date(now.getTime() - value * 3600000).toISOString()}"`;
+      query = query.or(`${column}.lte.${cutoff},and(${column}.is.null,created_at.lte.${cutoff})`);
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Load the tickets a schedule rule could match and has not fired for yet
+ *
+ * Tickets the rule already fired for are skipped page by page, so tickets
+ * that keep matching after the rule fired cannot crowd out the ones still
+ * waiting. The rule itself is still evaluated on each ticket.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} rule - automation_rules row
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - Ticket rows loaded with AUTOMATION_TICKET_SELECT
+ */
+export async function getScheduledRuleTickets(supabase, rule, now) {
+  const tickets = [];
+
+  for (let from = 0; tickets.length < MAX_TICKETS_PER_RULE; from += MAX_TICKETS_PER_RULE) {
+    const { data, error } = await buildScheduledRuleQuery(supabase, rule, now)
+      .order('status_changed_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + MAX_TICKETS_PER_RULE - 1);
+
+    if (error) throw error;
+
+    const firedTicketIds = await getFiredTicketIds(supabase, rule, data);
+    tickets.push(...data.filter(ticket => !firedTicketIds.has(ticket.id)));
+
+    if (data.length < MAX_TICKETS_PER_RULE) {
+      break;
+    }
+  }
+
+  return tickets.slice(0, MAX_TICKETS_PER_RULE);
+}
+
+/**
+ * Check one schedule rule against its tickets and apply it where it matches
+ * @param {Object} supabase - Supabase client
+ * @param {Object} rule - automation_rules row
+ * @param {Object} run - automation_runs row
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { matched, applied, errors }
+ */
+export async function runScheduledRule(supabase, rule, run, now) {
+  const counts = { matched: 0, applied: 0, errors: 0 };
+  const tickets = await getScheduledRuleTickets(supabase, rule, now);
+
+  for (const ticket of tickets) {
+    if (!evaluateRule(rule, 'schedule', toAutomationContext(ticket, null, now)).matched) {
+      continue;
+    }
+
+    counts.matched++;
+    let executionError = null;
+
+    try {
+      const result = await applyAutomationRule(supabase, rule, ticket, 'schedule');
+      executionError = result.error || null;
+    } catch (error) {
+      console.error(`Scheduled rule ${rule.id} error on ticket ${ticket.id}:`, error);
+      executionError = error.message;
+    }
+
+    const { error } = await supabase
+      .from('automation_executions')
+      .insert([{
+        run_id: run.id,
+        organization_id: rule.organization_id,
+        rule_id: rule.id,
+        rule_name: rule.name,
+        ticket_id: ticket.id,
+        error: executionError
+      }]);
+
+    if (error) throw error;
+
+    if (executionError) {
+      counts.errors++;
+    } else {
+      counts.applied++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Run every organization's schedule rules once
+ *
+ * Past the deadline no further rule is started; the rest wait for the next
+ * run. Organizations take turns going first so none is always left out.
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now - Reference time
+ * @param {number} deadline - Time (ms since epoch) to stop starting rules, or null for no limit
+ * @returns {Promise<Array>} - Finished automation_runs rows
+ */
+export async function runScheduledAutomations(supabase, now = new Date(), deadline = null) {
+  const organizations = [...await getScheduledRules(supabase)];
+  const start = Math.floor(Math.random() * organizations.length);
+  const isPastDeadline = () => deadline !== null && Date.now() >= deadline;
+  const runs = [];
+
+  for (const [organizationId, rules] of [...organizations.slice(start), ...organizations.slice(0, start)]) {
+    if (isPastDeadline()) {
+      break;
+    }
+
+    const { data: run, error: runError } = await supabase
+      .from('automation_runs')
+      .insert([{ organization_id: organizationId, started_at: now }])
+      .select()
+      .single();
+
+    if (runError) throw runError;
+
+    const totals = { rules_checked: 0, tickets_matched: 0, actions_applied: 0, error_count: 0 };
+    let failure = null;
+
+    // One failing rule does not stop the others
+    for (const rule of rules) {
+      if (isPastDeadline()) {
+        break;
+      }
+
+      try {
+        const counts = await runScheduledRule(supabase, rule, run, now);
+
+        totals.tickets_matched += counts.matched;
+        totals.actions_applied += counts.applied;
+        totals.error_count += counts.errors;
+      } catch (error) {
+        console.error(`Scheduled rule ${rule.id} error:`, error);
+        totals.error_count++;
+        failure = `${rule.name}: ${error.message}`;
+      }
+
+      totals.rules_checked++;
+    }
+
+    const { data: finishedRun, error: finishError } = await supabase
+      .from('automation_runs')
+      .update({
+        ...totals,
+        status: failure ? 'failed' : 'completed',
+        error: failure,
+        finished_at: new Date()
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (finishError) throw finishError;
+
+    runs.push(finishedRun);
+  }
+
+  return runs;
+}
@@ -0,0 +1,153 @@
+/**
+ * Agent skills and skill-based routing
+ *
+ * Agents hold skills at a proficiency from 1 to 5. Skill requirements map a
+ * ticket category or tag to a skill and a minimum proficiency; a ticket
+ * needs every skill its category and tags map to, and only agents who have
+ * them all are considered when it is assigned.
+ */
+
+export const MIN_PROFICIENCY = 1;
+export const MAX_PROFICIENCY = 5;
+
+const isProficiency = value => Number.isInteger(value) && value >= MIN_PROFICIENCY && value <= MAX_PROFICIENCY;
+
+/**
+ * Validate a skill payload
+ * @param {Object} skill - { name }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSkill({ name }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Skill name is required';
+  }
+
+  if (name.trim().length > 50) {
+    return 'Skill name can be at most 50 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the skills of one agent
+ * @param {Array} skills - [{ skillId, proficiency }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateAgentSkills(skills) {
+  if (!Array.isArray(skills)) {
+    return 'Skills must be a list';
+  }
+
+  if (skills.some(skill => typeof skill?.skillId !== 'string' || !isProficiency(skill.proficiency))) {
+    return `Each skill needs a skill ID and a proficiency from ${MIN_PROFICIENCY} to ${MAX_PROFICIENCY}`;
+  }
+
+  if (new Set(skills.map(skill => skill.skillId)).size !== skills.length) {
+    return 'Each skill can only be listed once';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the requirements of one skill
+ * @param {Array} requirements - [{ category } or { tagId }, with an optional minProficiency]
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSkillRequirements(requirements) {
+  if (!Array.isArray(requirements)) {
+    return 'Requirements must be a list';
+  }
+
+  for (const requirement of requirements) {
+    const { category, tagId, minProficiency } = requirement || {};
+    const hasCategory = typeof category === 'string' && category.trim().length > 0;
+    const hasTag = typeof tagId === 'string' && tagId.length > 0;
+
+    if (hasCategory === hasTag) {
+      return 'Each requirement needs either a category or a tag';
+    }
+
+    if (minProficiency !== undefined && !isProficiency(minProficiency)) {
+      return `Minimum proficiency must be from ${MIN_PROFICIENCY} to ${MAX_PROFICIENCY}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Work out the skills a ticket needs from its category and tags
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {Object} ticket - { category, tagIds }
+ * @returns {Promise<Map>} - Skill ID => minimum proficiency
+ */
+export async function getRequiredSkills(supabase, organizationId, { category, tagIds = [] }) {
+  const matches = [];
+
+  if (category) {
+    matches.push(`category.eq."${category.replace(/"/g, '')}"`);
+  }
+
+  if (tagIds.length > 0) {
+    matches.push(`tag_id.in.(${tagIds.join(',')})`);
+  }
+
+  if (matches.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase
+    .from('skill_requirements')
+    .select('skill_id, min_proficiency')
+    .eq('organization_id', organizationId)
+    .or(matches.join(','));
+
+  if (error) throw error;
+
+  // When a category and a tag need the same skill, the higher level counts
+  const required = new Map();
+
+  for (const { skill_id, min_proficiency } of data) {
+    required.set(skill_id, Math.max(required.get(skill_id) || MIN_PROFICIENCY, min_proficiency));
+  }
+
+  return required;
+}
+
+/**
+ * Check whether an agent's skills meet a ticket's requirements
+ * @param {Array} agentSkills - The agent's agent_skills rows
+ * @param {Map} requiredSkills - Result of getRequiredSkills
+ * @returns {boolean}
+ */
+export function hasRequiredSkills(agentSkills, requiredSkills) {
+  return [...requiredSkills].every(([skillId, minProficiency]) =>
+    agentSkills.some(skill => skill.skill_id === skillId && skill.proficiency >= minProficiency));
+}
+
+/**
+ * Get the IDs of the agents who have every required skill
+ * @param {Object} supabase - Supabase client
+ * @param {Array} agentIds - Candidate user IDs
+ * @param {Map} requiredSkills - Result of getRequiredSkills
+ * @returns {Promise<Set>} - Qualified user IDs
+ */
+export async function getQualifiedAgentIds(supabase, agentIds, requiredSkills) {
+  if (requiredSkills.size === 0 || agentIds.length === 0) {
+    return new Set(agentIds);
+  }
+
+  const { data, error } = await supabase
+    .from('agent_skills')
+    .select('user_id, skill_id, proficiency')
+    .in('user_id', agentIds)
+    .in('skill_id', [...requiredSkills.keys()]);
+
+  if (error) throw error;
+
+  return new Set(agentIds.filter(agentId =>
+    hasRequiredSkills(data.filter(skill => skill.user_id === agentId), requiredSkills)));
+}
@@ -0,0 +1,232 @@
+/**
+ * SLA helpers for tickets
+ *
+ * Due dates are derived from the ticket's creation time, the policy targets
+ * and the minutes the SLA clock has spent stopped. The clock stops while a
+ * ticket is on hold, pending or resolved, and every helper takes a clock so
+ * the same rules can run against wall-clock or business time.
+ */
+
+// Values of the ticket_priority enum
+export const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Statuses that stop the SLA clock while a ticket waits on someone else
+export const SLA_PAUSED_STATUSES = ['on_hold', 'pending'];
+
+// Statuses that satisfy the resolution target
+export const SLA_RESOLVED_STATUSES = ['resolved', 'archived'];
+
+const MINUTE = 60 * 1000;
+
+// Plain wall-clock arithmetic, used when no business calendar applies
+export const wallClock = {
+  addMinutes(date, minutes) {
+    return new Date(new Date(date).getTime() + minutes * MINUTE);
+  },
+
+  minutesBetween(start, end) {
+    return Math.max(0, Math.round((new Date(end) - new Date(start)) / MINUTE));
+  }
+};
+
+/**
+ * Get the active SLA policy for an organization and priority
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {string} priority - Ticket priority
+ * @returns {Promise} - Policy row or null
+ */
+export async function getSlaPolicy(supabase, organizationId, priority) {
+  if (!organizationId || !priority) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('sla_policies')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('priority', priority)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Compute the SLA columns for a ticket under a policy
+ * @param {Object} policy - SLA policy row (or null for no SLA)
+ * @param {Object} ticket - Ticket with created_at and sla_paused_minutes
+ * @param {Object} clock - Clock used for the arithmetic
+ * @returns {Object} - Ticket columns to store
+ */
+export function computeSlaTargets(policy, ticket, clock = wallClock) {
+  if (!policy) {
+    return {
+      sla_policy_id: null,
+      first_response_due_at: null,
+      resolution_due_at: null
+    };
+  }
+
+  const start = ticket.created_at || new Date();
+  const pausedMinutes = ticket.sla_paused_minutes || 0;
+
+  return {
+    sla_policy_id: policy.id,
+    first_response_due_at: policy.first_response_minutes != null
+      ? clock.addMinutes(start, policy.first_response_minutes + pausedMinutes)
+      : null,
+    resolution_due_at: policy.resolution_minutes != null
+      ? clock.addMinutes(start, policy.resolution_minutes + pausedMinutes)
+      : null
+  };
+}
+
+// Due date including the time the clock has been stopped so far
+function getEffectiveDueAt(ticket, dueAt, clock, now) {
+  if (!dueAt) {
+    return null;
+  }
+
+  if (!ticket.sla_paused_at) {
+    return new Date(dueAt);
+  }
+
+  return clock.addMinutes(dueAt, clock.minutesBetween(ticket.sla_paused_at, now));
+}
+
+function isClockStopped(status) {
+  return SLA_PAUSED_STATUSES.includes(status) || SLA_RESOLVED_STATUSES.includes(status);
+}
+
+/**
+ * Get the SLA columns to update when a ticket changes status
+ * @param {Object} ticket - Current ticket row
+ * @param {string} status - New status
+ * @param {Object} clock - Clock used for the arithmetic
+ * @param {Date} now - Time of the change
+ * @returns {Object} - Ticket columns to store
+ */
+export function getStatusSlaUpdates(ticket, status, clock = wallClock, now = new Date()) {
+  const updates = {};
+
+  if (!status || status === ticket.status) {
+    return updates;
+  }
+
+  const wasStopped = !!ticket.sla_paused_at;
+  const willStop = isClockStopped(status);
+
+  if (SLA_RESOLVED_STATUSES.includes(status) && !ticket.resolved_at) {
+    const dueAt = getEffectiveDueAt(ticket, ticket.resolution_due_at, clock, now);
+
+    updates.resolved_at = now;
+    updates.resolution_breached = !!dueAt && now > dueAt;
+  } else if (!SLA_RESOLVED_STATUSES.includes(status) && ticket.resolved_at) {
+    // Reopened, so the resolution target applies again
+    updates.resolved_at = null;
+  }
+
+  if (wasStopped && !willStop) {
+    const pausedMinutes = clock.minutesBetween(ticket.sla_paused_at, now);
+
+    updates.sla_paused_at = null;
+    updates.sla_paused_minutes = (ticket.sla_paused_minutes || 0) + pausedMinutes;
+
+    if (ticket.first_response_due_at && !ticket.first_responded_at) {
+      updates.first_response_due_at = clock.addMinutes(ticket.first_response_due_at, pausedMinutes);
+    }
+
+    if (ticket.resolution_due_at) {
+      updates.resolution_due_at = clock.addMinutes(ticket.resolution_due_at, pausedMinutes);
+    }
+  } else if (!wasStopped && willStop) {
+    updates.sla_paused_at = now;
+  }
+
+  return updates;
+}
+
+/**
+ * Get the SLA columns to update when an agent first responds
+ * @param {Object} ticket - Current ticket row
+ * @param {Object} clock - Clock used for the arithmetic
+ * @param {Date} now - Time of the response
+ * @returns {Object} - Ticket columns to store
+ */
+export function getFirstResponseSlaUpdates(ticket, clock = wallClock, now = new Date()) {
+  if (ticket.first_responded_at) {
+    return {};
+  }
+
+  const dueAt = getEffectiveDueAt(ticket, ticket.first_response_due_at, clock, now);
+
+  return {
+    first_responded_at: now,
+    first_response_breached: !!dueAt && now > dueAt
+  };
+}
+
+/**
+ * Describe the SLA state of a ticket for API responses
+ * @param {Object} ticket - Ticket row
+ * @param {Object} clock - Clock used for the arithmetic
+ * @param {Date} now - Reference time
+ * @returns {Object} - SLA summary, or null when the ticket has no policy
+ */
+export function getSlaState(ticket, clock = wallClock, now = new Date()) {
+  if (!ticket.sla_policy_id) {
+    return null;
+  }
+
+  const describeTarget = (dueAt, completedAt, breached) => {
+    if (!dueAt) {
+      return null;
+    }
+
+    if (completedAt) {
+      return { due_at: dueAt, completed_at: completedAt, breached: !!breached };
+    }
+
+    const effectiveDueAt = getEffectiveDueAt(ticket, dueAt, clock, now);
+
+    return {
+      due_at: effectiveDueAt.toISOString(),
+      completed_at: null,
+      breached: !ticket.sla_paused_at && now > effectiveDueAt
+    };
+  };
+
+  return {
+    policy_id: ticket.sla_policy_id,
+    paused: !!ticket.sla_paused_at,
+    first_response: describeTarget(
+      ticket.first_response_due_at,
+      ticket.first_responded_at,
+      ticket.first_response_breached
+    ),
+    resolution: describeTarget(
+      ticket.resolution_due_at,
+      ticket.resolved_at,
+      ticket.resolution_breached
+    )
+  };
+}
+
+/**
+ * Build a PostgREST `or` filter matching tickets that breached an SLA target
+ * @param {Date} now - Reference time
+ * @returns {string} - Filter for query.or()
+ */
+export function getBreachedFilter(now = new Date()) {
+  const timestamp = `"${now.toISOString()}"`;
+
+  return [
+    'first_response_breached.eq.true',
+    'resolution_breached.eq.true',
+    `and(first_responded_at.is.null,sla_paused_at.is.null,first_response_due_at.lt.${timestamp})`,
+    `and(resolved_at.is.null,sla_paused_at.is.null,resolution_due_at.lt.${timestamp})`
+  ].join(',');
+}
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  wallClock,
+  computeSlaTargets,
+  getStatusSlaUpdates,
+  getFirstResponseSlaUpdates,
+  getSlaState
+} from './sla';
+
+const at = time => new Date(`2024-03-04T${time}:00.000Z`);
+
+const policy = { id: 'policy-1', first_response_minutes: 60, resolution_minutes: 240 };
+
+describe('wallClock', () => {
+  it('adds and measures minutes', () => {
+    expect(wallClock.addMinutes(at('09:00'), 90)).toEqual(at('10:30'));
+    expect(wallClock.minutesBetween(at('09:00'), at('10:30'))).toBe(90);
+  });
+
+  it('never measures negative time', () => {
+    expect(wallClock.minutesBetween(at('10:00'), at('09:00'))).toBe(0);
+  });
+});
+
+describe('computeSlaTargets', () => {
+  it('clears the SLA columns without a policy', () => {
+    expect(computeSlaTargets(null, { created_at: at('09:00') })).toEqual({
+      sla_policy_id: null,
+      first_response_due_at: null,
+      resolution_due_at: null
+    });
+  });
+
+  it('counts the targets from the creation time', () => {
+    expect(computeSlaTargets(policy, { created_at: at('09:00') })).toEqual({
+      sla_policy_id: 'policy-1',
+      first_response_due_at: at('10:00'),
+      resolution_due_at: at('13:00')
+    });
+  });
+
+  it('pushes the targets back by the paused minutes', () => {
+    const targets = computeSlaTargets(policy, { created_at: at('09:00'), sla_paused_minutes: 30 });
+
+    expect(targets.first_response_due_at).toEqual(at('10:30'));
+    expect(targets.resolution_due_at).toEqual(at('13:30'));
+  });
+
+  it('leaves out a target the policy does not set', () => {
+    const targets = computeSlaTargets({ ...policy, first_response_minutes: null }, { created_at: at('09:00') });
+
+    expect(targets.first_response_due_at).toBeNull();
+    expect(targets.resolution_due_at).toEqual(at('13:00'));
+  });
+});
+
+describe('getStatusSlaUpdates', () => {
+  const ticket = {
+    status: 'open',
+    first_response_due_at: at('10:00'),
+    resolution_due_at: at('13:00')
+  };
+
+  it('changes nothing when the status stays the same', () => {
+    expect(getStatusSlaUpdates(ticket, 'open', wallClock, at('09:30'))).toEqual({});
+  });
+
+  it('stops the clock when a ticket goes on hold', () => {
+    expect(getStatusSlaUpdates(ticket, 'on_hold', wallClock, at('09:30'))).toEqual({ sla_paused_at: at('09:30') });
+  });
+
+  it('moves the due dates by the time spent paused', () => {
+    const paused = { ...ticket, status: 'pending', sla_paused_at: at('09:30'), sla_paused_minutes: 10 };
+
+    expect(getStatusSlaUpdates(paused, 'open', wallClock, at('10:15'))).toEqual({
+      sla_paused_at: null,
+      sla_paused_minutes: 55,
+      first_response_due_at: at('10:45'),
+      resolution_due_at: at('13:45')
+    });
+  });
+
+  it('keeps the first-response target once it is met', () => {
+    const paused = { ...ticket, status: 'pending', sla_paused_at: at('09:30'), first_responded_at: at('09:15') };
+
+    expect(getStatusSlaUpdates(paused, 'open', wallClock, at('10:00'))).not.toHaveProperty('first_response_due_at');
+  });
+
+  it('records a resolution within the target', () => {
+    expect(getStatusSlaUpdates(ticket, 'resolved', wallClock, at('12:00'))).toEqual({
+      resolved_at: at('12:00'),
+      resolution_breached: false,
+      sla_paused_at: at('12:00')
+    });
+  });
+
+  it('records a late resolution as breached', () => {
+    expect(getStatusSlaUpdates(ticket, 'resolved', wallClock, at('14:00')).resolution_breached).toBe(true);
+  });
+
+  it('does not count paused time against the resolution target', () => {
+    const paused = { ...ticket, status: 'on_hold', sla_paused_at: at('12:00') };
+
+    expect(getStatusSlaUpdates(paused, 'resolved', wallClock, at('14:00')).resolution_breached).toBe(false);
+  });
+
+  it('clears the resolution when a ticket is reopened', () => {
+    const resolved = { ...ticket, status: 'resolved', resolved_at: at('12:00'), sla_paused_at: at('12:00') };
+    const updates = getStatusSlaUpdates(resolved, 'open', wallClock, at('12:30'));
+
+    expect(updates.resolved_at).toBeNull();
+    expect(updates.sla_paused_at).toBeNull();
+    expect(updates.resolution_due_at).toEqual(at('13:30'));
+  });
+});
+
+describe('getFirstResponseSlaUpdates', () => {
+  it('records a response within the target', () => {
+    expect(getFirstResponseSlaUpdates({ first_response_due_at: at('10:00') }, wallClock, at('09:45'))).toEqual({
+      first_responded_at: at('09:45'),
+      first_response_breached: false
+    });
+  });
+
+  it('records a late response as breached', () => {
+    expect(getFirstResponseSlaUpdates({ first_response_due_at: at('10:00') }, wallClock, at('10:05')))
+      .toHaveProperty('first_response_breached', true);
+  });
+
+  it('ignores later responses', () => {
+    expect(getFirstResponseSlaUpdates({ first_responded_at: at('09:45') }, wallClock, at('11:00'))).toEqual({});
+  });
+});
+
+describe('getSlaState', () => {
+  it('returns null for a ticket without a policy', () => {
+    expect(getSlaState({ sla_policy_id: null })).toBeNull();
+  });
+
+  it('reports an overdue target as breached', () => {
+    const state = getSlaState({
+      sla_policy_id: 'policy-1',
+      first_response_due_at: at('10:00'),
+      resolution_due_at: at('13:00')
+    }, wallClock, at('11:00'));
+
+    expect(state.first_response).toEqual({ due_at: at('10:00').toISOString(), completed_at: null, breached: true });
+    expect(state.resolution.breached).toBe(false);
+  });
+
+  it('extends the due dates of a paused ticket and never reports it breached', () => {
+    const state = getSlaState({
+      sla_policy_id: 'policy-1',
+      sla_paused_at: at('09:30'),
+      first_response_due_at: at('10:00')
+    }, wallClock, at('11:00'));
+
+    expect(state.paused).toBe(true);
+    expect(state.first_response).toEqual({ due_at: at('11:30').toISOString(), completed_at: null, breached: false });
+  });
+});
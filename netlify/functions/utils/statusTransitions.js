@@ -0,0 +1,159 @@
+import { SLA_RESOLVED_STATUSES } from './sla';
+import { getOpenChildTickets } from './ticketLinks';
+
+/**
+ * Ticket status state machine
+ *
+ * Each organization can define its own transition table in
+ * ticket_status_transitions. Organizations without rows use the defaults
+ * below.
+ */
+
+// Values of the ticket_status enum
+export const TICKET_STATUSES = ['open', 'in_progress', 'on_hold', 'pending', 'resolved', 'archived'];
+
+// Values of the user_role enum
+export const USER_ROLES = ['superadmin', 'admin', 'agent', 'customer'];
+
+const STAFF_ROLES = ['superadmin', 'admin', 'agent'];
+const ADMIN_ROLES = ['superadmin', 'admin'];
+
+const transition = (fromStatus, toStatus, allowedRoles, requiresComment = false) => ({
+  from_status: fromStatus,
+  to_status: toStatus,
+  allowed_roles: allowedRoles,
+  requires_comment: requiresComment
+});
+
+export const DEFAULT_STATUS_TRANSITIONS = [
+  transition('open', 'in_progress', STAFF_ROLES),
+  transition('open', 'on_hold', STAFF_ROLES),
+  transition('open', 'pending', STAFF_ROLES),
+  transition('open', 'resolved', USER_ROLES),
+  transition('in_progress', 'open', STAFF_ROLES),
+  transition('in_progress', 'on_hold', STAFF_ROLES),
+  transition('in_progress', 'pending', STAFF_ROLES),
+  transition('in_progress', 'resolved', USER_ROLES),
+  transition('on_hold', 'open', STAFF_ROLES),
+  transition('on_hold', 'in_progress', STAFF_ROLES),
+  transition('on_hold', 'resolved', STAFF_ROLES),
+  transition('pending', 'open', USER_ROLES),
+  transition('pending', 'in_progress', STAFF_ROLES),
+  transition('pending', 'resolved', USER_ROLES),
+  transition('resolved', 'open', USER_ROLES, true),
+  transition('resolved', 'archived', STAFF_ROLES),
+  transition('archived', 'open', ADMIN_ROLES, true)
+];
+
+/**
+ * Get the status transition table of an organization
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Transition rows (defaults when none are configured)
+ */
+export async function getStatusTransitions(supabase, organizationId) {
+  if (!organizationId) {
+    return DEFAULT_STATUS_TRANSITIONS;
+  }
+
+  const { data, error } = await supabase
+    .from('ticket_status_transitions')
+    .select('*')
+    .eq('organization_id', organizationId);
+
+  if (error) throw error;
+
+  return data.length > 0 ? data : DEFAULT_STATUS_TRANSITIONS;
+}
+
+/**
+ * Check a status change against a transition table
+ * @param {Array} transitions - Transition rows
+ * @param {Object} change - { fromStatus, toStatus, role, hasComment }
+ * @returns {string|null} - Explanation of why the move is invalid, or null when allowed
+ */
+export function checkStatusTransition(transitions, { fromStatus, toStatus, role, hasComment }) {
+  if (!TICKET_STATUSES.includes(toStatus)) {
+    return `Unknown ticket status: ${toStatus}`;
+  }
+
+  if (fromStatus === toStatus) {
+    return null;
+  }
+
+  const rule = transitions.find(item => item.from_status === fromStatus && item.to_status === toStatus);
+
+  if (!rule) {
+    const allowedTargets = transitions
+      .filter(item => item.from_status === fromStatus)
+      .map(item => item.to_status);
+
+    return allowedTargets.length > 0
+      ? `Cannot move a ticket from ${fromStatus} to ${toStatus}. Allowed next statuses: ${allowedTargets.join(', ')}`
+      : `Cannot move a ticket out of ${fromStatus}`;
+  }
+
+  if (!rule.allowed_roles.includes(role)) {
+    return `The ${role || 'current'} role cannot move a ticket from ${fromStatus} to ${toStatus}`;
+  }
+
+  if (rule.requires_comment && !hasComment) {
+    return `A comment is required to move a ticket from ${fromStatus} to ${toStatus}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a status change against the organization's transition rules and open child tickets
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Current ticket row
+ * @param {string} status - New status
+ * @param {Object} actor - Result of getUserRole
+ * @param {boolean} hasComment - Whether a comment accompanies the change
+ * @param {boolean} force - Resolve even though child tickets are still open
+ * @returns {Promise<string|null>} - Explanation of why the change is invalid, or null when allowed
+ */
+export async function validateStatusChange(supabase, ticket, status, actor, hasComment, force = false) {
+  const transitions = await getStatusTransitions(supabase, ticket.organization_id);
+
+  const transitionError = checkStatusTransition(transitions, {
+    fromStatus: ticket.status,
+    toStatus: status,
+    role: actor?.role,
+    hasComment
+  });
+
+  if (transitionError || force || !SLA_RESOLVED_STATUSES.includes(status)) {
+    return transitionError;
+  }
+
+  const openChildren = await getOpenChildTickets(supabase, ticket.id);
+
+  return openChildren.length > 0
+    ? `Ticket has ${openChildren.length} open child ticket(s). Resolve them first or pass force to resolve anyway`
+    : null;
+}
+
+/**
+ * Validate a transition table payload
+ * @param {Array} transitions - [{ fromStatus, toStatus, allowedRoles, requiresComment }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateStatusTransitions(transitions) {
+  for (const item of transitions) {
+    if (!TICKET_STATUSES.includes(item.fromStatus) || !TICKET_STATUSES.includes(item.toStatus)) {
+      return `Invalid transition: ${item.fromStatus} to ${item.toStatus}`;
+    }
+
+    if (item.fromStatus === item.toStatus) {
+      return `A status cannot transition to itself: ${item.fromStatus}`;
+    }
+
+    if (!Array.isArray(item.allowedRoles) || item.allowedRoles.some(role => !USER_ROLES.includes(role))) {
+      return `Invalid roles for transition ${item.fromStatus} to ${item.toStatus}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_STATUS_TRANSITIONS, checkStatusTransition, validateStatusTransitions } from './statusTransitions';
+
+const check = change => checkStatusTransition(DEFAULT_STATUS_TRANSITIONS, { hasComment: false, ...change });
+
+describe('checkStatusTransition', () => {
+  it('allows a move the table lists for the role', () => {
+    expect(check({ fromStatus: 'open', toStatus: 'in_progress', role: 'agent' })).toBeNull();
+  });
+
+  it('allows keeping the same status', () => {
+    expect(check({ fromStatus: 'archived', toStatus: 'archived', role: 'customer' })).toBeNull();
+  });
+
+  it('rejects an unknown status', () => {
+    expect(check({ fromStatus: 'open', toStatus: 'closed', role: 'admin' })).toBe('Unknown ticket status: closed');
+  });
+
+  it('lists the allowed next statuses for a move the table does not have', () => {
+    expect(check({ fromStatus: 'on_hold', toStatus: 'pending', role: 'admin' }))
+      .toBe('Cannot move a ticket from on_hold to pending. Allowed next statuses: open, in_progress, resolved');
+  });
+
+  it('rejects a status with no way out', () => {
+    const transitions = DEFAULT_STATUS_TRANSITIONS.filter(item => item.from_status !== 'archived');
+
+    expect(checkStatusTransition(transitions, { fromStatus: 'archived', toStatus: 'open', role: 'admin' }))
+      .toBe('Cannot move a ticket out of archived');
+  });
+
+  it('rejects a role the move is not open to', () => {
+    expect(check({ fromStatus: 'open', toStatus: 'on_hold', role: 'customer' }))
+      .toBe('The customer role cannot move a ticket from open to on_hold');
+  });
+
+  it('requires a comment where the table asks for one', () => {
+    expect(check({ fromStatus: 'resolved', toStatus: 'open', role: 'customer' }))
+      .toBe('A comment is required to move a ticket from resolved to open');
+    expect(check({ fromStatus: 'resolved', toStatus: 'open', role: 'customer', hasComment: true })).toBeNull();
+  });
+});
+
+describe('validateStatusTransitions', () => {
+  const valid = { fromStatus: 'open', toStatus: 'resolved', allowedRoles: ['agent'] };
+
+  it('accepts a valid table', () => {
+    expect(validateStatusTransitions([valid])).toBeNull();
+  });
+
+  it('rejects unknown statuses and moves to the same status', () => {
+    expect(validateStatusTransitions([{ ...valid, toStatus: 'closed' }])).toBe('Invalid transition: open to closed');
+    expect(validateStatusTransitions([{ ...valid, toStatus: 'open' }])).toBe('A status cannot transition to itself: open');
+  });
+
+  it('rejects unknown roles', () => {
+    expect(validateStatusTransitions([{ ...valid, allowedRoles: ['owner'] }]))
+      .toBe('Invalid roles for transition open to resolved');
+  });
+});
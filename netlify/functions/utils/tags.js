@@ -0,0 +1,100 @@
+/**
+ * Ticket tag helpers
+ *
+ * Tags belong to an organization and are attached to tickets through
+ * ticket_tags. Tag names are unique per organization, ignoring case.
+ */
+
+export const MAX_TAG_NAME_LENGTH = 50;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Validate a tag payload
+ * @param {Object} tag - { name, color }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateTag({ name, color }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Tag name is required';
+  }
+
+  if (name.trim().length > MAX_TAG_NAME_LENGTH) {
+    return `Tag names can be at most ${MAX_TAG_NAME_LENGTH} characters`;
+  }
+
+  if (color && !COLOR_PATTERN.test(color)) {
+    return 'Tag color must be a hex color such as #1f6feb';
+  }
+
+  return null;
+}
+
+/**
+ * Split a comma-separated list of tag IDs from a query string
+ * @param {string} value - Query parameter value
+ * @returns {Array} - Tag IDs
+ */
+export function parseTagIds(value) {
+  return (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+// The ticket_tags joins behind a set of tag filters: one join for "any of these
+// tags", one per tag for tagMatch=all, and an anti-join for excluded tags
+function getTagFilterJoins({ tags, excludeTags, tagMatch }) {
+  const includeIds = parseTagIds(tags);
+  const excludeIds = parseTagIds(excludeTags);
+  const joins = [];
+
+  if (includeIds.length > 0) {
+    const groups = tagMatch === 'all' ? [...new Set(includeIds)].map(id => [id]) : [includeIds];
+
+    groups.forEach((tagIds, index) => {
+      joins.push({ alias: `tag_filter_${index}`, tagIds, exclude: false });
+    });
+  }
+
+  if (excludeIds.length > 0) {
+    joins.push({ alias: 'tag_filter_excluded', tagIds: excludeIds, exclude: true });
+  }
+
+  return joins;
+}
+
+/**
+ * Get the embeds a tickets query needs for its tag filters
+ *
+ * The filters join ticket_tags within the tickets query instead of loading
+ * matching ticket IDs up front. The embeds select nothing, so the returned
+ * rows are unchanged.
+ * @param {Object} filters - { tags, excludeTags, tagMatch } query parameters
+ * @returns {string} - Select fragment to append to the tickets columns
+ */
+export function getTagFilterSelect(filters) {
+  return getTagFilterJoins(filters)
+    .map(join => `, ${join.alias}:ticket_tags${join.exclude ? '' : '!inner'}()`)
+    .join('');
+}
+
+/**
+ * Apply include/exclude tag filters to a tickets query
+ *
+ * The query must select the embeds from getTagFilterSelect.
+ * @param {Object} query - Supabase query on tickets
+ * @param {Object} filters - { tags, excludeTags, tagMatch } query parameters
+ * @returns {Object} - Filtered query
+ */
+export function applyTagFilters(query, filters) {
+  for (const join of getTagFilterJoins(filters)) {
+    query = query.in(`${join.alias}.tag_id`, join.tagIds);
+
+    if (join.exclude) {
+      query = query.is(join.alias, null);
+    }
+  }
+
+  return query;
+}
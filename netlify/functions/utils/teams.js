@@ -0,0 +1,121 @@
+/**
+ * Agent teams
+ *
+ * Teams group an organization's agents, with an optional team lead. A
+ * ticket can be assigned to a team (assigned_team_id) as well as to an
+ * agent; a team's unassigned tickets form its queue.
+ */
+
+/**
+ * Validate a team payload
+ * @param {Object} team - { name }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateTeam({ name }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Team name is required';
+  }
+
+  if (name.trim().length > 100) {
+    return 'Team name can be at most 100 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Check that users can join an organization's teams (staff of that organization)
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizationId - Organization ID
+ * @param {Array} userIds - User IDs
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+export async function validateTeamMembers(supabase, organizationId, userIds) {
+  if (!Array.isArray(userIds) || userIds.some(userId => typeof userId !== 'string')) {
+    return 'Members must be a list of user IDs';
+  }
+
+  const uniqueIds = [...new Set(userIds)];
+
+  if (uniqueIds.length === 0) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .neq('role', 'customer')
+    .in('id', uniqueIds);
+
+  if (error) throw error;
+
+  return data.length === uniqueIds.length
+    ? null
+    : 'Team members must be agents of the team\'s organization';
+}
+
+/**
+ * Check that a ticket can be assigned to a team
+ * @param {Object} supabase - Supabase client
+ * @param {string} teamId - Team ID (null unassigns the team)
+ * @param {string} organizationId - The ticket's organization
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+export async function validateTeamAssignment(supabase, teamId, organizationId) {
+  if (teamId === undefined || teamId === null) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('teams')
+    .select('id')
+    .eq('id', teamId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data ? null : 'Tickets can only be assigned to teams of the ticket\'s organization';
+}
+
+/**
+ * Get the IDs of a team's members
+ * @param {Object} supabase - Supabase client
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>} - User IDs
+ */
+export async function getTeamMemberIds(supabase, teamId) {
+  const { data, error } = await supabase
+    .from('team_members')
+    .select('user_id')
+    .eq('team_id', teamId);
+
+  if (error) throw error;
+
+  return data.map(member => member.user_id);
+}
+
+/**
+ * Get the IDs of the teams a user belongs to or leads
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Team IDs
+ */
+export async function getUserTeamIds(supabase, userId) {
+  const { data: memberships, error } = await supabase
+    .from('team_members')
+    .select('team_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const { data: ledTeams, error: leadError } = await supabase
+    .from('teams')
+    .select('id')
+    .eq('lead_id', userId);
+
+  if (leadError) throw leadError;
+
+  return [...new Set([...memberships.map(member => member.team_id), ...ledTeams.map(team => team.id)])];
+}
@@ -0,0 +1,98 @@
+/**
+ * Placeholder templates for replies
+ *
+ * Templates use {{path.to.value}} placeholders, e.g. {{customer.first_name}}
+ * or {{ticket.number}}, filled in from a context built from the ticket and
+ * the people involved.
+ */
+
+const PLACEHOLDER_PATTERN = /{{\s*([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*)\s*}}/g;
+
+const fullName = person => [person?.first_name, person?.last_name].filter(Boolean).join(' ');
+
+/**
+ * Fill in the placeholders of a template
+ *
+ * Placeholders without a value are replaced with an empty string so
+ * customers never see raw template syntax.
+ * @param {string} template - Template text
+ * @param {Object} context - Nested values, e.g. { customer: { first_name } }
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+    const value = path.split('.').reduce((current, key) => current?.[key], context);
+
+    return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+  });
+}
+
+/**
+ * List the placeholder paths a template uses
+ * @param {string} template - Template text
+ * @returns {Array} - Paths such as 'ticket.number', without duplicates
+ */
+export function getTemplatePlaceholders(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Build the placeholder context for a reply on a ticket
+ * @param {Object} records - { ticket, customer, agent, organization } rows (any may be missing)
+ * @returns {Object} - Template context
+ */
+export function buildTemplateContext({ ticket, customer, agent, organization }) {
+  return {
+    customer: {
+      first_name: customer?.first_name,
+      last_name: customer?.last_name,
+      name: fullName(customer),
+      email: customer?.email
+    },
+    agent: {
+      first_name: agent?.first_name,
+      last_name: agent?.last_name,
+      name: fullName(agent),
+      email: agent?.email
+    },
+    ticket: {
+      id: ticket?.id,
+      number: ticket?.ticket_ref || ticket?.ticket_number,
+      title: ticket?.title,
+      status: ticket?.status,
+      priority: ticket?.priority,
+      category: ticket?.category
+    },
+    organization: {
+      name: organization?.name
+    }
+  };
+}
+
+/**
+ * Load the records behind a ticket's template context
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row
+ * @param {Object} agent - Profile of the person replying
+ * @returns {Promise<Object>} - Template context
+ */
+export async function getTicketTemplateContext(supabase, ticket, agent) {
+  const { data: customer } = await supabase
+    .from('users')
+    .select('first_name, last_name, email')
+    .eq('id', ticket.created_by)
+    .maybeSingle();
+
+  const { data: organization } = await supabase
+    .from('organizations')
+    .select('name')
+    .eq('id', ticket.organization_id)
+    .maybeSingle();
+
+  // Requesters who wrote in by email may have no account
+  const requester = customer || (ticket.requester_email
+    ? { first_name: ticket.requester_name, email: ticket.requester_email }
+    : null);
+
+  return buildTemplateContext({ ticket, customer: requester, agent, organization });
+}
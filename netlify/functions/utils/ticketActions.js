@@ -0,0 +1,352 @@
+import { TICKET_PRIORITIES, getSlaPolicy, computeSlaTargets, getStatusSlaUpdates, getFirstResponseSlaUpdates } from './sla';
+import { getBusinessClock } from './businessHours';
+import { TICKET_STATUSES, validateStatusChange } from './statusTransitions';
+import { diffTicketFields } from './ticketHistory';
+import { renderTemplate, getTicketTemplateContext } from './templates';
+import { renderMarkdown } from './markdown';
+import { pickAssignee, validateAssignee } from './assignment';
+import { validateTeamAssignment } from './teams';
+import { getOrganizationStaffIds } from './access';
+import { notifyTicketChanges, notifyTicketResponse } from './emailNotifications';
+
+/**
+ * Bundled ticket actions
+ *
+ * Macros and automation rules store a list of actions such as
+ * [{ type: 'set_status', value: 'pending' }]. applyTicketActions works out
+ * every change up front, validates it, and then writes the ticket, tags,
+ * responses, notifications and timeline events in one database transaction
+ * so either everything applies or nothing does.
+ */
+
+export const TICKET_ACTION_TYPES = [
+  'set_status',
+  'set_priority',
+  'set_category',
+  'add_tags',
+  'remove_tags',
+  'assign',
+  'auto_assign',
+  'assign_team',
+  'add_internal_note',
+  'add_public_response',
+  'notify'
+];
+
+// Who a notify action can address, besides a specific user ID
+export const NOTIFY_RECIPIENTS = ['assignee', 'requester'];
+
+const isTextValue = value => typeof value === 'string' && value.trim().length > 0;
+const isIdList = value => Array.isArray(value) && value.length > 0 && value.every(isTextValue);
+
+/**
+ * Validate a list of actions
+ * @param {Array} actions - [{ type, value }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateTicketActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return 'At least one action is required';
+  }
+
+  for (const action of actions) {
+    const { type, value } = action || {};
+
+    if (!TICKET_ACTION_TYPES.includes(type)) {
+      return `Action type must be one of: ${TICKET_ACTION_TYPES.join(', ')}`;
+    }
+
+    const valid = {
+      set_status: () => TICKET_STATUSES.includes(value),
+      set_priority: () => TICKET_PRIORITIES.includes(value),
+      set_category: () => isTextValue(value),
+      add_tags: () => isIdList(value),
+      remove_tags: () => isIdList(value),
+      // null unassigns the ticket
+      assign: () => value === null || isTextValue(value),
+      // Routes by the organization's assignment mode and the skills the ticket needs
+      auto_assign: () => true,
+      // null removes the team
+      assign_team: () => value === null || isTextValue(value),
+      add_internal_note: () => isTextValue(value),
+      add_public_response: () => isTextValue(value),
+      // { recipients: ['assignee', 'requester', <user ID>], message }
+      notify: () => isIdList(value?.recipients) && isTextValue(value?.message)
+    }[type]();
+
+    if (!valid) {
+      return `Invalid value for action ${type}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fold a list of actions into the changes they make (later actions win)
+ * @param {Array} actions - Validated actions
+ * @returns {Object} - { fields, autoAssign, addTagIds, removeTagIds, notes, responses, notifications }
+ */
+export function planTicketActions(actions) {
+  const plan = {
+    fields: {},
+    autoAssign: false,
+    addTagIds: new Set(),
+    removeTagIds: new Set(),
+    notes: [],
+    responses: [],
+    notifications: []
+  };
+
+  for (const { type, value } of actions) {
+    switch (type) {
+      case 'set_status':
+        plan.fields.status = value;
+        break;
+      case 'set_priority':
+        plan.fields.priority = value;
+        break;
+      case 'set_category':
+        plan.fields.category = value.trim();
+        break;
+      case 'assign':
+        plan.fields.assigned_to = value;
+        plan.autoAssign = false;
+        break;
+      case 'assign_team':
+        plan.fields.assigned_team_id = value;
+        break;
+      case 'auto_assign':
+        delete plan.fields.assigned_to;
+        plan.autoAssign = true;
+        break;
+      case 'add_tags':
+        value.forEach(tagId => {
+          plan.addTagIds.add(tagId);
+          plan.removeTagIds.delete(tagId);
+        });
+        break;
+      case 'remove_tags':
+        value.forEach(tagId => {
+          plan.removeTagIds.add(tagId);
+          plan.addTagIds.delete(tagId);
+        });
+        break;
+      case 'add_internal_note':
+        plan.notes.push(value);
+        break;
+      case 'add_public_response':
+        plan.responses.push(value);
+        break;
+      case 'notify':
+        plan.notifications.push(value);
+        break;
+    }
+  }
+
+  return {
+    ...plan,
+    addTagIds: [...plan.addTagIds],
+    removeTagIds: [...plan.removeTagIds]
+  };
+}
+
+/**
+ * Validate and apply a list of actions to a ticket in one transaction
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row with its tags embedded
+ * @param {Array} actions - Validated actions
+ * @param {Object} options - { actor, actorFields, force, checkTransitions, touchTicket, eventType, details };
+ *   checkTransitions=false skips the role-based transition rules (automations act as the system);
+ *   touchTicket=false leaves updated_at alone; eventType and details describe the timeline entry
+ * @returns {Promise<Object>} - { events } on success, or { error, statusCode }
+ */
+export async function applyTicketActions(supabase, ticket, actions, options) {
+  const {
+    actor,
+    actorFields,
+    force = false,
+    checkTransitions = true,
+    touchTicket = true,
+    eventType = 'actions_applied',
+    details = {}
+  } = options;
+  const plan = planTicketActions(actions);
+  const fields = { ...plan.fields };
+  const now = new Date();
+
+  // Tags must belong to the ticket's organization
+  const tagIds = [...plan.addTagIds, ...plan.removeTagIds];
+  let tags = [];
+
+  if (tagIds.length > 0) {
+    const { data, error } = await supabase
+      .from('tags')
+      .select('id, name')
+      .eq('organization_id', ticket.organization_id)
+      .in('id', tagIds);
+
+    if (error) throw error;
+
+    if (data.length !== tagIds.length) {
+      return { statusCode: 400, error: 'Tags must belong to the ticket\'s organization' };
+    }
+
+    tags = data;
+  }
+
+  // Routing looks at the category, tags and team the ticket will have after these actions
+  if (plan.autoAssign) {
+    const tagIdsAfter = (ticket.tags || [])
+      .map(tag => tag.id)
+      .filter(tagId => !plan.removeTagIds.includes(tagId))
+      .concat(plan.addTagIds);
+    const assignment = await pickAssignee(supabase, ticket.organization_id, {
+      category: fields.category || ticket.category,
+      tagIds: [...new Set(tagIdsAfter)],
+      teamId: fields.assigned_team_id !== undefined ? fields.assigned_team_id : ticket.assigned_team_id
+    });
+
+    if (assignment) {
+      fields.assigned_to = assignment.agent.id;
+    }
+  }
+
+  const teamError = await validateTeamAssignment(supabase, fields.assigned_team_id, ticket.organization_id);
+
+  if (teamError) {
+    return { statusCode: 400, error: teamError };
+  }
+
+  const assigneeError = await validateAssignee(supabase, fields.assigned_to, ticket.organization_id);
+
+  if (assigneeError) {
+    return { statusCode: 400, error: assigneeError };
+  }
+
+  // Notify actions can also name people directly, who must be staff of the ticket's organization
+  const notifyUserIds = [...new Set(plan.notifications
+    .flatMap(({ recipients }) => recipients)
+    .filter(recipient => !NOTIFY_RECIPIENTS.includes(recipient)))];
+
+  if (notifyUserIds.length > 0) {
+    const staffIds = await getOrganizationStaffIds(supabase, ticket.organization_id, notifyUserIds);
+
+    if (notifyUserIds.some(userId => !staffIds.has(userId))) {
+      return { statusCode: 400, error: 'Notifications can only go to staff of the ticket\'s organization' };
+    }
+  }
+
+  const statusChanged = !!fields.status && fields.status !== ticket.status;
+
+  // A note or response added by the same actions counts as the comment
+  if (statusChanged && checkTransitions) {
+    const hasComment = plan.notes.length > 0 || plan.responses.length > 0;
+    const transitionError = await validateStatusChange(supabase, ticket, fields.status, actor, hasComment, force);
+
+    if (transitionError) {
+      return { statusCode: 409, error: transitionError };
+    }
+  }
+
+  // SLA columns follow the same rules as single updates
+  const clock = await getBusinessClock(supabase, ticket.organization_id);
+  let slaTicket = ticket;
+
+  if (fields.priority && fields.priority !== ticket.priority) {
+    const slaTargets = computeSlaTargets(await getSlaPolicy(supabase, ticket.organization_id, fields.priority), ticket, clock);
+
+    Object.assign(fields, slaTargets);
+    slaTicket = { ...ticket, ...slaTargets };
+  }
+
+  // Only a public reply from a person on staff meets the first-response target; automations do not
+  if (plan.responses.length > 0 && actor && actor.role !== 'customer') {
+    Object.assign(fields, getFirstResponseSlaUpdates(slaTicket, clock, now));
+  }
+
+  if (statusChanged) {
+    Object.assign(fields, getStatusSlaUpdates({ ...slaTicket, ...fields, status: ticket.status }, fields.status, clock, now));
+  }
+
+  const templateContext = await getTicketTemplateContext(supabase, ticket, actor?.profile);
+  const existingTagIds = new Set((ticket.tags || []).map(tag => tag.id));
+  const tagName = tagId => tags.find(tag => tag.id === tagId).name;
+
+  const addTagIds = plan.addTagIds.filter(tagId => !existingTagIds.has(tagId));
+  const removeTagIds = plan.removeTagIds.filter(tagId => existingTagIds.has(tagId));
+
+  const responses = [
+    ...plan.notes.map(content => ({ content, is_internal: true })),
+    ...plan.responses.map(content => ({ content, is_internal: false }))
+  ].map(response => {
+    const content = renderTemplate(response.content, templateContext);
+
+    return {
+      ...response,
+      content,
+      content_html: renderMarkdown(content),
+      created_by: actorFields.actor_id,
+      created_by_name: actorFields.actor_name,
+      created_by_role: actorFields.actor_role
+    };
+  });
+
+  // Notifications go to the assignee after these changes
+  const assigneeId = fields.assigned_to !== undefined ? fields.assigned_to : ticket.assigned_to;
+  const notifications = plan.notifications.flatMap(({ recipients, message }) => {
+    const userIds = recipients
+      .map(recipient => ({ assignee: assigneeId, requester: ticket.created_by }[recipient] ?? recipient))
+      .filter(Boolean);
+
+    return [...new Set(userIds)].map(userId => ({
+      organization_id: ticket.organization_id,
+      user_id: userId,
+      ticket_id: ticket.id,
+      type: 'ticket',
+      title: ticket.title,
+      message: renderTemplate(message, templateContext)
+    }));
+  });
+
+  const events = [
+    { event_type: eventType, details: { ...details, action_count: actions.length } },
+    ...diffTicketFields(ticket, fields),
+    ...addTagIds.map(tagId => ({ event_type: 'tag_added', new_value: tagName(tagId), details: { tag_id: tagId } })),
+    ...removeTagIds.map(tagId => ({ event_type: 'tag_removed', old_value: tagName(tagId), details: { tag_id: tagId } }))
+  ].map(item => ({
+    organization_id: ticket.organization_id,
+    field: null,
+    old_value: null,
+    new_value: null,
+    details: null,
+    ...item,
+    ...actorFields,
+    created_at: now
+  }));
+
+  const { error } = await supabase.rpc('apply_ticket_changes', {
+    target_ticket_id: ticket.id,
+    changes: {
+      ticket: touchTicket ? { ...fields, updated_at: now } : fields,
+      add_tag_ids: addTagIds,
+      remove_tag_ids: removeTagIds,
+      tagged_by: actorFields.actor_id,
+      responses,
+      notifications,
+      events
+    }
+  });
+
+  if (error) throw error;
+
+  // Email goes out once the changes are committed
+  const updatedTicket = { ...ticket, ...fields };
+  await notifyTicketChanges(supabase, ticket, updatedTicket, actorFields.actor_id);
+
+  for (const response of responses) {
+    await notifyTicketResponse(supabase, updatedTicket, response);
+  }
+
+  return { events };
+}
@@ -0,0 +1,95 @@
+/**
+ * Ticket timeline helpers
+ *
+ * Every change to a ticket is stored in ticket_events with the old value,
+ * the new value and who made the change.
+ */
+
+// Ticket columns whose changes are recorded on the timeline
+export const TRACKED_FIELDS = ['status', 'priority', 'category', 'assigned_to', 'assigned_team_id', 'title', 'description'];
+
+// What the requester sees of the timeline; assignments, tags, escalations and internal activity are for staff
+const CUSTOMER_VISIBLE_EVENTS = ['created', 'merged_in', 'merged_into', 'split_out', 'attachment_added', 'attachment_removed'];
+const CUSTOMER_VISIBLE_FIELDS = ['status', 'priority', 'title', 'description'];
+
+const toEventValue = value => (value === undefined || value === null ? null : String(value));
+
+/**
+ * Build field-change events for the differences between two ticket versions
+ * @param {Object} before - Ticket before the change
+ * @param {Object} after - Updated columns (undefined columns are left alone)
+ * @returns {Array} - Events for recordTicketEvents
+ */
+export function diffTicketFields(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => after[field] !== undefined && toEventValue(after[field]) !== toEventValue(before[field]))
+    .map(field => ({
+      event_type: 'field_changed',
+      field,
+      old_value: toEventValue(before[field]),
+      new_value: toEventValue(after[field])
+    }));
+}
+
+/**
+ * Limit a ticket's timeline to the events its requester may see
+ * @param {Array} events - ticket_events rows
+ * @param {Set} internalResponseIds - IDs of the ticket's internal notes
+ * @returns {Array}
+ */
+export function getCustomerVisibleEvents(events, internalResponseIds) {
+  return events.filter(item => {
+    if (item.event_type === 'field_changed') {
+      return CUSTOMER_VISIBLE_FIELDS.includes(item.field);
+    }
+
+    return CUSTOMER_VISIBLE_EVENTS.includes(item.event_type) &&
+      !internalResponseIds.has(item.details?.response_id);
+  });
+}
+
+/**
+ * Describe who made a change
+ * @param {string} userId - Auth user ID (null for system changes)
+ * @param {Object} actor - Result of getUserRole
+ * @returns {Object} - actor_* columns
+ */
+export function getActorFields(userId, actor) {
+  return {
+    actor_id: userId || null,
+    actor_name: actor ? `${actor.profile.first_name} ${actor.profile.last_name}` : 'System',
+    actor_role: actor?.role || null
+  };
+}
+
+/**
+ * Store timeline events for a ticket
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row (id and organization_id)
+ * @param {Array} events - [{ event_type, field, old_value, new_value, details }]
+ * @param {Object} actorFields - Result of getActorFields
+ * @returns {Promise}
+ */
+export async function recordTicketEvents(supabase, ticket, events, actorFields) {
+  if (events.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+
+  const { error } = await supabase
+    .from('ticket_events')
+    .insert(events.map(item => ({
+      ticket_id: ticket.id,
+      organization_id: ticket.organization_id,
+      event_type: item.event_type,
+      field: item.field || null,
+      old_value: item.old_value ?? null,
+      new_value: item.new_value ?? null,
+      details: item.details || null,
+      ...actorFields,
+      created_at: now
+    })));
+
+  if (error) throw error;
+}
@@ -0,0 +1,194 @@
+import { SLA_RESOLVED_STATUSES } from './sla';
+
+/**
+ * Ticket relationship helpers
+ *
+ * A ticket_links row points from a source ticket to a target ticket:
+ * "parent" means the source is the parent of the target, "blocks" means the
+ * source blocks the target and "related" has no direction. The API talks in
+ * terms of the ticket being viewed, so each stored type has a label for
+ * either end of the link.
+ */
+
+// Values of the ticket_link_type enum
+export const LINK_TYPES = ['parent', 'blocks', 'related'];
+
+// How a link reads from the source and from the target ticket
+const LINK_LABELS = {
+  parent: { source: 'child', target: 'parent' },
+  blocks: { source: 'blocks', target: 'blocked_by' },
+  related: { source: 'related', target: 'related' }
+};
+
+// Relationship names accepted by the API
+export const LINK_RELATIONS = ['parent', 'child', 'blocks', 'blocked_by', 'related'];
+
+const LINKED_TICKET_COLUMNS = 'id, title, status, priority, assigned_to';
+
+/**
+ * Convert a relationship seen from one ticket into a ticket_links row
+ *
+ * For example "ticket A has parent B" is stored as B -parent-> A.
+ * @param {string} ticketId - Ticket the relationship is described from
+ * @param {string} otherTicketId - Linked ticket
+ * @param {string} relation - One of LINK_RELATIONS
+ * @returns {Object|null} - { source_ticket_id, target_ticket_id, link_type }, or null for an unknown relation
+ */
+export function toLinkRow(ticketId, otherTicketId, relation) {
+  for (const [linkType, labels] of Object.entries(LINK_LABELS)) {
+    if (labels.source === relation) {
+      return { source_ticket_id: ticketId, target_ticket_id: otherTicketId, link_type: linkType };
+    }
+
+    if (labels.target === relation) {
+      return { source_ticket_id: otherTicketId, target_ticket_id: ticketId, link_type: linkType };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a ticket_links row from one end of the link
+ * @param {string} ticketId - Ticket the link is described from
+ * @param {Object} link - ticket_links row with source and target tickets embedded
+ * @returns {Object} - { id, relation, ticket, createdAt }
+ */
+export function describeLink(ticketId, link) {
+  const isSource = link.source_ticket_id === ticketId;
+
+  return {
+    id: link.id,
+    relation: LINK_LABELS[link.link_type][isSource ? 'source' : 'target'],
+    ticket: isSource ? link.target : link.source,
+    createdAt: link.created_at
+  };
+}
+
+/**
+ * Get every link of a ticket, described from that ticket
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Array>} - Described links
+ */
+export async function getTicketLinks(supabase, ticketId) {
+  const { data, error } = await supabase
+    .from('ticket_links')
+    .select(`
+      *,
+      source:source_ticket_id(${LINKED_TICKET_COLUMNS}),
+      target:target_ticket_id(${LINKED_TICKET_COLUMNS})
+    `)
+    .or(`source_ticket_id.eq.${ticketId},target_ticket_id.eq.${ticketId}`)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data.map(link => describeLink(ticketId, link));
+}
+
+/**
+ * Get the IDs of the tickets linked to a ticket
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Ticket ID
+ * @param {string} relation - Only links of this relation (seen from ticketId), or all links
+ * @returns {Promise<Array>} - Ticket IDs
+ */
+export async function getLinkedTicketIds(supabase, ticketId, relation) {
+  const links = await getTicketLinks(supabase, ticketId);
+
+  return links
+    .filter(link => !relation || link.relation === relation)
+    .map(link => link.ticket.id);
+}
+
+// Links pointing at a ticket as their target, which is the child for parent links
+const PARENT_LINK_JOIN = 'parent_link:ticket_links!target_ticket_id';
+
+/**
+ * Get the embed a tickets query needs for a hasParent filter
+ *
+ * The filter joins ticket_links within the tickets query instead of loading
+ * the IDs of every child ticket up front. The embed selects nothing.
+ * @param {string} hasParent - 'true' or 'false' (anything else means no filter)
+ * @returns {string} - Select fragment to append to the tickets columns
+ */
+export function getParentFilterSelect(hasParent) {
+  if (hasParent === 'true') {
+    return `, ${PARENT_LINK_JOIN}!inner()`;
+  }
+
+  return hasParent === 'false' ? `, ${PARENT_LINK_JOIN}()` : '';
+}
+
+/**
+ * Keep only tickets that have a parent, or only those that do not
+ *
+ * The query must select the embed from getParentFilterSelect.
+ * @param {Object} query - Supabase query on tickets
+ * @param {string} hasParent - 'true' or 'false' (anything else means no filter)
+ * @returns {Object} - Filtered query
+ */
+export function applyParentFilter(query, hasParent) {
+  if (hasParent !== 'true' && hasParent !== 'false') {
+    return query;
+  }
+
+  query = query.eq('parent_link.link_type', 'parent');
+
+  return hasParent === 'false' ? query.is('parent_link', null) : query;
+}
+
+/**
+ * Get the children of a ticket that are not resolved yet
+ * @param {Object} supabase - Supabase client
+ * @param {string} ticketId - Parent ticket ID
+ * @returns {Promise<Array>} - Child tickets
+ */
+export async function getOpenChildTickets(supabase, ticketId) {
+  const { data, error } = await supabase
+    .from('ticket_links')
+    .select(`child:target_ticket_id(${LINKED_TICKET_COLUMNS})`)
+    .eq('source_ticket_id', ticketId)
+    .eq('link_type', 'parent');
+
+  if (error) throw error;
+
+  return data
+    .map(link => link.child)
+    .filter(child => child && !SLA_RESOLVED_STATUSES.includes(child.status));
+}
+
+/**
+ * Check that a new parent link does not make a ticket its own ancestor
+ * @param {Object} supabase - Supabase client
+ * @param {string} parentId - Proposed parent ticket ID
+ * @param {string} childId - Proposed child ticket ID
+ * @returns {Promise<boolean>} - True when the link would create a cycle
+ */
+export async function createsParentCycle(supabase, parentId, childId) {
+  const visited = new Set();
+  let currentId = parentId;
+
+  // Walk up from the proposed parent; reaching the child means a loop
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === childId) {
+      return true;
+    }
+
+    visited.add(currentId);
+
+    const { data, error } = await supabase
+      .from('ticket_links')
+      .select('source_ticket_id')
+      .eq('target_ticket_id', currentId)
+      .eq('link_type', 'parent')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    currentId = data?.source_ticket_id;
+  }
+
+  return false;
+}
@@ -0,0 +1,209 @@
+import { SLA_PAUSED_STATUSES, getSlaPolicy, computeSlaTargets } from './sla';
+import { getBusinessCalendars, createBusinessClock, formatInTimeZone } from './businessHours';
+import { recordTicketEvents } from './ticketHistory';
+import { pickAssignee } from './assignment';
+import { renderMarkdown } from './markdown';
+
+/**
+ * Ticket helpers shared by the functions that create and look up tickets
+ */
+
+export const UUID_PATTERN = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+// Ticket numbers with an optional organization prefix, e.g. 1042 or ACME-1042
+const TICKET_REFERENCE_PATTERN = /^(?:([A-Za-z][A-Za-z0-9]{1,9})-)?(\d+)$/;
+
+const TICKET_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+const DEFAULT_AUTO_REPLY_MESSAGE = 'Thanks for contacting us. We have received your request (ticket {{ticket_number}}) and will get back to you by {{first_response_due}}.';
+
+/**
+ * Check whether a path segment identifies a ticket (UUID or ticket number)
+ * @param {string} value - Path segment
+ * @returns {boolean}
+ */
+export function isTicketIdentifier(value) {
+  return UUID_PATTERN.test(value) || TICKET_REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * Parse a ticket number or prefixed ticket reference
+ * @param {string} value - Text such as 1042, #1042 or ACME-1042
+ * @returns {Object|null} - { ref, number } (ref is null for bare numbers), or null
+ */
+export function parseTicketReference(value) {
+  const match = value.trim().replace(/^#/, '').match(TICKET_REFERENCE_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    ref: match[1] ? `${match[1].toUpperCase()}-${parseInt(match[2], 10)}` : null,
+    number: parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Format the token that ties an email subject to a ticket, e.g. [#ACME-1042]
+ * @param {Object} ticket - Ticket row
+ * @returns {string}
+ */
+export function formatTicketToken(ticket) {
+  return `[#${ticket.ticket_ref || ticket.ticket_number}]`;
+}
+
+/**
+ * Resolve a UUID, ticket number or prefixed ticket reference to a ticket ID
+ *
+ * Prefixed references such as ACME-1042 are unique across the platform.
+ * Bare numbers are only unique within an organization, so they need one.
+ * @param {Object} supabase - Supabase client
+ * @param {string} identifier - UUID, number or reference
+ * @param {string} organizationId - Organization for bare numbers
+ * @returns {Promise<string|null>} - Ticket ID, or null when nothing matches
+ */
+export async function resolveTicketId(supabase, identifier, organizationId) {
+  if (UUID_PATTERN.test(identifier)) {
+    return identifier;
+  }
+
+  const reference = parseTicketReference(identifier);
+
+  if (!reference || (!reference.ref && !organizationId)) {
+    return null;
+  }
+
+  let query = supabase
+    .from('tickets')
+    .select('id');
+
+  query = reference.ref
+    ? query.eq('ticket_ref', reference.ref)
+    : query.eq('organization_id', organizationId).eq('ticket_number', reference.number);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+
+  return data?.id || null;
+}
+
+/**
+ * Validate an organization ticket prefix
+ * @param {string} prefix - Prefix such as ACME (null removes the prefix)
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateTicketPrefix(prefix) {
+  if (prefix === undefined || prefix === null || prefix === '') {
+    return null;
+  }
+
+  return typeof prefix === 'string' && TICKET_PREFIX_PATTERN.test(prefix.toUpperCase())
+    ? null
+    : 'Ticket prefix must be 2-10 letters or digits, starting with a letter';
+}
+
+/**
+ * Insert a ticket with its SLA targets and a "created" timeline event
+ *
+ * Tickets without an assignee are assigned automatically when the
+ * organization has an assignment mode set.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} fields - Ticket columns
+ * @param {Object} actorFields - Result of getActorFields
+ * @param {Object} details - Extra details for the "created" event
+ * @returns {Promise} - { ticket, calendars }
+ */
+export async function createTicket(supabase, fields, actorFields, details = {}) {
+  const status = fields.status || 'open';
+  const priority = fields.priority || 'medium';
+  const now = new Date();
+
+  // Work out SLA targets from the organization's policy, in business time
+  const calendars = await getBusinessCalendars(supabase, fields.organization_id);
+  const clock = createBusinessClock(calendars);
+  const slaPolicy = await getSlaPolicy(supabase, fields.organization_id, priority);
+  const slaTargets = computeSlaTargets(slaPolicy, { created_at: now }, clock);
+
+  const assignment = fields.assigned_to ? null : await pickAssignee(supabase, fields.organization_id, {
+    category: fields.category || 'General',
+    teamId: fields.assigned_team_id
+  });
+  const assignedTo = fields.assigned_to || assignment?.agent.id || null;
+
+  const { data, error } = await supabase
+    .from('tickets')
+    .insert([{
+      ...fields,
+      description_html: renderMarkdown(fields.description),
+      assigned_to: assignedTo,
+      status,
+      priority,
+      category: fields.category || 'General',
+      created_at: now,
+      ...slaTargets,
+      sla_paused_at: SLA_PAUSED_STATUSES.includes(status) ? now : null
+    }])
+    .select();
+
+  if (error) throw error;
+
+  await recordTicketEvents(supabase, data[0], [{
+    event_type: 'created',
+    details: {
+      status,
+      priority,
+      assigned_to: assignedTo,
+      ...(assignment && { assignment_mode: assignment.mode }),
+      ...details
+    }
+  }], actorFields);
+
+  return { ticket: data[0], calendars };
+}
+
+/**
+ * Acknowledge a new ticket with the business-time first-response target
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ticket - Ticket row
+ * @param {Array} calendars - The organization's business calendars (from createTicket)
+ * @returns {Promise}
+ */
+export async function sendAutoReply(supabase, ticket, calendars) {
+  if (!ticket.organization_id) {
+    return;
+  }
+
+  const { data: organization } = await supabase
+    .from('organizations')
+    .select('auto_reply_enabled, auto_reply_message')
+    .eq('id', ticket.organization_id)
+    .single();
+
+  if (!organization?.auto_reply_enabled) {
+    return;
+  }
+
+  const timeZone = calendars[0]?.timezone || 'UTC';
+  const dueText = ticket.first_response_due_at
+    ? formatInTimeZone(ticket.first_response_due_at, timeZone)
+    : 'as soon as possible';
+  const message = (organization.auto_reply_message || DEFAULT_AUTO_REPLY_MESSAGE)
+    .replace(/{{\s*first_response_due\s*}}/g, dueText)
+    .replace(/{{\s*ticket_number\s*}}/g, ticket.ticket_ref || ticket.ticket_number);
+
+  const { error } = await supabase
+    .from('ticket_responses')
+    .insert([{
+      ticket_id: ticket.id,
+      content: message,
+      content_html: renderMarkdown(message),
+      is_internal: false,
+      created_by_name: 'Support'
+    }]);
+
+  if (error) {
+    console.error('Auto-reply error:', error);
+  }
+}
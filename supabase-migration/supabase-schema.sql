@@ -11,6 +11,8 @@ CREATE TYPE user_role AS ENUM ('superadmin', 'admin', 'agent', 'customer');
 CREATE TYPE subscription_status AS ENUM ('active', 'inactive', 'past_due', 'unpaid', 'trial');
 CREATE TYPE ticket_status AS ENUM ('open', 'in_progress', 'on_hold', 'pending', 'resolved', 'archived');
 CREATE TYPE ticket_priority AS ENUM ('low', 'medium', 'high', 'urgent');
+CREATE TYPE ticket_link_type AS ENUM ('parent', 'blocks', 'related');
+CREATE TYPE custom_field_type AS ENUM ('text', 'number', 'date', 'dropdown', 'multi_select', 'checkbox');
 
 -- Create tables
 
@@ -40,10 +42,28 @@ CREATE TABLE organizations (
   subscription_status subscription_status DEFAULT 'inactive',
   stripe_subscription_id TEXT,
   stripe_customer_id TEXT,
+  auto_reply_enabled BOOLEAN DEFAULT FALSE,
+  auto_reply_message TEXT,
+  ticket_prefix TEXT UNIQUE,
+  next_ticket_number INTEGER NOT NULL DEFAULT 1,
+  assignment_mode TEXT NOT NULL DEFAULT 'none' CHECK (assignment_mode IN ('none', 'round_robin', 'load_balanced')),
+  assignment_max_open_tickets INTEGER CHECK (assignment_max_open_tickets > 0),
+  assignment_last_agent_id UUID,
+  attachment_max_size_mb INTEGER NOT NULL DEFAULT 10 CHECK (attachment_max_size_mb BETWEEN 1 AND 50),
+  attachment_allowed_types TEXT[] NOT NULL DEFAULT ARRAY['image/*', 'text/*', 'application/pdf', 'application/json', 'application/zip', 'application/gzip'],
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Ticket prefixes each organization has used. Ticket references keep the prefix
+-- in use at creation, so a prefix stays with the organization that first took it
+-- even after it moves to another one.
+CREATE TABLE ticket_prefixes (
+  prefix TEXT PRIMARY KEY,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Admins table
 CREATE TABLE admins (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -79,6 +99,7 @@ CREATE TABLE users (
   organization_id UUID REFERENCES organizations(id),
   created_by UUID REFERENCES admins(id),
   status TEXT NOT NULL DEFAULT 'active',
+  availability TEXT NOT NULL DEFAULT 'available' CHECK (availability IN ('available', 'busy', 'away', 'offline')),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -114,19 +135,139 @@ CREATE TABLE organization_branding (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Business calendars table (working hours, time zone and holidays)
+-- hours: {"monday": [{"start": "09:00", "end": "17:00"}], ...}
+-- holidays: [{"date": "2024-12-25", "name": "Christmas Day"}]
+CREATE TABLE business_calendars (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  hours JSONB NOT NULL DEFAULT '{}'::jsonb,
+  holidays JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- SLA policies table (one per organization and priority)
+CREATE TABLE sla_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  priority ticket_priority NOT NULL,
+  first_response_minutes INTEGER,
+  resolution_minutes INTEGER,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, priority)
+);
+
+-- Teams table
+CREATE TABLE teams (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  lead_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Team members table
+CREATE TABLE team_members (
+  team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (team_id, user_id)
+);
+
+-- Out-of-office periods table (the agent counts as away while one runs)
+CREATE TABLE out_of_office (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  message TEXT,
+  reassign_tickets BOOLEAN NOT NULL DEFAULT false,
+  reassign_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  reassigned_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
 -- Tickets table
 CREATE TABLE tickets (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  ticket_number INTEGER,
+  ticket_ref TEXT,
   title TEXT NOT NULL,
   description TEXT NOT NULL,
+  -- Sanitized HTML rendered from the Markdown in description
+  description_html TEXT,
   status ticket_status NOT NULL DEFAULT 'open',
   priority ticket_priority NOT NULL DEFAULT 'medium',
   category TEXT NOT NULL DEFAULT 'General',
   created_by UUID REFERENCES users(id),
+  -- Tickets opened by email from someone without an account have no created_by
+  source TEXT NOT NULL DEFAULT 'portal' CHECK (source IN ('portal', 'email')),
+  requester_email TEXT,
+  requester_name TEXT,
   assigned_to UUID REFERENCES users(id),
+  assigned_team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
   organization_id UUID REFERENCES organizations(id),
+  sla_policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+  first_response_due_at TIMESTAMP WITH TIME ZONE,
+  resolution_due_at TIMESTAMP WITH TIME ZONE,
+  first_responded_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  first_response_breached BOOLEAN DEFAULT FALSE,
+  resolution_breached BOOLEAN DEFAULT FALSE,
+  sla_paused_at TIMESTAMP WITH TIME ZONE,
+  sla_paused_minutes INTEGER NOT NULL DEFAULT 0,
+  merged_into_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+  merged_at TIMESTAMP WITH TIME ZONE,
+  split_from_id UUID REFERENCES tickets(id) ON DELETE SET NULL,
+  split_from_response_id UUID,
+  custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_customer_reply_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, ticket_number)
+);
+
+-- Custom ticket fields table (values are stored in tickets.custom_fields by key;
+-- an empty categories list shows the field for every category)
+CREATE TABLE custom_fields (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  field_type custom_field_type NOT NULL,
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_required BOOLEAN DEFAULT FALSE,
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  order_index INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, key)
+);
+
+-- Ticket status transitions table (organizations without rows use the built-in defaults)
+CREATE TABLE ticket_status_transitions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  from_status ticket_status NOT NULL,
+  to_status ticket_status NOT NULL,
+  allowed_roles user_role[] NOT NULL DEFAULT ARRAY['superadmin', 'admin', 'agent']::user_role[],
+  requires_comment BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, from_status, to_status)
 );
 
 -- Ticket responses table
@@ -134,6 +275,8 @@ CREATE TABLE ticket_responses (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
   content TEXT NOT NULL,
+  -- Sanitized HTML rendered from the Markdown in content
+  content_html TEXT,
   is_internal BOOLEAN DEFAULT FALSE,
   created_by UUID,
   created_by_name TEXT,
@@ -142,15 +285,256 @@ CREATE TABLE ticket_responses (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Ticket events table (activity timeline)
+CREATE TABLE ticket_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id),
+  event_type TEXT NOT NULL,
+  field TEXT,
+  old_value TEXT,
+  new_value TEXT,
+  details JSONB,
+  actor_id UUID,
+  actor_name TEXT,
+  actor_role user_role,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ticket links table (source is the parent of / blocks / is related to target)
+CREATE TABLE ticket_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  source_ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  target_ticket_id UUID NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  link_type ticket_link_type NOT NULL,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (source_ticket_id, target_ticket_id, link_type),
+  CHECK (source_ticket_id <> target_ticket_id)
+);
+
+-- Canned responses table (personal to one agent when owner_id is set, otherwise shared)
+CREATE TABLE canned_responses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  owner_id UUID,
+  folder TEXT,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Macros table (actions is a list of { type, value } ticket actions)
+CREATE TABLE macros (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Automation rules table (rules run in order_index order on ticket events)
+CREATE TABLE automation_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  conditions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condition_match TEXT NOT NULL DEFAULT 'all' CHECK (condition_match IN ('all', 'any')),
+  actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  order_index INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Scheduled automation runs, one per organization each time the schedule fires
+CREATE TABLE automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  rules_checked INTEGER NOT NULL DEFAULT 0,
+  tickets_matched INTEGER NOT NULL DEFAULT 0,
+  actions_applied INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Each time a scheduled rule fired for a ticket (also keeps rules from firing twice)
+CREATE TABLE automation_executions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID REFERENCES automation_runs(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  rule_id UUID REFERENCES automation_rules(id) ON DELETE SET NULL,
+  rule_name TEXT NOT NULL,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Escalation policies table (levels: [{ minutes, notify, message, setPriority }])
+CREATE TABLE escalation_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  trigger TEXT NOT NULL CHECK (trigger IN ('idle', 'sla')),
+  priorities ticket_priority[] NOT NULL DEFAULT '{}',
+  levels JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Each escalation level that fired for a ticket
+CREATE TABLE ticket_escalations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  policy_id UUID REFERENCES escalation_policies(id) ON DELETE CASCADE,
+  level INTEGER NOT NULL,
+  reason TEXT,
+  notified_user_ids UUID[] NOT NULL DEFAULT '{}',
+  priority_changed_to ticket_priority,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Email messages table (inbound and outbound mail, for threading and redelivery checks)
+CREATE TABLE email_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  response_id UUID REFERENCES ticket_responses(id) ON DELETE SET NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  message_id TEXT NOT NULL,
+  in_reply_to TEXT,
+  from_address TEXT,
+  to_addresses TEXT[] NOT NULL DEFAULT '{}',
+  subject TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, message_id)
+);
+
+-- Email templates table (an organization's own version of a notification email)
+CREATE TABLE email_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('ticket_created', 'ticket_response', 'ticket_resolved', 'ticket_assigned', 'customer_reply')),
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (organization_id, event_type)
+);
+
+-- Email template versions table (every saved version, newest has the template's version)
+CREATE TABLE email_template_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  template_id UUID REFERENCES email_templates(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  restored_from INTEGER,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (template_id, version)
+);
+
+-- In-app notifications table
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  -- Any user, admin or superadmin ID
+  user_id UUID NOT NULL,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT,
+  message TEXT NOT NULL,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tags table
+CREATE TABLE tags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ticket tags table
+CREATE TABLE ticket_tags (
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (ticket_id, tag_id)
+);
+
+-- Skills table
+CREATE TABLE skills (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Agent skills table (proficiency from 1 to 5)
+CREATE TABLE agent_skills (
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  skill_id UUID REFERENCES skills(id) ON DELETE CASCADE,
+  proficiency INTEGER NOT NULL DEFAULT 1 CHECK (proficiency BETWEEN 1 AND 5),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, skill_id)
+);
+
+-- Skill requirements table (a ticket category or tag needs a skill)
+CREATE TABLE skill_requirements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  skill_id UUID REFERENCES skills(id) ON DELETE CASCADE,
+  category TEXT,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
+  min_proficiency INTEGER NOT NULL DEFAULT 1 CHECK (min_proficiency BETWEEN 1 AND 5),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((category IS NULL) <> (tag_id IS NULL))
+);
+
 -- Ticket attachments table
 CREATE TABLE ticket_attachments (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
   ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE,
   response_id UUID REFERENCES ticket_responses(id) ON DELETE CASCADE,
   file_name TEXT NOT NULL,
-  file_url TEXT NOT NULL,
+  -- Object path in the private ticket-attachments storage bucket (shared by split tickets)
+  storage_path TEXT NOT NULL,
   file_type TEXT NOT NULL,
   file_size INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'uploaded')),
   created_by UUID,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -215,12 +599,59 @@ CREATE TABLE audit_logs (
 CREATE INDEX idx_tickets_organization_id ON tickets(organization_id);
 CREATE INDEX idx_tickets_created_by ON tickets(created_by);
 CREATE INDEX idx_tickets_assigned_to ON tickets(assigned_to);
+CREATE INDEX idx_tickets_assigned_team_id ON tickets(assigned_team_id);
 CREATE INDEX idx_tickets_status ON tickets(status);
+CREATE INDEX idx_tickets_merged_into_id ON tickets(merged_into_id);
+CREATE INDEX idx_tickets_split_from_id ON tickets(split_from_id);
+CREATE UNIQUE INDEX idx_tickets_ticket_ref ON tickets(ticket_ref, organization_id);
+CREATE INDEX idx_tickets_custom_fields ON tickets USING GIN(custom_fields);
+CREATE INDEX idx_tickets_first_response_due_at ON tickets(first_response_due_at);
+CREATE INDEX idx_tickets_resolution_due_at ON tickets(resolution_due_at);
+CREATE INDEX idx_tickets_status_changed_at ON tickets(status_changed_at);
 CREATE INDEX idx_ticket_responses_ticket_id ON ticket_responses(ticket_id);
+CREATE INDEX idx_ticket_events_ticket_id ON ticket_events(ticket_id);
+CREATE INDEX idx_ticket_attachments_ticket_id ON ticket_attachments(ticket_id);
+CREATE INDEX idx_ticket_attachments_response_id ON ticket_attachments(response_id);
+CREATE INDEX idx_ticket_attachments_storage_path ON ticket_attachments(storage_path);
+CREATE INDEX idx_ticket_attachments_pending ON ticket_attachments(created_at) WHERE status = 'pending';
+CREATE INDEX idx_ticket_links_source_ticket_id ON ticket_links(source_ticket_id);
+CREATE INDEX idx_ticket_links_target_ticket_id ON ticket_links(target_ticket_id);
+CREATE INDEX idx_ticket_links_organization_id ON ticket_links(organization_id);
+-- A ticket has at most one parent
+CREATE UNIQUE INDEX idx_ticket_links_single_parent ON ticket_links(target_ticket_id) WHERE link_type = 'parent';
+CREATE INDEX idx_canned_responses_organization_id ON canned_responses(organization_id);
+CREATE INDEX idx_canned_responses_owner_id ON canned_responses(owner_id);
+CREATE INDEX idx_macros_organization_id ON macros(organization_id);
+CREATE INDEX idx_automation_rules_organization_id ON automation_rules(organization_id, order_index);
+CREATE INDEX idx_automation_runs_organization_id ON automation_runs(organization_id, started_at);
+CREATE INDEX idx_automation_executions_run_id ON automation_executions(run_id);
+CREATE INDEX idx_automation_executions_rule_ticket ON automation_executions(rule_id, ticket_id);
+CREATE INDEX idx_escalation_policies_organization_id ON escalation_policies(organization_id);
+CREATE INDEX idx_ticket_escalations_policy_ticket ON ticket_escalations(policy_id, ticket_id);
+CREATE INDEX idx_ticket_escalations_ticket_id ON ticket_escalations(ticket_id);
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX idx_email_messages_ticket_id ON email_messages(ticket_id);
+CREATE INDEX idx_tickets_requester_email ON tickets(organization_id, requester_email);
+-- Tag names are unique per organization, ignoring case
+CREATE UNIQUE INDEX idx_tags_organization_name ON tags(organization_id, LOWER(name));
+CREATE INDEX idx_ticket_tags_tag_id ON ticket_tags(tag_id);
+-- Team names are unique per organization, ignoring case
+CREATE UNIQUE INDEX idx_teams_organization_name ON teams(organization_id, LOWER(name));
+CREATE INDEX idx_team_members_user_id ON team_members(user_id);
+CREATE INDEX idx_out_of_office_user_id ON out_of_office(user_id, ends_at);
+CREATE INDEX idx_out_of_office_organization_id ON out_of_office(organization_id, starts_at);
+-- Skill names are unique per organization, ignoring case
+CREATE UNIQUE INDEX idx_skills_organization_name ON skills(organization_id, LOWER(name));
+CREATE INDEX idx_agent_skills_skill_id ON agent_skills(skill_id);
+CREATE INDEX idx_skill_requirements_organization_id ON skill_requirements(organization_id);
+CREATE INDEX idx_skill_requirements_skill_id ON skill_requirements(skill_id);
+CREATE INDEX idx_ticket_status_transitions_organization_id ON ticket_status_transitions(organization_id);
+CREATE INDEX idx_business_calendars_organization_id ON business_calendars(organization_id);
 CREATE INDEX idx_users_organization_id ON users(organization_id);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_audit_logs_organization_id ON audit_logs(organization_id);
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
+CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
 
 -- Create full text search indexes
 ALTER TABLE tickets ADD COLUMN search_vector tsvector;
@@ -240,6 +671,269 @@ CREATE TRIGGER tickets_search_update_trigger
 BEFORE INSERT OR UPDATE ON tickets
 FOR EACH ROW EXECUTE FUNCTION tickets_search_update();
 
+-- Number tickets per organization. Locking the organization row while taking
+-- the next number keeps numbers sequential and gap-free: a failed insert rolls
+-- the counter back with it. The reference keeps the prefix in use at creation.
+CREATE OR REPLACE FUNCTION assign_ticket_number() RETURNS trigger AS $$
+DECLARE
+  prefix TEXT;
+BEGIN
+  IF NEW.organization_id IS NULL OR NEW.ticket_number IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  UPDATE organizations
+  SET next_ticket_number = next_ticket_number + 1
+  WHERE id = NEW.organization_id
+  RETURNING next_ticket_number - 1, ticket_prefix INTO NEW.ticket_number, prefix;
+
+  NEW.ticket_ref := CASE
+    WHEN prefix IS NOT NULL THEN prefix || '-' || NEW.ticket_number
+    ELSE NEW.ticket_number::TEXT
+  END;
+
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER assign_ticket_number_trigger
+BEFORE INSERT ON tickets
+FOR EACH ROW EXECUTE FUNCTION assign_ticket_number();
+
+-- Record a new ticket prefix; the primary key refuses one another organization used
+CREATE OR REPLACE FUNCTION reserve_ticket_prefix() RETURNS trigger AS $$
+BEGIN
+  IF NEW.ticket_prefix IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM ticket_prefixes WHERE prefix = NEW.ticket_prefix AND organization_id = NEW.id
+  ) THEN
+    INSERT INTO ticket_prefixes (prefix, organization_id) VALUES (NEW.ticket_prefix, NEW.id);
+  END IF;
+
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER reserve_ticket_prefix_trigger
+AFTER INSERT OR UPDATE OF ticket_prefix ON organizations
+FOR EACH ROW EXECUTE FUNCTION reserve_ticket_prefix();
+
+-- Track when a ticket entered its current status, whichever code path changed it
+CREATE OR REPLACE FUNCTION track_ticket_status_change() RETURNS trigger AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.status_changed_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER track_ticket_status_change_trigger
+BEFORE UPDATE ON tickets
+FOR EACH ROW EXECUTE FUNCTION track_ticket_status_change();
+
+-- Track the requester's last public reply for time-based automations
+CREATE OR REPLACE FUNCTION track_customer_reply() RETURNS trigger AS $$
+BEGIN
+  IF NOT NEW.is_internal THEN
+    UPDATE tickets
+    SET last_customer_reply_at = NEW.created_at
+    WHERE id = NEW.ticket_id
+      AND (created_by = NEW.created_by OR NEW.created_by_role = 'customer')
+      AND (last_customer_reply_at IS NULL OR last_customer_reply_at < NEW.created_at);
+  END IF;
+
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER track_customer_reply_trigger
+AFTER INSERT ON ticket_responses
+FOR EACH ROW EXECUTE FUNCTION track_customer_reply();
+
+-- Merge a duplicate ticket into a primary ticket in one transaction.
+-- Responses and attachments keep their original timestamps, the secondary
+-- ticket's description becomes a response on the primary, and the secondary
+-- ticket is archived with a pointer to the primary.
+CREATE OR REPLACE FUNCTION merge_tickets(primary_ticket_id UUID, secondary_ticket_id UUID, merged_content_html TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO ticket_responses (ticket_id, content, content_html, is_internal, created_by, created_by_name, created_by_role, created_at, updated_at)
+  SELECT
+    primary_ticket_id,
+    'Merged from "' || t.title || '":' || E'\n\n' || t.description,
+    merged_content_html,
+    FALSE,
+    t.created_by,
+    COALESCE(u.first_name || ' ' || u.last_name, t.requester_name, t.requester_email),
+    COALESCE(u.role, 'customer'),
+    t.created_at,
+    t.created_at
+  FROM tickets t
+  LEFT JOIN users u ON u.id = t.created_by
+  WHERE t.id = secondary_ticket_id;
+
+  UPDATE ticket_responses SET ticket_id = primary_ticket_id WHERE ticket_id = secondary_ticket_id;
+  UPDATE ticket_attachments SET ticket_id = primary_ticket_id WHERE ticket_id = secondary_ticket_id;
+
+  -- Archiving stops the duplicate's SLA clocks, as a status change to archived would
+  UPDATE tickets
+  SET status = 'archived',
+    merged_into_id = primary_ticket_id,
+    merged_at = NOW(),
+    resolved_at = COALESCE(resolved_at, NOW()),
+    resolution_breached = CASE
+      WHEN resolved_at IS NULL THEN sla_paused_at IS NULL AND COALESCE(resolution_due_at < NOW(), FALSE)
+      ELSE resolution_breached
+    END,
+    sla_paused_at = COALESCE(sla_paused_at, NOW()),
+    updated_at = NOW()
+  WHERE id = secondary_ticket_id;
+
+  -- Tickets previously merged into the secondary now point at the primary
+  UPDATE tickets SET merged_into_id = primary_ticket_id WHERE merged_into_id = secondary_ticket_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Merge one tag into another in one transaction. Every ticket carrying the
+-- source tag gets the target tag, the change is written to each ticket's
+-- timeline, and the source tag is deleted.
+CREATE OR REPLACE FUNCTION merge_tags(
+  source_tag_id UUID,
+  target_tag_id UUID,
+  merged_by_id UUID,
+  merged_by_name TEXT,
+  merged_by_role user_role
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO ticket_events (ticket_id, organization_id, event_type, old_value, details, actor_id, actor_name, actor_role)
+  SELECT tt.ticket_id, t.organization_id, 'tag_removed', source.name,
+    jsonb_build_object('tag_id', source.id, 'merged_into_tag_id', target_tag_id),
+    merged_by_id, merged_by_name, merged_by_role
+  FROM ticket_tags tt
+  JOIN tickets t ON t.id = tt.ticket_id
+  JOIN tags source ON source.id = tt.tag_id
+  WHERE tt.tag_id = source_tag_id;
+
+  INSERT INTO ticket_events (ticket_id, organization_id, event_type, new_value, details, actor_id, actor_name, actor_role)
+  SELECT tt.ticket_id, t.organization_id, 'tag_added', target.name,
+    jsonb_build_object('tag_id', target.id, 'merged_from_tag_id', source_tag_id),
+    merged_by_id, merged_by_name, merged_by_role
+  FROM ticket_tags tt
+  JOIN tickets t ON t.id = tt.ticket_id
+  JOIN tags target ON target.id = target_tag_id
+  WHERE tt.tag_id = source_tag_id
+    AND NOT EXISTS (
+      SELECT 1 FROM ticket_tags existing
+      WHERE existing.ticket_id = tt.ticket_id AND existing.tag_id = target_tag_id
+    );
+
+  INSERT INTO ticket_tags (ticket_id, tag_id, created_by, created_at)
+  SELECT ticket_id, target_tag_id, created_by, created_at
+  FROM ticket_tags
+  WHERE tag_id = source_tag_id
+  ON CONFLICT (ticket_id, tag_id) DO NOTHING;
+
+  DELETE FROM tags WHERE id = source_tag_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Apply a batch of ticket changes in one transaction: ticket columns (keys
+-- missing from changes->'ticket' are left alone), tags added and removed,
+-- responses, notifications and timeline events.
+CREATE OR REPLACE FUNCTION apply_ticket_changes(target_ticket_id UUID, changes JSONB)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE tickets t
+  SET (
+    status, priority, category, assigned_to, assigned_team_id,
+    sla_policy_id, first_response_due_at, resolution_due_at,
+    first_responded_at, first_response_breached,
+    resolved_at, resolution_breached,
+    sla_paused_at, sla_paused_minutes, updated_at
+  ) = (
+    SELECT
+      r.status, r.priority, r.category, r.assigned_to, r.assigned_team_id,
+      r.sla_policy_id, r.first_response_due_at, r.resolution_due_at,
+      r.first_responded_at, r.first_response_breached,
+      r.resolved_at, r.resolution_breached,
+      r.sla_paused_at, r.sla_paused_minutes, r.updated_at
+    FROM jsonb_populate_record(t, COALESCE(changes->'ticket', '{}'::jsonb)) r
+  )
+  WHERE t.id = target_ticket_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket % not found', target_ticket_id;
+  END IF;
+
+  DELETE FROM ticket_tags
+  WHERE ticket_id = target_ticket_id
+    AND tag_id IN (SELECT jsonb_array_elements_text(COALESCE(changes->'remove_tag_ids', '[]'::jsonb))::UUID);
+
+  INSERT INTO ticket_tags (ticket_id, tag_id, created_by)
+  SELECT target_ticket_id, tag_id::UUID, (changes->>'tagged_by')::UUID
+  FROM jsonb_array_elements_text(COALESCE(changes->'add_tag_ids', '[]'::jsonb)) AS tag_id
+  ON CONFLICT (ticket_id, tag_id) DO NOTHING;
+
+  INSERT INTO ticket_responses (ticket_id, content, content_html, is_internal, created_by, created_by_name, created_by_role)
+  SELECT target_ticket_id, r.content, r.content_html, COALESCE(r.is_internal, FALSE), r.created_by, r.created_by_name, r.created_by_role
+  FROM jsonb_populate_recordset(NULL::ticket_responses, COALESCE(changes->'responses', '[]'::jsonb)) r;
+
+  INSERT INTO notifications (organization_id, user_id, ticket_id, type, title, message)
+  SELECT n.organization_id, n.user_id, n.ticket_id, n.type, n.title, n.message
+  FROM jsonb_populate_recordset(NULL::notifications, COALESCE(changes->'notifications', '[]'::jsonb)) n;
+
+  INSERT INTO ticket_events (ticket_id, organization_id, event_type, field, old_value, new_value, details, actor_id, actor_name, actor_role, created_at)
+  SELECT target_ticket_id, e.organization_id, e.event_type, e.field, e.old_value, e.new_value, e.details, e.actor_id, e.actor_name, e.actor_role, COALESCE(e.created_at, NOW())
+  FROM jsonb_populate_recordset(NULL::ticket_events, COALESCE(changes->'events', '[]'::jsonb)) e;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replace an agent's skills in one transaction. Locking the agent's row makes
+-- concurrent replacements take turns instead of mixing their rows.
+CREATE OR REPLACE FUNCTION replace_agent_skills(target_user_id UUID, skills JSONB)
+RETURNS SETOF agent_skills AS $$
+BEGIN
+  PERFORM 1 FROM users WHERE id = target_user_id FOR UPDATE;
+
+  DELETE FROM agent_skills WHERE user_id = target_user_id;
+
+  RETURN QUERY
+  INSERT INTO agent_skills (user_id, skill_id, proficiency)
+  SELECT target_user_id, s.skill_id, s.proficiency
+  FROM jsonb_populate_recordset(NULL::agent_skills, skills) s
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replace the categories and tags that need a skill in one transaction, with
+-- the skill's row locked like replace_agent_skills
+CREATE OR REPLACE FUNCTION replace_skill_requirements(target_skill_id UUID, requirements JSONB)
+RETURNS SETOF skill_requirements AS $$
+BEGIN
+  PERFORM 1 FROM skills WHERE id = target_skill_id FOR UPDATE;
+
+  DELETE FROM skill_requirements WHERE skill_id = target_skill_id;
+
+  RETURN QUERY
+  INSERT INTO skill_requirements (organization_id, skill_id, category, tag_id, min_proficiency)
+  SELECT r.organization_id, target_skill_id, r.category, r.tag_id, r.min_proficiency
+  FROM jsonb_populate_recordset(NULL::skill_requirements, requirements) r
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a use of a canned response
+CREATE OR REPLACE FUNCTION increment_canned_response_usage(canned_response_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE canned_responses
+  SET usage_count = usage_count + 1, last_used_at = NOW()
+  WHERE id = canned_response_id;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Create functions for authentication
 CREATE OR REPLACE FUNCTION public.handle_new_user() 
 RETURNS TRIGGER AS $$
@@ -264,8 +958,34 @@ ALTER TABLE super_admins ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_prefixes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE business_calendars ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sla_policies ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tickets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE custom_fields ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_status_transitions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ticket_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE canned_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE macros ENABLE ROW LEVEL SECURITY;
+ALTER TABLE automation_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE automation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE automation_executions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE escalation_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_escalations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_template_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ticket_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE out_of_office ENABLE ROW LEVEL SECURITY;
+ALTER TABLE skills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_skills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE skill_requirements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ticket_attachments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE platform_branding ENABLE ROW LEVEL SECURITY;
 ALTER TABLE organization_branding ENABLE ROW LEVEL SECURITY;
@@ -307,3 +1027,8 @@ VALUES ('admin@helpdesk.com', crypt('admin123', gen_salt('bf')), 'System', 'Admi
 -- Insert initial platform branding
 INSERT INTO platform_branding (background_color, sidebar_color, content_font_color, sidebar_font_color, button_color, link_color)
 VALUES ('#ffffff', '#f8f9fa', '#333333', '#333333', '#4a6cf7', '#4a6cf7');
+
+-- Private bucket for ticket attachments (files are served through signed URLs)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('ticket-attachments', 'ticket-attachments', false)
+ON CONFLICT (id) DO NOTHING;